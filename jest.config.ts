@@ -5,7 +5,8 @@ const preset = createDefaultEsmPreset();
 
 export default {
   ...preset,
-  testMatch: ['<rootDir>/tests/shared/**/*.test.[jt]s'],
+  testMatch: ['<rootDir>/tests/shared/**/*.test.[jt]s', '<rootDir>/tests/server/**/*.test.ts'],
+  moduleNameMapper: { '^(\\.{1,2}/.*)\\.js$': '$1' },
   setupFilesAfterEnv: ['<rootDir>/tests/setup.ts'],
   testPathIgnorePatterns: ['<rootDir>/tests/ui/'],
 } satisfies Config;
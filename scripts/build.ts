@@ -28,7 +28,7 @@ async function concatFiles(files: string[], outFile: string) {
   await writeFile(outFile, data, 'utf8');
 }
 
-async function rewriteIndex(src: string, dest: string) {
+async function rewriteHtml(src: string, dest: string, entry: string) {
   let html = await readFile(src, 'utf8');
 
   // Remove all <script src="js/libs/..."></script> lines and save the src paths
@@ -38,11 +38,11 @@ async function rewriteIndex(src: string, dest: string) {
     return '';
   });
 
-  // Insert libs.min.js before the app.min.js script
+  // Insert libs.min.js before the minified entry script
   html = html.replace(
-    /(<script\s+type="module"\s+src="js\/app\.js"><\/script>)/,
+    new RegExp(`(<script\\s+type="module"\\s+src="js/${entry}\\.js"><\\/script>)`),
     `    <script src="js/libs.min.js"></script>
-    <script src="js/app.min.js"></script>`
+    <script src="js/${entry}.min.js"></script>`
   );
 
   await writeFile(dest, html, 'utf8');
@@ -62,7 +62,10 @@ async function main() {
   //await copyFile('public/favicon.ico', 'dist/public/favicon.ico');
 
   // Replace library script tags in index.html with libs.min.js and copy to dist
-  const libs = await rewriteIndex('src/public/index.html', 'dist/public/index.html');
+  const libs = await rewriteHtml('src/public/index.html', 'dist/public/index.html', 'app');
+
+  // Admin page uses a subset of the index.html libraries, so it can share libs.min.js
+  await rewriteHtml('src/public/admin.html', 'dist/public/admin.html', 'admin');
 
   // Concatenate already-minified JS libraries into libs.min.js
   await concatFiles(libs, 'dist/public/js/libs.min.js');
@@ -83,6 +86,7 @@ async function main() {
 
     // Bundle and minify app JS (excluding libs)
     await run('esbuild', ['src/public/js/app.js', '--bundle', '--minify', '--outfile=dist/public/js/app.min.js']);
+    await run('esbuild', ['src/public/js/admin.js', '--bundle', '--minify', '--outfile=dist/public/js/admin.min.js']);
   } catch (err) {
     console.log('Failed to remove shared files', err);
     return;
@@ -93,6 +97,7 @@ async function main() {
 
   // Minify CSS
   await run('esbuild', ['src/public/css/styles.css', '--bundle', '--minify', '--outfile=dist/public/css/styles.css']);
+  await run('esbuild', ['src/public/css/admin.css', '--bundle', '--minify', '--outfile=dist/public/css/admin.css']);
 
   // Compile server TypeScript
   await run('npx', ['tsc', '--project', 'tsconfig.server.json']);
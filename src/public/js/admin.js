@@ -0,0 +1,383 @@
+import Utils, { DOM, Events } from './utils.js';
+
+const TOKEN_KEY = 'arowa-admin-token';
+const REFRESH_INTERVAL = 5000;
+
+/**
+ * Admin dashboard for listing and managing live sessions through the admin API.
+ */
+class AdminDashboard {
+  /**
+   * Create an AdminDashboard instance.
+   */
+  constructor() {
+    this.token = sessionStorage.getItem(TOKEN_KEY) || '';
+    this.sessions = [];
+    this.selectedSessionId = null;
+    this.refreshInterval = null;
+
+    this.$actions = DOM.getId('admin-actions');
+    this.$loginSection = DOM.getId('login-section');
+    this.$loginForm = DOM.getId('login-form');
+    this.$tokenInput = DOM.getId('token-input');
+    this.$dashboard = DOM.getId('dashboard');
+    this.$refreshBtn = DOM.getId('refresh-btn');
+    this.$logoutBtn = DOM.getId('logout-btn');
+    this.$announcementForm = DOM.getId('announcement-form');
+    this.$announcementInput = DOM.getId('announcement-input');
+    this.$announcementTarget = DOM.getId('announcement-target');
+    this.$sessionsList = DOM.getId('sessions-list');
+    this.$sessionSection = DOM.getId('session-section');
+    this.$sessionTitle = DOM.getId('session-title');
+    this.$sessionMeta = DOM.getId('session-meta');
+    this.$usersList = DOM.getId('users-list');
+    this.$stopBtn = DOM.getId('stop-btn');
+    this.$deleteBtn = DOM.getId('delete-btn');
+
+    this._initialize();
+  }
+
+  /**
+   * Set up event listeners and open dashboard if a token is stored.
+   */
+  _initialize() {
+    this._listeners();
+
+    if (this.token) this.open();
+  }
+
+  /**
+   * Configure event listeners for dashboard controls.
+   */
+  _listeners() {
+    Events.on(this.$loginForm, 'submit', this._login.bind(this));
+    Events.on(this.$logoutBtn, 'click', this.close.bind(this));
+    Events.on(this.$refreshBtn, 'click', this.refresh.bind(this));
+    Events.on(this.$announcementForm, 'submit', this._announce.bind(this));
+    Events.on(this.$stopBtn, 'click', this.stopTimer.bind(this));
+    Events.on(this.$deleteBtn, 'click', this.deleteSession.bind(this));
+  }
+
+  /**
+   * Store entered admin token and open dashboard.
+   * @param {SubmitEvent} event - Login form submit event.
+   */
+  _login(event) {
+    event.preventDefault();
+
+    this.token = this.$tokenInput.value.trim();
+    if (!this.token) return;
+
+    sessionStorage.setItem(TOKEN_KEY, this.token);
+    this.$tokenInput.value = '';
+    this.open();
+  }
+
+  /**
+   * Send announcement entered in announcement form.
+   * @param {SubmitEvent} event - Announcement form submit event.
+   */
+  async _announce(event) {
+    event.preventDefault();
+
+    const message = this.$announcementInput.value.trim();
+    if (!message) return;
+
+    const sessionId = this.$announcementTarget.value;
+    const result = await this.request('POST', '/announcement', { message, ...(sessionId ? { sessionId } : {}) });
+    if (!result) return;
+
+    this.$announcementInput.value = '';
+    Utils.showNotification(`Announcement sent to ${result.sessions} sessions`, 'success');
+  }
+
+  /**
+   * Send request to admin API with stored token.
+   * @param {string} method - HTTP method.
+   * @param {string} path - Path relative to the admin API.
+   * @param {Object} [body] - Optional JSON request body.
+   * @returns {Promise<Object|boolean|null>} Parsed response, true for empty responses, or null on failure.
+   */
+  async request(method, path, body) {
+    try {
+      const response = await fetch(`/api/admin${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${this.token}`,
+          ...(body ? { 'Content-Type': 'application/json' } : {}),
+        },
+        ...(body ? { body: JSON.stringify(body) } : {}),
+      });
+
+      if (response.status === 401) {
+        this.close();
+        Utils.showNotification('Invalid admin token', 'error');
+        return null;
+      }
+
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        Utils.showNotification(data.error || `Request failed (${response.status})`, 'error');
+        return null;
+      }
+
+      return response.status === 204 ? true : await response.json();
+    } catch (error) {
+      console.error('Admin request failed:', error);
+      Utils.showNotification('Server unavailable', 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Show dashboard and start refreshing session list.
+   */
+  open() {
+    this.$loginSection.classList.add('admin-hidden');
+    this.$dashboard.classList.remove('admin-hidden');
+    this.$actions.classList.remove('admin-hidden');
+
+    this.refresh();
+
+    clearInterval(this.refreshInterval);
+    this.refreshInterval = setInterval(this.refresh.bind(this), REFRESH_INTERVAL);
+  }
+
+  /**
+   * Forget stored token, stop refreshing and show login form.
+   */
+  close() {
+    clearInterval(this.refreshInterval);
+    this.refreshInterval = null;
+
+    this.token = '';
+    this.selectedSessionId = null;
+    sessionStorage.removeItem(TOKEN_KEY);
+
+    this.$dashboard.classList.add('admin-hidden');
+    this.$actions.classList.add('admin-hidden');
+    this.$sessionSection.classList.add('admin-hidden');
+    this.$loginSection.classList.remove('admin-hidden');
+  }
+
+  /**
+   * Reload session list and selected session details.
+   */
+  async refresh() {
+    const sessions = await this.request('GET', '/sessions');
+    if (!sessions) return;
+
+    this.sessions = sessions;
+    this.renderSessions();
+
+    if (this.selectedSessionId) await this.loadSession(this.selectedSessionId);
+  }
+
+  /**
+   * Load and render details of a session.
+   * @param {string} sessionId - Session ID to load.
+   */
+  async loadSession(sessionId) {
+    const session = await this.request('GET', `/sessions/${encodeURIComponent(sessionId)}`);
+
+    if (!session) {
+      this.selectSession(null);
+      return;
+    }
+
+    this.renderSession(session);
+  }
+
+  /**
+   * Select session to show details for.
+   * @param {string|null} sessionId - Session ID to select, or null to hide details.
+   */
+  selectSession(sessionId) {
+    this.selectedSessionId = sessionId;
+    this.renderSessions();
+
+    if (sessionId) {
+      this.loadSession(sessionId);
+    } else {
+      this.$sessionSection.classList.add('admin-hidden');
+    }
+  }
+
+  /**
+   * Stop timer of selected session.
+   */
+  async stopTimer() {
+    if (!this.selectedSessionId) return;
+
+    const timer = await this.request('POST', `/sessions/${encodeURIComponent(this.selectedSessionId)}/stop`);
+    if (!timer) return;
+
+    Utils.showNotification('Timer stopped', 'success');
+    this.refresh();
+  }
+
+  /**
+   * Close sockets of a user in selected session after confirmation.
+   * @param {Object} user - User to kick.
+   */
+  async kickUser(user) {
+    if (!this.selectedSessionId) return;
+
+    const confirmed = await Utils.showConfirm(`Disconnect ${user.name || 'this user'} from the session?`, {
+      okText: 'Kick',
+    });
+    if (!confirmed) return;
+
+    const sessionId = encodeURIComponent(this.selectedSessionId);
+    const result = await this.request('DELETE', `/sessions/${sessionId}/users/${encodeURIComponent(user.clientId)}`);
+    if (!result) return;
+
+    Utils.showNotification('User disconnected', 'success');
+    this.refresh();
+  }
+
+  /**
+   * Delete selected session after confirmation.
+   */
+  async deleteSession() {
+    if (!this.selectedSessionId) return;
+
+    const confirmed = await Utils.showConfirm(
+      `Delete session ${this.selectedSessionId}? All connected users will be disconnected.`,
+      { okText: 'Delete' }
+    );
+    if (!confirmed) return;
+
+    const result = await this.request('DELETE', `/sessions/${encodeURIComponent(this.selectedSessionId)}`);
+    if (!result) return;
+
+    Utils.showNotification('Session deleted', 'success');
+    this.selectSession(null);
+    this.refresh();
+  }
+
+  /**
+   * Describe timer state for display.
+   * @param {Object} timer - Timer state.
+   * @returns {string} Timer status name.
+   */
+  getTimerStatus(timer) {
+    if (timer.isPaused) return 'paused';
+    if (timer.isRunning) return 'running';
+    return 'stopped';
+  }
+
+  /**
+   * Create table cell displaying timer status and remaining time.
+   * @param {Object} timer - Timer state.
+   * @returns {HTMLElement} Table cell element.
+   */
+  createTimerCell(timer) {
+    const status = this.getTimerStatus(timer);
+    const $cell = DOM.create('td');
+
+    $cell.appendChild(DOM.create('span', { className: `admin-status ${status}` }, status));
+    $cell.appendChild(document.createTextNode(` ${Utils.formatTime(Math.ceil(timer.remaining / 1000))}`));
+
+    return $cell;
+  }
+
+  /**
+   * Render session list and announcement targets.
+   */
+  renderSessions() {
+    this.$sessionsList.replaceChildren();
+
+    if (this.sessions.length === 0) {
+      const $row = DOM.create('tr');
+      $row.appendChild(DOM.create('td', { className: 'admin-empty', colSpan: 5 }, 'No active sessions'));
+      this.$sessionsList.appendChild($row);
+    }
+
+    this.sessions.forEach((session) => {
+      const $row = DOM.create('tr', {
+        className: `selectable${session.sessionId === this.selectedSessionId ? ' selected' : ''}`,
+      });
+
+      $row.appendChild(DOM.create('td', {}, `${session.sessionId}${session.isProtected ? ' (protected)' : ''}`));
+      $row.appendChild(DOM.create('td', {}, session.name));
+      $row.appendChild(DOM.create('td', {}, `${session.onlineUsers}/${session.users}`));
+      $row.appendChild(this.createTimerCell(session.timer));
+      $row.appendChild(DOM.create('td', {}, new Date(session.lastActivity).toLocaleString()));
+
+      Events.on($row, 'click', () => this.selectSession(session.sessionId));
+
+      this.$sessionsList.appendChild($row);
+    });
+
+    this.renderTargets();
+  }
+
+  /**
+   * Render announcement target options, keeping the current selection if the session still exists.
+   */
+  renderTargets() {
+    const selected = this.$announcementTarget.value;
+
+    this.$announcementTarget.replaceChildren(DOM.create('option', { value: '' }, 'All sessions'));
+
+    this.sessions.forEach((session) => {
+      this.$announcementTarget.appendChild(DOM.create('option', { value: session.sessionId }, session.sessionId));
+    });
+
+    this.$announcementTarget.value = this.sessions.some((s) => s.sessionId === selected) ? selected : '';
+  }
+
+  /**
+   * Render session details and user list.
+   * @param {Object} session - Session details from the admin API.
+   */
+  renderSession(session) {
+    this.$sessionSection.classList.remove('admin-hidden');
+    this.$sessionTitle.textContent = session.name ? `${session.name} (${session.sessionId})` : session.sessionId;
+
+    const status = this.getTimerStatus(session.timer);
+    const interval = session.intervals.items[session.timer.interval];
+
+    this.$sessionMeta.textContent = [
+      `Timer ${status}${interval ? ` on ${interval.name}` : ''}`,
+      `${session.intervals.items.length} intervals`,
+      `${session.webhooks.length} webhooks`,
+      `created ${new Date(session.createdAt).toLocaleString()}`,
+    ].join(' · ');
+
+    this.$usersList.replaceChildren();
+
+    if (session.users.length === 0) {
+      const $row = DOM.create('tr');
+      $row.appendChild(DOM.create('td', { className: 'admin-empty', colSpan: 5 }, 'No users'));
+      this.$usersList.appendChild($row);
+    }
+
+    session.users.forEach((user) => {
+      const $row = DOM.create('tr');
+      const $actions = DOM.create('td');
+      const $kickBtn = DOM.create(
+        'button',
+        {
+          className: 'btn-danger btn-small',
+          disabled: user.sockets === 0,
+        },
+        'Kick'
+      );
+
+      Events.on($kickBtn, 'click', () => this.kickUser(user));
+      $actions.appendChild($kickBtn);
+
+      $row.appendChild(DOM.create('td', {}, user.name || user.clientId.substring(0, 8)));
+      $row.appendChild(DOM.create('td', {}, user.role));
+      $row.appendChild(DOM.create('td', {}, String(user.sockets)));
+      $row.appendChild(DOM.create('td', {}, user.sockets > 0 ? 'online' : 'offline'));
+      $row.appendChild($actions);
+
+      this.$usersList.appendChild($row);
+    });
+  }
+}
+
+new AdminDashboard();
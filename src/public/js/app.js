@@ -2,12 +2,17 @@ import Utils, { DOM, Events, Storage } from './utils.js';
 import SocketClient from './socket.js';
 import Receiver from './receiver.js';
 import AlertSystem from './alerts.js';
+import ChatManager from './chat.js';
 import SessionManager from './sessions.js';
 import IntervalsManager from './intervals.js';
 import SettingsManager from './settings.js';
 import ShareManager from './share.js';
+import StatsManager from './stats.js';
+import TaskManager from './tasks.js';
 import UserManager from './user.js';
+import VoteManager from './votes.js';
 import Timer from './timer.js';
+import { DEFAULT_ROLE, DEFAULT_USER_STATUS } from './shared/constants.js';
 
 /**
  * Timer application class.
@@ -23,11 +28,15 @@ class TimerApp {
     this.socket = null;
     this.receiver = null;
     this.alerts = null;
+    this.chat = null;
     this.sessions = null;
     this.intervals = null;
     this.settings = null;
     this.share = null;
+    this.stats = null;
+    this.tasks = null;
     this.user = null;
+    this.votes = null;
     this.timer = null;
 
     this.currentSessionId = null;
@@ -39,6 +48,8 @@ class TimerApp {
       name: '',
       email: '',
       avatarUrl: '',
+      status: DEFAULT_USER_STATUS,
+      statusText: '',
     };
 
     this.$statusEl = DOM.getId('connection-status');
@@ -91,11 +102,15 @@ class TimerApp {
     this.socket = new SocketClient(this);
     this.receiver = new Receiver(this);
     this.alerts = new AlertSystem(this);
+    this.chat = new ChatManager(this);
     this.sessions = new SessionManager(this);
     this.intervals = new IntervalsManager(this);
     this.settings = new SettingsManager(this);
     this.share = new ShareManager(this);
+    this.stats = new StatsManager(this);
+    this.tasks = new TaskManager(this);
     this.user = new UserManager(this);
+    this.votes = new VoteManager(this);
     this.timer = new Timer(this);
   }
 
@@ -105,12 +120,27 @@ class TimerApp {
   _handlers() {
     this.handlers.set('session_created', this._sessionCreated.bind(this));
     this.handlers.set('session_joined', this._sessionJoined.bind(this));
+    this.handlers.set('session_rejected', this._sessionRejected.bind(this));
+    this.handlers.set('session_protected', this._sessionProtected.bind(this));
+    this.handlers.set('recurrence_updated', this._recurrenceUpdated.bind(this));
+    this.handlers.set('tasks_updated', this._tasksUpdated.bind(this));
+    this.handlers.set('invite_created', this._inviteCreated.bind(this));
     this.handlers.set('session_updated', this._sessionUpdated.bind(this));
+    this.handlers.set('session_conflict', this._sessionConflict.bind(this));
     this.handlers.set('timer_updated', this._timerUpdated.bind(this));
+    this.handlers.set('interval_changed', this._intervalChanged.bind(this));
+    this.handlers.set('announcement', this._announcement.bind(this));
     this.handlers.set('user_connected', this._userConnected.bind(this));
     this.handlers.set('user_disconnected', this._userDisconnected.bind(this));
+    this.handlers.set('user_removed', this._userRemoved.bind(this));
     this.handlers.set('user_updated', this._userUpdated.bind(this));
     this.handlers.set('users_connected', this._usersConnected.bind(this));
+    this.handlers.set('history', this._history.bind(this));
+    this.handlers.set('stats', this._stats.bind(this));
+    this.handlers.set('chat', this._chat.bind(this));
+    this.handlers.set('chat_message', this._chatMessage.bind(this));
+    this.handlers.set('reaction', this._reaction.bind(this));
+    this.handlers.set('vote_updated', this._voteUpdated.bind(this));
   }
 
   /**
@@ -296,6 +326,8 @@ class TimerApp {
       name: String(user?.name ?? ''),
       email: String(user?.email ?? ''),
       avatarUrl: Utils.getGravatarUrl(user?.avatarUrl || user?.email || hashedId),
+      status: user?.status || DEFAULT_USER_STATUS,
+      statusText: String(user?.statusText ?? ''),
     };
     this.currentUser = current;
 
@@ -321,6 +353,8 @@ class TimerApp {
       name: '',
       email: '',
       avatarUrl: '',
+      status: DEFAULT_USER_STATUS,
+      statusText: '',
     };
   }
 
@@ -368,6 +402,9 @@ class TimerApp {
       name: connected.name,
       avatarUrl: connected.avatarUrl,
       isOnline: connected.isOnline,
+      role: connected.role,
+      status: connected.status,
+      statusText: connected.statusText,
     };
   }
 
@@ -390,6 +427,25 @@ class TimerApp {
     return this.connectedUsers ? Object.keys(this.connectedUsers).length : 0;
   }
 
+  /**
+   * Get the role of the current user in the connected session.
+   * @returns {string} Current user role, owner if not connected, or default role if unknown.
+   */
+  getCurrentUserRole() {
+    if (!this.connectedUsers) return 'owner';
+
+    const hashedId = this.currentUser?.hashedId;
+    return this.connectedUsers[hashedId]?.role || DEFAULT_ROLE;
+  }
+
+  /**
+   * Check if the current user is allowed to control the timer and session settings.
+   * @returns {boolean} True if the current user is not a viewer.
+   */
+  canControl() {
+    return this.getCurrentUserRole() !== 'viewer';
+  }
+
   /**
    * Process messages from the Receiver and update application state.
    * @param {Object} event - Event object containing message details.
@@ -421,7 +477,7 @@ class TimerApp {
    */
   _sessionCreated(data, session) {
     this.clearConnectedUsers();
-    this.setConnectedUser(session.user);
+    this.setConnectedUser({ ...session.user, role: 'owner' });
     this.setCurrentUser(session.user);
     this.timer.reload();
   }
@@ -443,6 +499,31 @@ class TimerApp {
     this.timer.reload();
   }
 
+  /**
+   * Handle session rejected event.
+   */
+  _sessionRejected() {}
+
+  /**
+   * Handle session protected event.
+   */
+  _sessionProtected() {}
+
+  /**
+   * Handle recurrence updated event.
+   */
+  _recurrenceUpdated() {}
+
+  /**
+   * Handle tasks updated event.
+   */
+  _tasksUpdated() {}
+
+  /**
+   * Handle invite created event.
+   */
+  _inviteCreated() {}
+
   /**
    * Handle session updated event by updating timer intervals.
    */
@@ -450,6 +531,11 @@ class TimerApp {
     this.timer.updateIntervals();
   }
 
+  /**
+   * Handle session conflict event.
+   */
+  _sessionConflict() {}
+
   /**
    * Handle timer updated event by updating timer state.
    */
@@ -457,6 +543,22 @@ class TimerApp {
     this.timer.update();
   }
 
+  /**
+   * Handle interval changed event by playing interval alert and updating timer state.
+   * @param {Object} data - Event data.
+   */
+  _intervalChanged(data) {
+    this.timer.intervalChanged(data);
+  }
+
+  /**
+   * Handle announcement event by showing announcement text as notification.
+   * @param {Object} data - Event data.
+   */
+  _announcement(data) {
+    Utils.showNotification(data.message, 'info', 'announcement-notification');
+  }
+
   /**
    * Handle user connected event by adding user to connected users map.
    * @param {Object} data - Event data.
@@ -481,6 +583,11 @@ class TimerApp {
     this.deleteConnectedUser(data.user);
   }
 
+  /**
+   * Handle user removed event.
+   */
+  _userRemoved() {}
+
   /**
    * Handle users connected event by setting all connected users.
    * @param {Object} data - Event data.
@@ -489,6 +596,36 @@ class TimerApp {
     this.setConnectedUsers(data.users);
   }
 
+  /**
+   * Handle history event.
+   */
+  _history() {}
+
+  /**
+   * Handle stats event.
+   */
+  _stats() {}
+
+  /**
+   * Handle chat event.
+   */
+  _chat() {}
+
+  /**
+   * Handle chat message event.
+   */
+  _chatMessage() {}
+
+  /**
+   * Handle reaction event.
+   */
+  _reaction() {}
+
+  /**
+   * Handle vote updated event.
+   */
+  _voteUpdated() {}
+
   /**
    * Restart the application and create a new session.
    */
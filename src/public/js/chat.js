@@ -0,0 +1,263 @@
+import Utils, { DOM, Events } from './utils.js';
+import { CHAT_REACTIONS, MAX_CHAT_LENGTH } from './shared/constants.js';
+
+/**
+ * Chat manager for the session chat popup and floating reactions.
+ * Messages are only kept in memory, the server keeps recent messages and sends them when the popup is opened.
+ */
+class ChatManager {
+  /**
+   * Create a ChatManager instance.
+   * @param {Object} app - Main application instance.
+   */
+  constructor(app) {
+    this.app = app;
+
+    this.chat = { sessionId: null, messages: [] };
+    this.unread = 0;
+
+    this.$chatBtn = DOM.getId('chat-btn');
+    this.$unread = DOM.getId('chat-unread');
+    this.$popup = DOM.getId('chat-popup');
+    this.$list = DOM.getId('chat-list');
+    this.$reactions = DOM.getId('chat-reactions');
+    this.$form = DOM.getId('chat-form');
+    this.$input = DOM.getId('chat-input');
+    this.$reactionLayer = DOM.getId('reaction-layer');
+
+    this._initialize();
+  }
+
+  /**
+   * Set up chat input limit, reaction buttons and event handlers.
+   */
+  _initialize() {
+    this.$input.maxLength = MAX_CHAT_LENGTH;
+
+    CHAT_REACTIONS.forEach((emoji) => {
+      const $btn = DOM.create('button', { type: 'button', className: 'chat-reaction-btn', title: 'React' }, emoji);
+      Events.on($btn, 'click', () => this.react(emoji));
+      this.$reactions.appendChild($btn);
+    });
+
+    this._listeners();
+    this.render();
+  }
+
+  /**
+   * Configure event listeners for chat controls and session messages.
+   */
+  _listeners() {
+    Events.on(this.$form, 'submit', this._send.bind(this));
+    Events.on(this.$chatBtn, 'click', this.toggle.bind(this));
+
+    Events.on(document, 'click', (e) => {
+      if (
+        this.isOpen() &&
+        !this.$popup.contains(e.target) &&
+        e.target !== this.$chatBtn &&
+        !this.$chatBtn.contains(e.target)
+      ) {
+        this.hide();
+      }
+    });
+
+    Events.on(document, 'chat', this._chat.bind(this));
+    Events.on(document, 'chat_message', this._chatMessage.bind(this));
+    Events.on(document, 'reaction', this._reaction.bind(this));
+
+    ['appRestarted', 'session_created', 'session_joined'].forEach((type) => {
+      Events.on(document, type, this._reset.bind(this));
+    });
+  }
+
+  /**
+   * Send message entered in chat form.
+   * @param {SubmitEvent} event - Chat form submit event.
+   */
+  _send(event) {
+    event.preventDefault();
+
+    const text = this.$input.value.trim();
+    if (!text || !this._canSend()) return;
+
+    this.app.socket.chatSend(text);
+    this.$input.value = '';
+  }
+
+  /**
+   * Check if chat messages and reactions can be sent, showing a notification if not connected.
+   * @returns {boolean} True if connected to the server.
+   */
+  _canSend() {
+    if (this.app.socket.isConnected()) return true;
+
+    Utils.showNotification('Chat is only available while connected', 'error');
+    return false;
+  }
+
+  /**
+   * Store recent chat messages received from the server and render them.
+   * @param {CustomEvent} event - Event containing the recent chat messages.
+   */
+  _chat(event) {
+    const { data } = event.detail;
+    this.chat = { sessionId: data.sessionId, messages: data.messages || [] };
+    this.render();
+  }
+
+  /**
+   * Add chat message received from the server, counting it as unread while the popup is closed.
+   * @param {CustomEvent} event - Event containing the new chat message.
+   */
+  _chatMessage(event) {
+    const { data } = event.detail;
+
+    if (this.chat.sessionId !== data.sessionId) this.chat = { sessionId: data.sessionId, messages: [] };
+    this.chat.messages.push(data.message);
+
+    if (!this.isOpen() && data.message.actor?.clientId !== this.app.getCurrentUser().hashedId) {
+      this.unread++;
+      this.renderUnread();
+    }
+
+    this.render();
+  }
+
+  /**
+   * Show reaction received from the server.
+   * @param {CustomEvent} event - Event containing the reaction message.
+   */
+  _reaction(event) {
+    const { data } = event.detail;
+    this.showReaction(data.emoji, data.actor);
+  }
+
+  /**
+   * Clear chat messages and unread count when the session changes.
+   */
+  _reset() {
+    this.chat = { sessionId: this.app.currentSessionId, messages: [] };
+    this.unread = 0;
+
+    this.renderUnread();
+    this.render();
+
+    if (this.isOpen()) this.app.socket.chatList();
+  }
+
+  /**
+   * Send reaction to the session.
+   * @param {string} emoji - Reaction emoji.
+   */
+  react(emoji) {
+    if (!this._canSend()) return;
+    this.app.socket.reactionSend(emoji);
+  }
+
+  /**
+   * Check if the chat popup is open.
+   * @returns {boolean} True if the chat popup is visible.
+   */
+  isOpen() {
+    return !this.$popup.classList.contains('hidden');
+  }
+
+  /**
+   * Display chat popup, clear unread count and request recent messages.
+   */
+  show() {
+    DOM.showPopup('chat-popup');
+
+    this.unread = 0;
+    this.renderUnread();
+    this.render();
+
+    if (this.app.socket.isConnected()) this.app.socket.chatList();
+    this.$input.focus();
+  }
+
+  /**
+   * Hide chat popup.
+   */
+  hide() {
+    DOM.hidePopup('chat-popup');
+  }
+
+  /**
+   * Toggle chat popup visibility.
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.hide();
+    } else {
+      this.show();
+    }
+  }
+
+  /**
+   * Float reaction up the screen, removing it once the animation ends.
+   * @param {string} emoji - Reaction emoji.
+   * @param {Object|null} actor - User who sent the reaction.
+   */
+  showReaction(emoji, actor) {
+    const $reaction = DOM.create(
+      'span',
+      { className: 'reaction-float', title: actor?.name || 'Anonymous User' },
+      emoji
+    );
+
+    $reaction.style.left = `${10 + Math.random() * 80}%`;
+    Events.on($reaction, 'animationend', () => $reaction.remove());
+
+    this.$reactionLayer.appendChild($reaction);
+  }
+
+  /**
+   * Create chat message element.
+   * @param {Object} message - Chat message.
+   * @returns {HTMLElement} Chat message element.
+   */
+  _createMessageEl(message) {
+    const isOwn = message.actor?.clientId === this.app.getCurrentUser().hashedId;
+    const $item = DOM.create('div', { className: `chat-message${isOwn ? ' own' : ''}` });
+    const $header = DOM.create('div', { className: 'chat-message-header' });
+
+    const time = new Date(message.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+    $header.appendChild(
+      DOM.create('span', { className: 'chat-message-actor' }, message.actor?.name || 'Anonymous User')
+    );
+    $header.appendChild(DOM.create('span', { className: 'chat-message-time' }, time));
+
+    $item.appendChild($header);
+    $item.appendChild(DOM.create('div', { className: 'chat-message-text' }, message.text));
+
+    return $item;
+  }
+
+  /**
+   * Render unread message badge on the chat button.
+   */
+  renderUnread() {
+    this.$unread.textContent = this.unread > 99 ? '99+' : String(this.unread);
+    this.$unread.classList.toggle('hidden', this.unread === 0);
+  }
+
+  /**
+   * Render chat messages and scroll to the latest message.
+   */
+  render() {
+    this.$list.innerHTML = '';
+
+    if (this.chat.messages.length === 0) {
+      this.$list.innerHTML = '<div class="empty-state">No messages yet</div>';
+      return;
+    }
+
+    this.chat.messages.forEach((message) => this.$list.appendChild(this._createMessageEl(message)));
+    this.$list.scrollTop = this.$list.scrollHeight;
+  }
+}
+
+export default ChatManager;
@@ -20,6 +20,7 @@ class IntervalsManager {
 
     this.isUpdating = false;
     this.collapsed = new Set(); // Track expanded intervals
+    this.conflict = null;
 
     this.$intervalsBtn = DOM.getId('interval-status');
     this.$intervalsList = DOM.getId('intervals-list');
@@ -27,6 +28,10 @@ class IntervalsManager {
     this.$importBtn = DOM.getId('import-btn');
     this.$exportBtn = DOM.getId('export-btn');
     this.$importInput = DOM.getId('import-file-input');
+    this.$conflictLocal = DOM.getId('conflict-local');
+    this.$conflictRemote = DOM.getId('conflict-remote');
+    this.$conflictLocalBtn = DOM.getId('conflict-local-btn');
+    this.$conflictRemoteBtn = DOM.getId('conflict-remote-btn');
 
     this._initialize();
   }
@@ -47,11 +52,14 @@ class IntervalsManager {
     Events.on(this.$importBtn, 'click', this.import.bind(this));
     Events.on(this.$exportBtn, 'click', this.export.bind(this));
     Events.on(this.$importInput, 'change', this.importFile.bind(this));
+    Events.on(this.$conflictLocalBtn, 'click', this.keepLocal.bind(this));
+    Events.on(this.$conflictRemoteBtn, 'click', this.useRemote.bind(this));
 
     Events.on(document, 'appRestarted', this.render.bind(this));
 
     Events.on(document, 'session_created', this.render.bind(this));
     Events.on(document, 'session_updated', this.render.bind(this));
+    Events.on(document, 'session_conflict', this.showConflict.bind(this));
   }
 
   /**
@@ -437,6 +445,79 @@ body {
     });
   }
 
+  /**
+   * Create summary of session name and intervals for the conflict dialog.
+   * @param {Object} version - Session content containing name and intervals.
+   * @returns {HTMLElement} Created summary element.
+   */
+  _createSummary(version) {
+    const $summary = DOM.create('div');
+    const $list = DOM.create('ol');
+
+    $summary.appendChild(DOM.create('div', { className: 'conflict-name' }, version?.name || 'Untitled session'));
+
+    (version?.intervals?.items || []).forEach((interval) => {
+      $list.appendChild(DOM.create('li', {}, `${interval.name} (${Utils.formatTime(interval.duration)})`));
+    });
+
+    $summary.appendChild($list);
+    return $summary;
+  }
+
+  /**
+   * Show conflict dialog comparing local session with the newer version on the server.
+   * @param {CustomEvent} event - Session conflict event containing server session content and revision.
+   */
+  showConflict(event) {
+    const session = this.app.getCurrentSession();
+    const { data } = event.detail;
+    if (!session || data.sessionId !== session.sessionId) return;
+
+    this.conflict = data;
+
+    this.$conflictLocal.replaceChildren(this._createSummary(session));
+    this.$conflictRemote.replaceChildren(this._createSummary(data.session));
+
+    DOM.showModal('conflict-modal');
+  }
+
+  /**
+   * Resolve conflict by sending local session again on top of the server revision.
+   */
+  keepLocal() {
+    const session = this.app.getCurrentSession();
+    const conflict = this.conflict;
+
+    this.conflict = null;
+    DOM.hideModal('conflict-modal');
+
+    if (!session || !conflict) return;
+
+    session.revision = conflict.revision;
+    this.app.socket.sessionUpdate(session);
+  }
+
+  /**
+   * Resolve conflict by replacing local session with the server version.
+   */
+  useRemote() {
+    const session = this.app.getCurrentSession();
+    const conflict = this.conflict;
+
+    this.conflict = null;
+    DOM.hideModal('conflict-modal');
+
+    if (!session || !conflict) return;
+
+    Object.assign(session, conflict.session);
+    session.revision = conflict.revision;
+
+    this.app.timer.updateIntervals();
+    this.app.saveCurrentSession();
+
+    Events.dispatch(document, 'session_updated', { data: conflict, session });
+  }
+
   /**
    * Display intervals configuration modal.
    */
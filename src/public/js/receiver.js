@@ -28,12 +28,27 @@ class Receiver {
   _handlers() {
     this.handlers.set('session_created', this._sessionCreated.bind(this));
     this.handlers.set('session_joined', this._sessionJoined.bind(this));
+    this.handlers.set('session_rejected', this._sessionRejected.bind(this));
+    this.handlers.set('session_protected', this._sessionProtected.bind(this));
+    this.handlers.set('recurrence_updated', this._recurrenceUpdated.bind(this));
+    this.handlers.set('tasks_updated', this._tasksUpdated.bind(this));
+    this.handlers.set('invite_created', this._inviteCreated.bind(this));
     this.handlers.set('session_updated', this._sessionUpdated.bind(this));
+    this.handlers.set('session_conflict', this._sessionConflict.bind(this));
     this.handlers.set('timer_updated', this._timerUpdated.bind(this));
+    this.handlers.set('interval_changed', this._intervalChanged.bind(this));
+    this.handlers.set('announcement', this._announcement.bind(this));
     this.handlers.set('user_connected', this._userConnected.bind(this));
     this.handlers.set('user_disconnected', this._userDisconnected.bind(this));
+    this.handlers.set('user_removed', this._userRemoved.bind(this));
     this.handlers.set('user_updated', this._userUpdated.bind(this));
     this.handlers.set('users_connected', this._usersConnected.bind(this));
+    this.handlers.set('history', this._history.bind(this));
+    this.handlers.set('stats', this._stats.bind(this));
+    this.handlers.set('chat', this._chat.bind(this));
+    this.handlers.set('chat_message', this._chatMessage.bind(this));
+    this.handlers.set('reaction', this._reaction.bind(this));
+    this.handlers.set('vote_updated', this._voteUpdated.bind(this));
   }
 
   /**
@@ -92,11 +107,50 @@ class Receiver {
    */
   _sessionJoined(data, session) {
     Object.assign(session, data.session);
+    session.isProtected = data.isProtected;
+    session.recurrence = data.recurrence;
     if (session.user.clientId !== data.clientId) {
       this._updateUser(data, session);
     }
   }
 
+  /**
+   * Handle session rejected message.
+   */
+  _sessionRejected() {}
+
+  /**
+   * Handle session protected message by updating session protection state.
+   * @param {Object} data - Session protection data containing sessionId and isProtected flag.
+   * @param {Object} session - Session object to update.
+   */
+  _sessionProtected(data, session) {
+    session.isProtected = data.isProtected;
+  }
+
+  /**
+   * Handle recurrence updated message by updating session recurring schedule.
+   * @param {Object} data - Recurrence data containing sessionId and recurrence, null when removed.
+   * @param {Object} session - Session object to update.
+   */
+  _recurrenceUpdated(data, session) {
+    session.recurrence = data.recurrence;
+  }
+
+  /**
+   * Handle tasks updated message by replacing session task list.
+   * @param {Object} data - Tasks data containing sessionId and tasks array.
+   * @param {Object} session - Session object to update.
+   */
+  _tasksUpdated(data, session) {
+    session.tasks = data.tasks;
+  }
+
+  /**
+   * Handle invite created message.
+   */
+  _inviteCreated() {}
+
   /**
    * Handle session updated message by merging new session data into existing session.
    * @param {Object} data - Session update data containing sessionId and session object.
@@ -104,8 +158,14 @@ class Receiver {
    */
   _sessionUpdated(data, session) {
     Object.assign(session, data.session);
+    session.revision = data.revision;
   }
 
+  /**
+   * Handle session conflict message, local session is kept until the user resolves the conflict.
+   */
+  _sessionConflict() {}
+
   /**
    * Handle timer updated message by merging new timer data into existing session timer.
    * @param {Object} data - Timer update data containing sessionId and timer object.
@@ -115,6 +175,20 @@ class Receiver {
     Object.assign(session.timer, data.timer);
   }
 
+  /**
+   * Handle interval changed message by merging timer state at interval boundary into existing session timer.
+   * @param {Object} data - Interval changed data containing sessionId, finished and next intervals, and timer object.
+   * @param {Object} session - Session object to update.
+   */
+  _intervalChanged(data, session) {
+    Object.assign(session.timer, data.timer);
+  }
+
+  /**
+   * Handle announcement message.
+   */
+  _announcement() {}
+
   /**
    * Handle user connected message.
    */
@@ -125,6 +199,11 @@ class Receiver {
    */
   _userDisconnected() {}
 
+  /**
+   * Handle user removed message.
+   */
+  _userRemoved() {}
+
   /**
    * Handle user updated message.
    */
@@ -135,6 +214,36 @@ class Receiver {
    */
   _usersConnected() {}
 
+  /**
+   * Handle history message.
+   */
+  _history() {}
+
+  /**
+   * Handle stats message.
+   */
+  _stats() {}
+
+  /**
+   * Handle chat message.
+   */
+  _chat() {}
+
+  /**
+   * Handle chat message message.
+   */
+  _chatMessage() {}
+
+  /**
+   * Handle reaction message.
+   */
+  _reaction() {}
+
+  /**
+   * Handle vote updated message.
+   */
+  _voteUpdated() {}
+
   /**
    * Update user information in session.
    * @param {Object} data - User data.
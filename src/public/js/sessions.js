@@ -1,4 +1,42 @@
 import Utils, { DOM, Events, Storage } from './utils.js';
+import { DEFAULT_ROLE, DEFAULT_USER_STATUS } from './shared/constants.js';
+
+const ROLE_LABELS = {
+  owner: 'Owner',
+  controller: 'Controller',
+  viewer: 'Viewer',
+};
+
+const STATUS_LABELS = {
+  available: 'Available',
+  focusing: 'Focusing',
+  break: 'On break',
+  away: 'Away',
+};
+
+const HISTORY_LABELS = {
+  'user.joined': 'joined',
+  'user.left': 'left',
+  'timer.start': 'started the timer',
+  'timer.pause': 'paused the timer',
+  'timer.resume': 'resumed the timer',
+  'timer.stop': 'stopped the timer',
+  'timer.next': 'skipped to the next interval',
+  'timer.repeat': 'changed repeat mode',
+  'timer.seek': 'moved the timer',
+  'timer.schedule': 'scheduled the timer',
+  'timer.updated': 'updated the timer',
+  'session.updated': 'edited the session',
+  'recurrence.updated': 'changed the recurring schedule',
+};
+
+// History actions of update messages that do not carry their own action
+const MESSAGE_ACTIONS = {
+  session_updated: 'session.updated',
+  recurrence_updated: 'recurrence.updated',
+};
+
+const HISTORY_LIMIT = 20;
 
 /**
  * Session manager class for handling session and user management.
@@ -11,6 +49,9 @@ class SessionManager {
   constructor(app) {
     this.app = app;
 
+    this.credentials = {};
+    this.history = { sessionId: null, entries: [] };
+
     this.$sessionsBtn = DOM.getId('sessions-btn');
     this.$sessionName = DOM.getId('session-name');
     this.$sessionDesc = DOM.getId('session-description');
@@ -18,6 +59,7 @@ class SessionManager {
     this.$connectedUsers = DOM.getId('connected-users');
     this.$usersPopup = DOM.getId('users-popup');
     this.$usersList = DOM.getId('users-list');
+    this.$historyList = DOM.getId('history-list');
     this.$sessionsPopup = DOM.getId('sessions-popup');
     this.$sessionList = DOM.getId('sessions-list');
     this.$clearBtn = DOM.getId('clear-all-sessions-btn');
@@ -89,10 +131,22 @@ class SessionManager {
 
     Events.on(document, 'session_created', this.render.bind(this));
     Events.on(document, 'session_joined', this.render.bind(this));
+    Events.on(document, 'session_rejected', this._rejected.bind(this));
     Events.on(document, 'user_connected', this.render.bind(this));
     Events.on(document, 'user_disconnected', this.render.bind(this));
     Events.on(document, 'user_updated', this.render.bind(this));
     Events.on(document, 'users_connected', this.render.bind(this));
+    Events.on(document, 'user_removed', this._removed.bind(this));
+    Events.on(document, 'profileUpdated', this.renderUsers.bind(this));
+    Events.on(document, 'history', this._history.bind(this));
+
+    ['user_connected', 'user_updated', 'timer_updated', 'session_updated'].forEach((type) => {
+      Events.on(document, type, this._fetchHistory.bind(this));
+    });
+
+    Events.on(document, 'timer_updated', this._notifyActivity.bind(this));
+    Events.on(document, 'session_updated', this._notifyActivity.bind(this));
+    Events.on(document, 'recurrence_updated', this._notifyActivity.bind(this));
   }
 
   /**
@@ -102,6 +156,78 @@ class SessionManager {
     this.app.socket.usersList();
   }
 
+  /**
+   * Request session history from server while the users popup is open.
+   */
+  _fetchHistory() {
+    if (this.$usersPopup.classList.contains('hidden')) return;
+    this.app.socket.historyList();
+  }
+
+  /**
+   * Show notification naming the user who changed the timer, session or recurrence, unless it was the current user.
+   * @param {CustomEvent} event - Event containing the timer, session or recurrence updated message.
+   */
+  _notifyActivity(event) {
+    const { data } = event.detail;
+    if (!data?.actor || data.actor.clientId === this.app.getCurrentUser().hashedId) return;
+    if (!Storage.getClientSetting('activityNotifications', true)) return;
+
+    const action = MESSAGE_ACTIONS[data.type] || data.action;
+    const label = HISTORY_LABELS[action] || HISTORY_LABELS['timer.updated'];
+
+    Utils.showNotification(`${data.actor.name || 'Anonymous User'} ${label}`, 'info', 'activity-notification');
+  }
+
+  /**
+   * Store session history received from the server and render it in the users popup.
+   * @param {CustomEvent} event - Event containing the history message.
+   */
+  _history(event) {
+    const { data } = event.detail;
+    this.history = { sessionId: data.sessionId, entries: data.entries || [] };
+    this.renderUsers();
+  }
+
+  /**
+   * Prompt for the session password when the server rejects a join request.
+   * @param {CustomEvent} event - Event containing the session rejected message.
+   */
+  async _rejected(event) {
+    const { data } = event.detail;
+
+    const message =
+      data.reason === 'invalid_credentials'
+        ? 'Incorrect password or expired invite. Enter the session password to join.'
+        : 'This session is password protected. Enter the session password to join.';
+
+    const password = await Utils.showPrompt(message, {
+      type: 'password',
+      okText: 'Join',
+      cancelText: 'New Session',
+    });
+
+    if (password === null) {
+      this.app.restart();
+      return;
+    }
+
+    this.credentials = { password };
+    this.app.socket.sessionJoin(this.app.getCurrentSession(), this.app.getCurrentUser(), this.credentials);
+  }
+
+  /**
+   * Notify other users when a user is kicked or banned from the session.
+   * @param {CustomEvent} event - Event containing the user removed message.
+   */
+  _removed(event) {
+    const { data } = event.detail;
+    if (data.clientId === this.app.getCurrentUser().hashedId) return;
+
+    const name = this.app.getConnectedUsers()?.[data.clientId]?.name || 'Anonymous User';
+    Utils.showNotification(`${name} was ${data.isBanned ? 'banned' : 'removed'} from the session`);
+  }
+
   /**
    * Create a connected user item element for the users popup.
    * @param {Object} user - User object.
@@ -128,15 +254,141 @@ class SessionManager {
       user.name || 'Anonymous User'
     );
 
+    const isOwner = this.app.getCurrentUserRole() === 'owner';
+    const isSelf = user.clientId === this.app.getCurrentUser().hashedId;
+
     $avatar.appendChild($image);
     $info.appendChild($name);
+    $info.appendChild(this._createStatusEl(user));
+    $info.appendChild(isOwner && !isSelf ? this._createRoleSelectEl(user) : this._createRoleEl(user));
 
     $item.appendChild($avatar);
     $item.appendChild($info);
+    if (isOwner && !isSelf) $item.appendChild(this._createUserActionsEl(user));
+
+    return $item;
+  }
+
+  /**
+   * Create kick and ban buttons allowing the session owner to remove a user from the session.
+   * @param {Object} user - User object.
+   * @returns {HTMLElement} User actions element.
+   */
+  _createUserActionsEl(user) {
+    const name = user.name || 'Anonymous User';
+    const $actions = DOM.create('div', { className: 'user-item-actions' });
+
+    const $kickBtn = DOM.create(
+      'button',
+      { className: 'btn-neutral btn-small', title: 'Remove from session, they can rejoin later' },
+      'Kick'
+    );
+    const $banBtn = DOM.create(
+      'button',
+      { className: 'btn-danger btn-small', title: 'Remove from session and refuse them until it ends' },
+      'Ban'
+    );
+
+    Events.on($kickBtn, 'click', async () => {
+      const confirmed = await Utils.showConfirm(`Remove "${name}" from the session?`, { okText: 'Kick' });
+      if (confirmed) this.app.socket.userKick(user.clientId);
+    });
+    Events.on($banBtn, 'click', async () => {
+      const confirmed = await Utils.showConfirm(`Ban "${name}" until the session ends?`, { okText: 'Ban' });
+      if (confirmed) this.app.socket.userBan(user.clientId);
+    });
+
+    $actions.appendChild($kickBtn);
+    $actions.appendChild($banBtn);
+
+    return $actions;
+  }
+
+  /**
+   * Create a presence status element for a connected user item, offline users show as offline.
+   * @param {Object} user - User object.
+   * @returns {HTMLElement} Status element.
+   */
+  _createStatusEl(user) {
+    const status = user.isOnline ? user.status || DEFAULT_USER_STATUS : 'offline';
+    const label = STATUS_LABELS[status] || 'Offline';
+    const text = user.isOnline && user.statusText ? `${label} · ${user.statusText}` : label;
+
+    return DOM.create('div', { className: `user-item-status status-${status}`, title: text }, text);
+  }
+
+  /**
+   * Create a recent activity item element for the users popup.
+   * @param {Object} entry - History entry.
+   * @returns {HTMLElement} History item element.
+   */
+  _createHistoryEl(entry) {
+    const $item = DOM.create('div', { className: 'history-item' });
+    const $text = DOM.create('div', { className: 'history-item-text' });
+    const $actor = DOM.create(
+      'span',
+      { className: 'history-item-actor' },
+      entry.actor ? entry.actor.name || 'Anonymous User' : 'API'
+    );
+
+    const time = new Date(entry.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const $time = DOM.create('div', { className: 'history-item-time' }, time);
+
+    $text.appendChild($actor);
+    $text.appendChild(document.createTextNode(` ${HISTORY_LABELS[entry.action] || entry.action}`));
+
+    $item.appendChild($text);
+    $item.appendChild($time);
 
     return $item;
   }
 
+  /**
+   * Create a role label element for a connected user item.
+   * @param {Object} user - User object.
+   * @returns {HTMLElement} Role label element.
+   */
+  _createRoleEl(user) {
+    const role = user.role || DEFAULT_ROLE;
+    return DOM.create('div', { className: `user-item-role role-${role}` }, ROLE_LABELS[role]);
+  }
+
+  /**
+   * Create a role select element allowing the session owner to change a user's role.
+   * @param {Object} user - User object.
+   * @returns {HTMLElement} Role select element.
+   */
+  _createRoleSelectEl(user) {
+    const role = user.role || DEFAULT_ROLE;
+    const $select = DOM.create('select', { className: 'user-item-role-select' });
+
+    Object.entries(ROLE_LABELS).forEach(([value, label]) => {
+      const $option = DOM.create('option', { value, selected: value === role }, label);
+      $select.appendChild($option);
+    });
+
+    Events.on($select, 'change', async () => {
+      const selected = $select.value;
+
+      if (selected === 'owner') {
+        const name = user.name || 'Anonymous User';
+        const confirmed = await Utils.showConfirm(`Transfer session ownership to "${name}"?`);
+        if (!confirmed) {
+          $select.value = role;
+          return;
+        }
+      }
+
+      if (selected === 'viewer') {
+        this.app.socket.roleRevoke(user.clientId);
+      } else {
+        this.app.socket.roleGrant(user.clientId, selected);
+      }
+    });
+
+    return $select;
+  }
+
   /**
    * Create a session list item element for the sessions popup.
    * @param {Object} session - Session data object.
@@ -289,7 +541,7 @@ class SessionManager {
    */
   _waitSocket(session, user) {
     const handler = () => {
-      this.app.socket.sessionJoin(session, user);
+      this.app.socket.sessionJoin(session, user, this.credentials);
     };
 
     if (this.app.socket.isConnected()) {
@@ -306,7 +558,7 @@ class SessionManager {
     const sessionId = Utils.getSessionIdFromUrl();
 
     if (sessionId) {
-      this.join(sessionId);
+      this.join(sessionId, { invite: Utils.getInviteFromUrl() });
     } else {
       this.create();
     }
@@ -322,8 +574,9 @@ class SessionManager {
   /**
    * Connect to session and initialize user state.
    * @param {string} sessionId - Session ID to join.
+   * @param {Object} [credentials={}] - Optional password or invite token for protected sessions.
    */
-  join(sessionId) {
+  join(sessionId, credentials = {}) {
     if (!Utils.isValidSessionId(sessionId)) {
       console.log('Sanitizing invalid session ID:', sessionId);
       sessionId = Utils.generateSessionId(sessionId);
@@ -332,9 +585,12 @@ class SessionManager {
     const session = Storage.loadSession(sessionId);
     const user = session.user?.clientId ? session.user : this.app.getCurrentUser();
 
+    this.credentials = credentials;
+
     this.app.setCurrentSession(session);
     this.app.setConnectedUser(user);
     this.app.timer.reload(true);
+    this.app.tasks.render();
 
     this._waitSocket(session, user);
 
@@ -359,10 +615,20 @@ class SessionManager {
   }
 
   /**
-   * Render the list of connected users in the popup.
+   * Render the list of connected users and recent session activity in the popup.
    */
   renderUsers() {
     this.$usersList.innerHTML = '';
+    this.$historyList.innerHTML = '';
+
+    const hasHistory = this.history.sessionId === this.app.getCurrentSessionId();
+    const entries = hasHistory ? this.history.entries.slice(-HISTORY_LIMIT).reverse() : [];
+
+    if (entries.length === 0) {
+      this.$historyList.innerHTML = '<p class="empty-state">No recent activity</p>';
+    } else {
+      entries.forEach((entry) => this.$historyList.appendChild(this._createHistoryEl(entry)));
+    }
 
     if (this.app.getConnectedUserCount() === 0) {
       this.$usersList.innerHTML = '<p class="empty-state">No users currently connected</p>';
@@ -433,6 +699,7 @@ class SessionManager {
   showUsers() {
     this.renderUsers();
     DOM.showPopup('users-popup');
+    this.app.socket.historyList();
   }
 }
 
@@ -1,4 +1,8 @@
 import Utils, { DOM, Events, Storage } from './utils.js';
+import { getNextRun, getNextRuns, isValidTimezone } from './shared/schedule.js';
+import { RECURRENCE_TIME_REGEX } from './shared/constants.js';
+
+const RECURRENCE_PREVIEW = 5;
 
 /**
  * Settings manager class.
@@ -18,13 +22,29 @@ class SettingsManager {
     this.$sessionNameInput = DOM.getId('session-name-input');
     this.$sessionDescInput = DOM.getId('session-desc-input');
     this.$repeatToggle = DOM.getId('repeat-toggle');
+    this.$scheduleInput = DOM.getId('schedule-input');
+    this.$scheduleStatus = DOM.getId('schedule-status');
     this.$focusModeToggle = DOM.getId('focus-mode-toggle');
     this.$audioToggle = DOM.getId('audio-toggle');
     this.$wakeLockToggle = DOM.getId('wake-lock-toggle');
+    this.$activityToggle = DOM.getId('activity-toggle');
     this.$focusModeBtn = DOM.getId('focus-mode-btn');
     this.$focusModeLine = DOM.getId('focus-mode-disabled-line');
     this.$wakeLockBtn = DOM.getId('wake-lock-btn');
     this.$wakeLockLine = DOM.getId('wake-lock-disabled-line');
+    this.$protection = DOM.getId('session-protection');
+    this.$passwordInput = DOM.getId('session-password-input');
+    this.$passwordStatus = DOM.getId('session-password-status');
+    this.$passwordBtn = DOM.getId('session-password-btn');
+    this.$inviteBtn = DOM.getId('session-invite-btn');
+    this.$recurrence = DOM.getId('recurrence-section');
+    this.$recurrenceDays = DOM.queryAll('#recurrence-days input');
+    this.$recurrenceTimesInput = DOM.getId('recurrence-times-input');
+    this.$recurrenceTimezoneInput = DOM.getId('recurrence-timezone-input');
+    this.$recurrenceStatus = DOM.getId('recurrence-status');
+    this.$recurrencePreview = DOM.getId('recurrence-preview');
+    this.$recurrenceSaveBtn = DOM.getId('recurrence-save-btn');
+    this.$recurrenceRemoveBtn = DOM.getId('recurrence-remove-btn');
 
     this._initialize();
   }
@@ -47,19 +67,38 @@ class SettingsManager {
     Events.on(this.$sessionDescInput, 'blur', Utils.debounce(this.save.bind(this), 500));
 
     Events.on(this.$repeatToggle, 'change', this.toggleRepeat.bind(this));
+    Events.on(this.$scheduleInput, 'change', this.changeSchedule.bind(this));
     Events.on(this.$focusModeToggle, 'change', this.toggleFocusMode.bind(this));
     Events.on(this.$audioToggle, 'change', this.toggleAudio.bind(this));
     Events.on(this.$wakeLockToggle, 'change', this.toggleWakeLock.bind(this));
+    Events.on(this.$activityToggle, 'change', this.toggleActivity.bind(this));
 
     Events.on(this.$wakeLockBtn, 'click', this.toggleWakeLock.bind(this));
     Events.on(this.$focusModeBtn, 'click', this.toggleFocusMode.bind(this));
 
+    Events.on(this.$passwordBtn, 'click', this.savePassword.bind(this));
+    Events.on(this.$inviteBtn, 'click', this.createInvite.bind(this));
+
+    Events.on(this.$recurrenceSaveBtn, 'click', this.saveRecurrence.bind(this));
+    Events.on(this.$recurrenceRemoveBtn, 'click', this.removeRecurrence.bind(this));
+    Events.on(this.$recurrenceTimesInput, 'input', this.renderRecurrencePreview.bind(this));
+    Events.on(this.$recurrenceTimezoneInput, 'input', this.renderRecurrencePreview.bind(this));
+    this.$recurrenceDays.forEach(($day) => Events.on($day, 'change', this.renderRecurrencePreview.bind(this)));
+
     Events.on(document, 'audioUnlocked', this.renderToggleStates.bind(this));
     Events.on(document, 'appRestarted', this.render.bind(this));
 
     Events.on(document, 'session_created', this.render.bind(this));
     Events.on(document, 'session_updated', this.render.bind(this));
     Events.on(document, 'timer_updated', this.render.bind(this));
+    Events.on(document, 'session_protected', this.renderProtection.bind(this));
+    Events.on(document, 'user_updated', this.renderProtection.bind(this));
+
+    // Recurrence form is not rendered on timer updates so edits in progress are kept
+    Events.on(document, 'appRestarted', this.renderRecurrence.bind(this));
+    Events.on(document, 'session_joined', this.renderRecurrence.bind(this));
+    Events.on(document, 'recurrence_updated', this.renderRecurrence.bind(this));
+    Events.on(document, 'user_updated', this.renderRecurrence.bind(this));
   }
 
   /**
@@ -223,6 +262,22 @@ class SettingsManager {
     this.app.timer.repeat();
   }
 
+  /**
+   * Handle changes to the scheduled start picker, clearing the schedule when input is emptied.
+   * @param {Event} event - The change event from the schedule input.
+   */
+  changeSchedule(event) {
+    const time = event.target.value ? new Date(event.target.value).getTime() : 0;
+
+    if (time && time <= this.app.socket.now()) {
+      Utils.showNotification('Scheduled start must be in the future', 'error');
+      this.renderSchedule();
+      return;
+    }
+
+    this.app.timer.schedule(time || 0);
+  }
+
   /**
    * Handle changes to the audio toggle setting.
    * @param {Event} event - The change event from the audio toggle input.
@@ -243,6 +298,14 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Handle changes to the activity notifications toggle setting.
+   * @param {Event} event - The change event from the activity toggle input.
+   */
+  toggleActivity(event) {
+    Storage.saveClientSetting('activityNotifications', event.target.checked);
+  }
+
   /**
    * Handle changes to the wake lock toggle setting.
    */
@@ -268,6 +331,96 @@ class SettingsManager {
     this.$sessionDescInput.value = session?.description || '';
   }
 
+  /**
+   * Render the session protection section, only shown to the session owner.
+   */
+  renderProtection() {
+    const session = this.app.getCurrentSession();
+    const isOwner = this.app.getCurrentUserRole() === 'owner';
+
+    this.$protection.style.display = isOwner && this.app.socket.isConnected() ? 'block' : 'none';
+    this.$passwordStatus.textContent = session?.isProtected
+      ? 'Password required to join, invite links skip the password'
+      : 'Anyone with the session link can join';
+    this.$passwordBtn.textContent = session?.isProtected ? 'Change Password' : 'Set Password';
+  }
+
+  /**
+   * Render the scheduled start picker, disabled while timer is running or for users who cannot control it.
+   */
+  renderSchedule() {
+    const session = this.app.getCurrentSession();
+    const scheduledStartAt = session?.timer?.scheduledStartAt || 0;
+    const isRunning = session?.timer?.isRunning || false;
+
+    // Offset timestamp so ISO string shows local date and time expected by datetime-local input
+    const local = new Date(scheduledStartAt - new Date(scheduledStartAt).getTimezoneOffset() * 60000);
+
+    this.$scheduleInput.value = scheduledStartAt ? local.toISOString().slice(0, 16) : '';
+    this.$scheduleInput.disabled = isRunning || !this.app.canControl();
+
+    if (isRunning) {
+      this.$scheduleStatus.textContent = 'Timer is already running';
+    } else if (scheduledStartAt) {
+      this.$scheduleStatus.textContent = `Timer starts ${new Date(scheduledStartAt).toLocaleString()}`;
+    } else {
+      this.$scheduleStatus.textContent = 'Timer starts when started manually';
+    }
+  }
+
+  /**
+   * Render the recurring start form from the session recurrence, only shown while connected to the server.
+   */
+  renderRecurrence() {
+    const session = this.app.getCurrentSession();
+    const recurrence = session?.recurrence || null;
+    const canControl = this.app.canControl();
+
+    this.$recurrence.style.display = session && this.app.socket.isConnected() ? 'block' : 'none';
+
+    this.$recurrenceDays.forEach(($day) => {
+      $day.checked = recurrence ? recurrence.days.includes(Number($day.value)) : false;
+      $day.disabled = !canControl;
+    });
+
+    this.$recurrenceTimesInput.value = recurrence ? recurrence.times.join(', ') : '';
+    this.$recurrenceTimezoneInput.value = recurrence ? recurrence.timezone : '';
+    this.$recurrenceTimezoneInput.placeholder = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+    this.$recurrenceTimesInput.disabled = !canControl;
+    this.$recurrenceTimezoneInput.disabled = !canControl;
+    this.$recurrenceSaveBtn.disabled = !canControl;
+    this.$recurrenceRemoveBtn.disabled = !canControl || !recurrence;
+
+    const next = getNextRun(recurrence, this.app.socket.now());
+    this.$recurrenceStatus.textContent = next ? `Next run ${new Date(next).toLocaleString()}` : 'No recurring schedule';
+
+    this.renderRecurrencePreview();
+  }
+
+  /**
+   * Render upcoming runs of the recurrence entered in the form, including unsaved changes.
+   */
+  renderRecurrencePreview() {
+    const runs = getNextRuns(this.getRecurrenceInput(), this.app.socket.now(), RECURRENCE_PREVIEW);
+
+    this.$recurrencePreview.replaceChildren(
+      ...runs.map((run) =>
+        DOM.create(
+          'li',
+          {},
+          new Date(run).toLocaleString(undefined, {
+            weekday: 'short',
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit',
+          })
+        )
+      )
+    );
+  }
+
   /**
    * Update the toggle states in the settings modal to reflect current settings.
    */
@@ -278,6 +431,7 @@ class SettingsManager {
     this.$focusModeToggle.checked = Storage.getClientSetting('focusMode', false);
     this.$audioToggle.checked = this.app.alerts.isReady() && this.app.alerts.volumeIndex > 0;
     this.$wakeLockToggle.checked = this.noSleep.isEnabled;
+    this.$activityToggle.checked = Storage.getClientSetting('activityNotifications', true);
   }
 
   /**
@@ -306,6 +460,8 @@ class SettingsManager {
   render() {
     this.renderSettings();
     this.renderToggleStates();
+    this.renderSchedule();
+    this.renderProtection();
   }
 
   /**
@@ -336,11 +492,85 @@ class SettingsManager {
     }
   }
 
+  /**
+   * Set or remove the session password.
+   */
+  async savePassword() {
+    const password = this.$passwordInput.value;
+
+    if (!password) {
+      const confirmed = await Utils.showConfirm('Remove the session password? Anyone with the link can join.');
+      if (!confirmed) return;
+    }
+
+    this.app.socket.sessionProtect(password);
+    this.$passwordInput.value = '';
+  }
+
+  /**
+   * Read recurrence entered in the recurring start form, timezone defaults to the local timezone.
+   * @returns {Object} Recurrence with `days`, `times` as "HH:MM" and `timezone`.
+   */
+  getRecurrenceInput() {
+    return {
+      days: Array.from(this.$recurrenceDays)
+        .filter(($day) => $day.checked)
+        .map(($day) => Number($day.value)),
+      times: this.$recurrenceTimesInput.value
+        .split(/[\s,]+/)
+        .filter(Boolean)
+        .map((time) => time.padStart(5, '0')),
+      timezone: this.$recurrenceTimezoneInput.value.trim() || Intl.DateTimeFormat().resolvedOptions().timeZone,
+    };
+  }
+
+  /**
+   * Validate and save the recurring start entered in the form.
+   */
+  saveRecurrence() {
+    const recurrence = this.getRecurrenceInput();
+
+    if (recurrence.days.length === 0) {
+      Utils.showNotification('Select at least one day', 'error');
+      return;
+    }
+
+    if (recurrence.times.length === 0 || !recurrence.times.every((time) => RECURRENCE_TIME_REGEX.test(time))) {
+      Utils.showNotification('Enter start times as HH:MM, separated by commas', 'error');
+      return;
+    }
+
+    if (!isValidTimezone(recurrence.timezone)) {
+      Utils.showNotification('Unknown timezone', 'error');
+      return;
+    }
+
+    this.app.socket.recurrenceUpdate(recurrence);
+  }
+
+  /**
+   * Remove the recurring start after confirmation.
+   */
+  async removeRecurrence() {
+    const confirmed = await Utils.showConfirm('Remove the recurring schedule? The next scheduled start is cancelled.');
+    if (!confirmed) return;
+
+    this.app.socket.recurrenceUpdate(null);
+  }
+
+  /**
+   * Request a signed invite link for the session.
+   */
+  createInvite() {
+    this.app.socket.inviteCreate();
+  }
+
   /**
    * Show the settings modal dialog.
    */
   show() {
     this.render();
+    this.renderRecurrence();
     DOM.showModal('settings-modal');
   }
 }
@@ -32,6 +32,8 @@ class ShareManager {
   _listeners() {
     Events.on(this.$shareBtn, 'click', this.share.bind(this));
     Events.on(this.$copyBtn, 'click', this.copy.bind(this));
+
+    Events.on(document, 'invite_created', this.shareInvite.bind(this));
   }
 
   /**
@@ -50,6 +52,23 @@ class ShareManager {
     }
   }
 
+  /**
+   * Share invite URL received from the server via clipboard or modal fallback.
+   * @param {CustomEvent} event - Event containing the invite created message.
+   */
+  shareInvite(event) {
+    const { data, session } = event.detail;
+    const url = `${this.generateUrl(session)}?invite=${encodeURIComponent(data.invite)}`;
+
+    try {
+      Utils.copyToClipboard(url);
+      Utils.showNotification('Invite link copied to clipboard!', 'success', 'share-notification');
+    } catch (error) {
+      console.warn('Failed to copy to clipboard:', error);
+      this.show(url);
+    }
+  }
+
   /**
    * Copy the current session URL to the clipboard.
    */
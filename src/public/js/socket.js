@@ -1,4 +1,5 @@
-import { DOM, Events } from './utils.js';
+import Utils, { DOM, Events } from './utils.js';
+import { CLOSE_CODES } from './shared/constants.js';
 
 /**
  * WebSocket client manager.
@@ -20,6 +21,11 @@ class SocketClient {
     this.heartbeatInterval = null;
     this.heartbeatTimeout = null;
 
+    this.clockOffset = 0;
+    this.roundTripTime = 0;
+    this.clockSamples = [];
+    this.maxClockSamples = 8;
+
     this.$avatarLarge = DOM.getId('user-avatar-large');
     this.$statusElement = DOM.getId('user-profile-btn');
     this.$statusText = DOM.getId('connection-status');
@@ -33,6 +39,13 @@ class SocketClient {
       error: 'Connection failed',
     };
 
+    // Close codes sent by the server when reconnecting would not rejoin the session
+    this.closeNotices = {
+      [CLOSE_CODES.KICKED]: 'You were removed from this session',
+      [CLOSE_CODES.BANNED]: 'You were banned from this session',
+      [CLOSE_CODES.SESSION_DELETED]: 'This session has been deleted',
+    };
+
     this._initialize();
   }
 
@@ -85,7 +98,12 @@ class SocketClient {
     console.log('WebSocket disconnected:', event.code, event.reason);
     Events.dispatch(document, 'websocketDisconnected');
 
-    if (event.code !== 1000 && this.reconnectAttempts < this.maxReconnectAttempts) {
+    const notice = this.closeNotices[event.code];
+    if (notice) {
+      Utils.showNotification(notice, 'error');
+    }
+
+    if (!notice && event.code !== 1000 && this.reconnectAttempts < this.maxReconnectAttempts) {
       this._scheduleReconnect();
     } else {
       this.statusText = 'disconnected';
@@ -125,21 +143,53 @@ class SocketClient {
   }
 
   /**
-   * Begin periodic ping messages to maintain connection.
+   * Begin periodic ping messages to maintain connection, pinging immediately to measure clock offset.
    */
   _startHeartbeat() {
-    this.heartbeatInterval = setInterval(() => {
-      if (this.hasConnection) {
-        this.send({
-          type: 'ping',
-        });
-
-        this.heartbeatTimeout = setTimeout(() => {
-          console.warn('Heartbeat timeout, closing connection');
-          this.ws.close();
-        }, 5000);
-      }
-    }, 30000);
+    this._ping();
+    this.heartbeatInterval = setInterval(this._ping.bind(this), 30000);
+  }
+
+  /**
+   * Send timestamped ping message and close connection if no pong is received.
+   */
+  _ping() {
+    if (!this.hasConnection) return;
+
+    this.send({
+      type: 'ping',
+      clientTime: Date.now(),
+    });
+
+    clearTimeout(this.heartbeatTimeout);
+    this.heartbeatTimeout = setTimeout(() => {
+      console.warn('Heartbeat timeout, closing connection');
+      this.ws.close();
+    }, 5000);
+  }
+
+  /**
+   * Estimate round-trip time and clock offset from pong timestamps.
+   * Uses the offset from the sample with the lowest round-trip time, as it has the least network delay error.
+   * @param {Object} message - Pong message containing echoed client time and server time.
+   */
+  _updateClock(message) {
+    const now = Date.now();
+    if (!message.clientTime || !message.serverTime) return;
+
+    const roundTripTime = Math.max(0, now - message.clientTime);
+    const offset = message.serverTime + roundTripTime / 2 - now;
+
+    this.clockSamples.push({ roundTripTime, offset });
+    if (this.clockSamples.length > this.maxClockSamples) this.clockSamples.shift();
+
+    const best = this.clockSamples.reduce((a, b) => (b.roundTripTime < a.roundTripTime ? b : a));
+    const delta = Math.round(best.offset) - this.clockOffset;
+
+    this.clockOffset += delta;
+    this.roundTripTime = roundTripTime;
+
+    Events.dispatch(document, 'clockSynced', { offset: this.clockOffset, roundTripTime, delta });
   }
 
   /**
@@ -170,6 +220,7 @@ class SocketClient {
           clearTimeout(this.heartbeatTimeout);
           this.heartbeatTimeout = null;
         }
+        this._updateClock(message);
         return;
       }
 
@@ -187,6 +238,14 @@ class SocketClient {
     return this.hasConnection;
   }
 
+  /**
+   * Get current time on the server clock, estimated from the local clock and measured offset.
+   * @returns {number} Estimated server time in milliseconds.
+   */
+  now() {
+    return Date.now() + this.clockOffset;
+  }
+
   /**
    * Establish WebSocket connection to server.
    */
@@ -257,8 +316,9 @@ class SocketClient {
    * Request to join session with user data.
    * @param {Object} session - The session object containing intervals and timer data.
    * @param {Object} user - The user data to send.
+   * @param {Object} [credentials={}] - Optional password or invite token for protected sessions.
    */
-  sessionJoin(session, user) {
+  sessionJoin(session, user, credentials = {}) {
     const intervals = session?.intervals || { lastUpdated: 0, items: [] };
     const timer = session?.timer;
 
@@ -281,18 +341,27 @@ class SocketClient {
         clientId: user?.clientId || '',
         name: user?.name || '',
         avatarUrl: user?.avatarUrl || '',
+        status: user?.status || '',
+        statusText: user?.statusText || '',
       },
+      ...(credentials?.password ? { password: credentials.password } : {}),
+      ...(credentials?.invite ? { invite: credentials.invite } : {}),
+      tasks: Array.isArray(session?.tasks) ? session.tasks : [],
     });
   }
 
   /**
-   * Send session intervals update to server.
+   * Send session intervals update to server, built on the session revision.
+   * The revision is bumped optimistically as the server increments it when the update is accepted.
    * @param {Object} session - The session object containing intervals and timer data.
    * @param {boolean} [updateTimer=false] - Whether to include timer state in the update.
    */
   sessionUpdate(session, updateTimer = false) {
+    if (!this.isConnected()) return;
+
     const intervals = session?.intervals || { lastUpdated: 0, items: [] };
     const timer = session?.timer;
+    const revision = Number(session?.revision) || 0;
 
     this.send({
       type: 'session_update',
@@ -312,7 +381,10 @@ class SocketClient {
             },
           }
         : {}),
+      revision,
     });
+
+    session.revision = revision + 1;
   }
 
   /**
@@ -334,6 +406,19 @@ class SocketClient {
     });
   }
 
+  /**
+   * Send a timer command for the server to apply to the session timer.
+   * @param {string} command - Timer command, one of start, pause, resume, stop, next, repeat or seek.
+   * @param {Object} [options={}] - Command arguments, `repeat` for repeat and `interval`/`remaining` for seek.
+   */
+  timerCommand(command, options = {}) {
+    this.send({
+      type: 'timer_command',
+      command,
+      ...options,
+    });
+  }
+
   /**
    * Update the user profile for a session.
    * @param {Object} session - The session object containing user data.
@@ -347,6 +432,8 @@ class SocketClient {
         clientId: user?.clientId,
         name: user?.name,
         avatarUrl: user?.avatarUrl,
+        status: user?.status,
+        statusText: user?.statusText,
       },
     });
   }
@@ -360,6 +447,191 @@ class SocketClient {
     });
   }
 
+  /**
+   * Request the session activity history from the server.
+   */
+  historyList() {
+    this.send({
+      type: 'history_list',
+    });
+  }
+
+  /**
+   * Request the focus statistics of session users from the server.
+   */
+  statsList() {
+    this.send({
+      type: 'stats_list',
+    });
+  }
+
+  /**
+   * Grant a role to a user in the session.
+   * @param {string} clientId - Hashed client ID of the user.
+   * @param {string} role - Role to grant.
+   */
+  roleGrant(clientId, role) {
+    this.send({
+      type: 'role_grant',
+      clientId,
+      role,
+    });
+  }
+
+  /**
+   * Revoke control of the session from a user, making them a viewer.
+   * @param {string} clientId - Hashed client ID of the user.
+   */
+  roleRevoke(clientId) {
+    this.send({
+      type: 'role_revoke',
+      clientId,
+    });
+  }
+
+  /**
+   * Remove a user from the session, they can rejoin after a short time.
+   * @param {string} clientId - Hashed client ID of the user.
+   */
+  userKick(clientId) {
+    this.send({
+      type: 'user_kick',
+      clientId,
+    });
+  }
+
+  /**
+   * Remove a user from the session and refuse them for as long as the session exists.
+   * @param {string} clientId - Hashed client ID of the user.
+   */
+  userBan(clientId) {
+    this.send({
+      type: 'user_ban',
+      clientId,
+    });
+  }
+
+  /**
+   * Set or remove the session password.
+   * @param {string} password - New session password, or empty string to remove protection.
+   */
+  sessionProtect(password) {
+    this.send({
+      type: 'session_protect',
+      password,
+    });
+  }
+
+  /**
+   * Set or remove the recurring schedule of the session.
+   * @param {Object|null} recurrence - Recurrence with `days`, `times` and `timezone`, or null to remove it.
+   */
+  recurrenceUpdate(recurrence) {
+    this.send({
+      type: 'recurrence_update',
+      recurrence,
+    });
+  }
+
+  /**
+   * Add a task to the session task list.
+   * @param {Object} task - Task with `title`, and optional `assigneeId` and `estimate`.
+   */
+  taskAdd(task) {
+    this.send({
+      type: 'task_add',
+      task,
+    });
+  }
+
+  /**
+   * Update a task in the session task list.
+   * @param {string} taskId - ID of the task to update.
+   * @param {Object} task - Changed task fields, any of `title`, `isCompleted`, `assigneeId` and `estimate`.
+   */
+  taskUpdate(taskId, task) {
+    this.send({
+      type: 'task_update',
+      taskId,
+      task,
+    });
+  }
+
+  /**
+   * Remove a task from the session task list.
+   * @param {string} taskId - ID of the task to remove.
+   */
+  taskRemove(taskId) {
+    this.send({
+      type: 'task_remove',
+      taskId,
+    });
+  }
+
+  /**
+   * Send chat message to the session.
+   * @param {string} text - Chat message text.
+   */
+  chatSend(text) {
+    this.send({
+      type: 'chat_send',
+      text,
+    });
+  }
+
+  /**
+   * Request recent session chat messages from the server.
+   */
+  chatList() {
+    this.send({
+      type: 'chat_list',
+    });
+  }
+
+  /**
+   * Send reaction to the session.
+   * @param {string} emoji - Reaction emoji.
+   */
+  reactionSend(emoji) {
+    this.send({
+      type: 'reaction_send',
+      emoji,
+    });
+  }
+
+  /**
+   * Propose vote on timer action to the session.
+   * @param {string} action - Timer action to vote on, `next` or `pause`.
+   */
+  votePropose(action) {
+    this.send({
+      type: 'vote_propose',
+      action,
+    });
+  }
+
+  /**
+   * Approve or reject the open vote.
+   * @param {string} voteId - ID of the vote.
+   * @param {boolean} approve - True to approve the vote.
+   */
+  voteCast(voteId, approve) {
+    this.send({
+      type: 'vote_cast',
+      voteId,
+      approve,
+    });
+  }
+
+  /**
+   * Request a signed invite token for the session.
+   */
+  inviteCreate() {
+    this.send({
+      type: 'invite_create',
+    });
+  }
+
   /**
    * Render the connection status in the UI.
    */
@@ -0,0 +1,120 @@
+import { DOM, Events, Storage } from './utils.js';
+import { summarizeStats } from './shared/stats.js';
+
+/**
+ * Stats manager for showing focus statistics of the current user and session users.
+ */
+class StatsManager {
+  /**
+   * Create a StatsManager instance.
+   * @param {Object} app - Main application instance.
+   */
+  constructor(app) {
+    this.app = app;
+    this.stats = { sessionId: null, users: [] };
+
+    this.$userProfileBtn = DOM.getId('user-profile-btn');
+    this.$today = DOM.getId('stats-today');
+    this.$week = DOM.getId('stats-week');
+    this.$streak = DOM.getId('stats-streak');
+    this.$users = DOM.getId('stats-users');
+
+    this._initialize();
+  }
+
+  /**
+   * Set up stats event handlers.
+   */
+  _initialize() {
+    this._listeners();
+  }
+
+  /**
+   * Configure event listeners for stats updates.
+   */
+  _listeners() {
+    Events.on(this.$userProfileBtn, 'click', this.show.bind(this));
+
+    Events.on(document, 'stats', this._stats.bind(this));
+    Events.on(document, 'interval_changed', this.render.bind(this));
+  }
+
+  /**
+   * Store session user statistics received from the server and render them.
+   * @param {CustomEvent} event - Event containing the stats message.
+   */
+  _stats(event) {
+    const { data } = event.detail;
+    this.stats = { sessionId: data.sessionId, users: data.users || [] };
+    this.render();
+  }
+
+  /**
+   * Format focus time for display.
+   * @param {number} seconds - Focus time in seconds.
+   * @returns {string} Focus time in hours and minutes.
+   */
+  formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+  }
+
+  /**
+   * Render focus statistics of the current user from intervals completed on this device.
+   */
+  renderLocal() {
+    const summary = summarizeStats(Storage.getStatsHistory());
+
+    this.$today.textContent = this.formatDuration(summary.today);
+    this.$week.textContent = this.formatDuration(summary.week);
+    this.$streak.textContent = `${summary.streak} ${summary.streak === 1 ? 'day' : 'days'}`;
+  }
+
+  /**
+   * Render focus statistics of session users received from the server.
+   */
+  renderUsers() {
+    this.$users.innerHTML = '';
+
+    const users = this.stats.sessionId === this.app.getCurrentSessionId() ? this.stats.users : [];
+
+    if (users.length === 0) {
+      this.$users.innerHTML = '<p class="empty-state">No focus time recorded in this session</p>';
+      return;
+    }
+
+    const rows = users
+      .map((user) => ({ user, summary: summarizeStats(user.completed) }))
+      .sort((a, b) => b.summary.week - a.summary.week);
+
+    rows.forEach(({ user, summary }) => {
+      const $row = DOM.create('div', { className: 'stats-user' });
+
+      $row.appendChild(DOM.create('span', { className: 'stats-user-name' }, user.name || 'Anonymous User'));
+      $row.appendChild(DOM.create('span', { className: 'stats-user-value' }, this.formatDuration(summary.today)));
+      $row.appendChild(DOM.create('span', { className: 'stats-user-value' }, this.formatDuration(summary.week)));
+      $row.appendChild(DOM.create('span', { className: 'stats-user-value' }, `${summary.streak}d`));
+
+      this.$users.appendChild($row);
+    });
+  }
+
+  /**
+   * Render all focus statistics.
+   */
+  render() {
+    this.renderLocal();
+    this.renderUsers();
+  }
+
+  /**
+   * Render statistics and request session user statistics from the server.
+   */
+  show() {
+    this.render();
+    this.app.socket.statsList();
+  }
+}
+
+export default StatsManager;
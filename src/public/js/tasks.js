@@ -0,0 +1,307 @@
+import Utils, { DOM, Events, Storage } from './utils.js';
+import { MAX_TASKS, MAX_TASK_ESTIMATE, MAX_TASK_LENGTH } from './shared/constants.js';
+
+/**
+ * Task manager for the shared session task list shown beside the timer.
+ * Changes are sent to the server while connected, otherwise they are applied to the locally stored session.
+ */
+class TaskManager {
+  /**
+   * Create a TaskManager instance.
+   * @param {Object} app - Main application instance.
+   */
+  constructor(app) {
+    this.app = app;
+
+    this.$panel = DOM.getId('tasks-panel');
+    this.$toggleBtn = DOM.getId('tasks-toggle-btn');
+    this.$count = DOM.getId('tasks-count');
+    this.$list = DOM.getId('tasks-list');
+    this.$form = DOM.getId('task-form');
+    this.$titleInput = DOM.getId('task-title-input');
+    this.$estimateInput = DOM.getId('task-estimate-input');
+
+    this._initialize();
+  }
+
+  /**
+   * Set up task input limits, event handlers and collapsed state.
+   */
+  _initialize() {
+    this.$titleInput.maxLength = MAX_TASK_LENGTH;
+    this.$estimateInput.max = MAX_TASK_ESTIMATE;
+
+    this._listeners();
+    this.renderCollapsed();
+  }
+
+  /**
+   * Configure event listeners for task controls and session updates.
+   */
+  _listeners() {
+    Events.on(this.$form, 'submit', this._add.bind(this));
+    Events.on(this.$toggleBtn, 'click', this.toggle.bind(this));
+
+    [
+      'appRestarted',
+      'session_created',
+      'session_joined',
+      'tasks_updated',
+      'user_connected',
+      'user_disconnected',
+      'user_updated',
+      'users_connected',
+    ].forEach((type) => Events.on(document, type, this.render.bind(this)));
+  }
+
+  /**
+   * Add task entered in task form.
+   * @param {SubmitEvent} event - Task form submit event.
+   */
+  _add(event) {
+    event.preventDefault();
+
+    const title = this.$titleInput.value.trim();
+    if (!title) return;
+
+    if (this.getTasks().length >= MAX_TASKS) {
+      Utils.showNotification('Task limit reached', 'error');
+      return;
+    }
+
+    this.add({ title, estimate: this.parseEstimate(this.$estimateInput.value) });
+
+    this.$titleInput.value = '';
+    this.$estimateInput.value = '';
+  }
+
+  /**
+   * Get task list of the current session.
+   * @returns {Object[]} Session tasks, empty if there is no current session.
+   */
+  getTasks() {
+    const session = this.app.getCurrentSession();
+    if (!session) return [];
+    if (!Array.isArray(session.tasks)) session.tasks = [];
+    return session.tasks;
+  }
+
+  /**
+   * Parse estimate input as whole number of intervals.
+   * @param {string|number} value - Estimate input value.
+   * @returns {number} Estimate between 0 and the maximum estimate.
+   */
+  parseEstimate(value) {
+    const estimate = Math.floor(Number(value));
+    return Number.isFinite(estimate) ? Math.max(0, Math.min(estimate, MAX_TASK_ESTIMATE)) : 0;
+  }
+
+  /**
+   * Check if the current user can reassign or remove task, allowed for owners, controllers and the task creator.
+   * @param {Object} task - Task to check.
+   * @returns {boolean} True if task can be managed, always while disconnected.
+   */
+  canManage(task) {
+    if (!this.app.socket.isConnected()) return true;
+    return this.app.canControl() || (Boolean(task.createdBy) && task.createdBy === this.app.currentUser?.hashedId);
+  }
+
+  /**
+   * Check if the current user can complete or edit task, allowed for users who can manage it and its assignee.
+   * @param {Object} task - Task to check.
+   * @returns {boolean} True if task can be edited.
+   */
+  canEdit(task) {
+    return this.canManage(task) || (Boolean(task.assigneeId) && task.assigneeId === this.app.currentUser?.hashedId);
+  }
+
+  /**
+   * Add task to the session task list.
+   * @param {Object} task - Task with `title` and optional `assigneeId` and `estimate`.
+   */
+  add(task) {
+    if (this.app.socket.isConnected()) {
+      this.app.socket.taskAdd(task);
+      return;
+    }
+
+    this.getTasks().push({
+      taskId: Utils.generateClientId(),
+      title: task.title,
+      isCompleted: false,
+      assigneeId: task.assigneeId || null,
+      estimate: task.estimate || 0,
+      createdBy: this.app.currentUser?.hashedId || null,
+      createdAt: Date.now(),
+      completedAt: null,
+    });
+    this.save();
+  }
+
+  /**
+   * Update task in the session task list.
+   * @param {string} taskId - ID of the task to update.
+   * @param {Object} changes - Changed task fields.
+   */
+  update(taskId, changes) {
+    if (this.app.socket.isConnected()) {
+      this.app.socket.taskUpdate(taskId, changes);
+      return;
+    }
+
+    const task = this.getTasks().find((t) => t.taskId === taskId);
+    if (!task) return;
+
+    Object.assign(task, changes);
+    if (changes.isCompleted !== undefined) task.completedAt = changes.isCompleted ? Date.now() : null;
+    this.save();
+  }
+
+  /**
+   * Remove task from the session task list.
+   * @param {string} taskId - ID of the task to remove.
+   */
+  remove(taskId) {
+    if (this.app.socket.isConnected()) {
+      this.app.socket.taskRemove(taskId);
+      return;
+    }
+
+    const session = this.app.getCurrentSession();
+    if (!session) return;
+
+    session.tasks = this.getTasks().filter((task) => task.taskId !== taskId);
+    this.save();
+  }
+
+  /**
+   * Persist locally changed task list and render it.
+   */
+  save() {
+    this.app.saveCurrentSession();
+    this.render();
+  }
+
+  /**
+   * Toggle whether the task panel is collapsed.
+   */
+  toggle() {
+    Storage.saveClientSetting('tasksCollapsed', !Storage.getClientSetting('tasksCollapsed', false));
+    this.renderCollapsed();
+  }
+
+  /**
+   * Render collapsed state of the task panel.
+   */
+  renderCollapsed() {
+    const isCollapsed = Storage.getClientSetting('tasksCollapsed', false);
+
+    this.$panel.classList.toggle('collapsed', isCollapsed);
+    this.$toggleBtn.textContent = isCollapsed ? '+' : '−';
+    this.$toggleBtn.title = isCollapsed ? 'Show tasks' : 'Hide tasks';
+  }
+
+  /**
+   * Create assignee select for task listing session users.
+   * @param {Object} task - Task to create select for.
+   * @returns {HTMLSelectElement} Assignee select element.
+   */
+  _createAssigneeEl(task) {
+    const users = this.app.getConnectedUsers() || {};
+    const $select = DOM.create('select', { className: 'task-assignee', title: 'Assign task' });
+
+    $select.appendChild(DOM.create('option', { value: '' }, 'Unassigned'));
+
+    Object.entries(users).forEach(([hashedId, user]) => {
+      $select.appendChild(DOM.create('option', { value: hashedId }, user.name || 'Anonymous User'));
+    });
+
+    // Keep assignees who are no longer connected selectable
+    if (task.assigneeId && !users[task.assigneeId]) {
+      $select.appendChild(DOM.create('option', { value: task.assigneeId }, 'Offline user'));
+    }
+
+    $select.value = task.assigneeId || '';
+    $select.disabled = !this.canManage(task);
+
+    Events.on($select, 'change', () => this.update(task.taskId, { assigneeId: $select.value || null }));
+
+    return $select;
+  }
+
+  /**
+   * Create list item for task.
+   * @param {Object} task - Task to create list item for.
+   * @returns {HTMLElement} Task list item element.
+   */
+  _createTaskEl(task) {
+    const $item = DOM.create('li', { className: `task-item${task.isCompleted ? ' completed' : ''}` });
+    const $main = DOM.create('div', { className: 'task-main' });
+    const $meta = DOM.create('div', { className: 'task-meta' });
+
+    const $check = DOM.create('input', {
+      type: 'checkbox',
+      className: 'task-check',
+      checked: task.isCompleted,
+      title: task.isCompleted ? 'Mark as not done' : 'Mark as done',
+    });
+    const $estimate = DOM.create('input', {
+      type: 'number',
+      className: 'task-estimate',
+      min: 0,
+      max: MAX_TASK_ESTIMATE,
+      value: task.estimate || '',
+      placeholder: '0',
+      title: 'Estimated intervals',
+    });
+    const $removeBtn = DOM.create('button', { className: 'task-remove-btn', title: 'Remove task' }, '×');
+
+    $check.disabled = !this.canEdit(task);
+    $estimate.disabled = !this.canEdit(task);
+    $removeBtn.disabled = !this.canManage(task);
+
+    Events.on($check, 'change', () => this.update(task.taskId, { isCompleted: $check.checked }));
+    Events.on($estimate, 'change', () => {
+      this.update(task.taskId, { estimate: this.parseEstimate($estimate.value) });
+    });
+    Events.on($removeBtn, 'click', () => this.remove(task.taskId));
+
+    $main.appendChild($check);
+    $main.appendChild(DOM.create('span', { className: 'task-title', title: task.title }, task.title));
+    $main.appendChild($removeBtn);
+
+    $meta.appendChild(this._createAssigneeEl(task));
+    $meta.appendChild($estimate);
+    $meta.appendChild(DOM.create('span', { className: 'task-estimate-label' }, 'intervals'));
+
+    $item.appendChild($main);
+    $item.appendChild($meta);
+
+    return $item;
+  }
+
+  /**
+   * Render the session task list and completed task count.
+   */
+  render() {
+    const tasks = this.getTasks();
+    const completed = tasks.filter((task) => task.isCompleted);
+    const remaining = tasks
+      .filter((task) => !task.isCompleted)
+      .reduce((total, task) => total + (Number(task.estimate) || 0), 0);
+
+    this.$count.textContent = tasks.length > 0 ? `${completed.length}/${tasks.length}` : '';
+    this.$count.title = remaining > 0 ? `${remaining} intervals estimated for open tasks` : '';
+
+    this.$list.innerHTML = '';
+
+    if (tasks.length === 0) {
+      this.$list.innerHTML = '<li class="empty-state">What is everyone working on?</li>';
+      return;
+    }
+
+    tasks.forEach((task) => this.$list.appendChild(this._createTaskEl(task)));
+  }
+}
+
+export default TaskManager;
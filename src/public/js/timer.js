@@ -1,7 +1,10 @@
-import Utils, { DOM, Events } from './utils.js';
+import Utils, { DOM, Events, Storage } from './utils.js';
 import TimerCore from './shared/timer-core.js';
 import { DEFAULT_DURATION } from './shared/constants.js';
 
+// Time after a local interval change during which the matching server announcement does not play alert again
+const TRANSITION_WINDOW = 5000;
+
 /**
  * Timer manager class.
  */
@@ -15,8 +18,10 @@ class Timer {
 
     this.core = null;
     this.countdown = null;
+    this.transition = null;
 
     this.$intervalName = DOM.getId('interval-name');
+    this.$schedule = DOM.getId('timer-schedule');
     this.$intervalStatus = DOM.getId('interval-status');
     this.$startBtn = DOM.getId('start-btn');
     this.$pauseBtn = DOM.getId('pause-btn');
@@ -47,14 +52,45 @@ class Timer {
     Events.on(this.$repeatBtn, 'click', this.repeat.bind(this));
 
     Events.on(document, 'appRestarted', this.render.bind(this));
+    Events.on(document, 'clockSynced', this._clockSynced.bind(this));
 
     Events.on(document, 'session_updated', this.render.bind(this));
+    Events.on(document, 'user_updated', this.renderState.bind(this));
+    Events.on(document, 'users_connected', this.renderState.bind(this));
+  }
+
+  /**
+   * Shift timer baseline when the estimated server clock offset changes, keeping the countdown steady.
+   * @param {CustomEvent} event - Clock synced event with offset `delta` in milliseconds.
+   */
+  _clockSynced(event) {
+    const delta = event.detail?.delta;
+    if (!this.core || !delta) return;
+
+    const state = this.core.getState();
+    this.core.setState({
+      startedAt: state.startedAt ? state.startedAt + delta : 0,
+      pausedAt: state.pausedAt ? state.pausedAt + delta : 0,
+    });
+  }
+
+  /**
+   * Derive remaining time of a running timer received from server from its absolute interval end time.
+   * @param {Object} timer - Timer state received from server.
+   */
+  _applyEndTime(timer) {
+    if (timer.isRunning && !timer.isPaused && timer.intervalEndsAt) {
+      timer.remaining = Math.max(0, timer.intervalEndsAt - this.app.socket.now());
+    }
   }
 
   /**
    * Begin timer countdown and sync with server.
    */
   start() {
+    if (!this.app.canControl()) return;
+    if (this.sendCommand(this.core.getState().isPaused ? 'resume' : 'start')) return;
+
     const session = this.app.getCurrentSession();
     session.timer = this.core.start();
 
@@ -66,9 +102,15 @@ class Timer {
   }
 
   /**
-   * Pause timer countdown and sync with server.
+   * Pause timer countdown and sync with server, viewers propose a vote to pause instead.
    */
   pause() {
+    if (!this.app.canControl()) {
+      this.app.votes.propose('pause');
+      return;
+    }
+    if (this.sendCommand('pause')) return;
+
     const session = this.app.getCurrentSession();
     session.timer = this.core.pause();
 
@@ -83,6 +125,9 @@ class Timer {
    * Stop timer and reset to initial state.
    */
   stop() {
+    if (!this.app.canControl()) return;
+    if (this.sendCommand('stop')) return;
+
     const session = this.app.getCurrentSession();
     session.timer = this.core.stop();
 
@@ -94,9 +139,15 @@ class Timer {
   }
 
   /**
-   * Advance to next timer interval and sync with server.
+   * Advance to next timer interval and sync with server, viewers propose a vote to skip instead.
    */
   next() {
+    if (!this.app.canControl()) {
+      this.app.votes.propose('next');
+      return;
+    }
+    if (this.sendCommand('next')) return;
+
     const session = this.app.getCurrentSession();
     session.timer = this.core.next();
 
@@ -110,7 +161,11 @@ class Timer {
    * Toggle timer repeat mode setting and sync with server.
    */
   repeat() {
+    if (!this.app.canControl()) return;
+
     const session = this.app.getCurrentSession();
+    if (this.sendCommand('repeat', { repeat: !session.timer.repeat })) return;
+
     session.timer = this.core.repeat(!session.timer.repeat);
 
     this.app.saveCurrentSession();
@@ -120,6 +175,52 @@ class Timer {
     this.renderRepeat();
   }
 
+  /**
+   * Move to interval and position within it, syncing with server.
+   * @param {number} interval - Index of interval to move to.
+   * @param {number} [remaining] - Remaining time in milliseconds, defaults to full interval duration.
+   */
+  seek(interval, remaining) {
+    if (!this.app.canControl()) return;
+    if (this.sendCommand('seek', { interval, ...(remaining !== undefined ? { remaining } : {}) })) return;
+
+    const session = this.app.getCurrentSession();
+    session.timer = this.core.seek(interval, remaining);
+
+    this.app.saveCurrentSession();
+
+    this.render();
+  }
+
+  /**
+   * Schedule stopped timer to start at a wall-clock time, syncing with server.
+   * @param {number} time - Start time in milliseconds, 0 to clear the scheduled start.
+   */
+  schedule(time) {
+    if (!this.app.canControl()) return;
+    if (this.sendCommand('schedule', { scheduledStartAt: time })) return;
+
+    const session = this.app.getCurrentSession();
+    session.timer = this.core.schedule(time);
+
+    this.app.saveCurrentSession();
+
+    this.update();
+  }
+
+  /**
+   * Send timer command to server when connected, the authoritative result is rendered on `timer_updated`.
+   * @param {string} command - Timer command name.
+   * @param {Object} [options={}] - Command arguments.
+   * @returns {boolean} True if command was sent to server, false if it should be applied locally.
+   */
+  sendCommand(command, options = {}) {
+    if (!this.app.socket.isConnected()) return false;
+
+    this.app.socket.timerCommand(command, options);
+    return true;
+  }
+
   /**
    * Update session timer state from TimerCore.
    */
@@ -128,6 +229,15 @@ class Timer {
     session.timer = this.core.sync();
   }
 
+  /**
+   * Check whether timer display needs periodic updates, while running or waiting for a scheduled start.
+   * @param {Object} timer - Timer state.
+   * @returns {boolean} True if timer is counting down.
+   */
+  isCounting(timer) {
+    return (timer.isRunning && !timer.isPaused) || Boolean(timer.scheduledStartAt);
+  }
+
   /**
    * Begin periodic timer display updates.
    */
@@ -167,12 +277,19 @@ class Timer {
   tickTimer() {
     const session = this.app.getCurrentSession();
     const oldInterval = session.timer.interval;
+    const isScheduled = Boolean(session.timer.scheduledStartAt);
 
     this.sync();
 
-    if (oldInterval !== session.timer.interval) {
+    if (isScheduled && session.timer.isRunning) {
+      this.app.saveCurrentSession();
+      this.render();
+    } else if (oldInterval !== session.timer.interval) {
       const interval = session.intervals.items[oldInterval];
       this.app.alerts.play(interval.alert);
+      this.transition = { finished: oldInterval, at: Date.now() };
+
+      Storage.addCompletedInterval({ name: interval.name, duration: interval.duration, completedAt: Date.now() });
 
       session.timer = this.core.getState();
       this.app.saveCurrentSession();
@@ -184,6 +301,27 @@ class Timer {
     }
   }
 
+  /**
+   * Apply interval change announced by server at the interval boundary.
+   * Alert is played unless local countdown already played it for the same transition.
+   * @param {Object} data - Interval changed message with `finished` and `next` interval positions.
+   */
+  intervalChanged(data) {
+    const session = this.app.getCurrentSession();
+    const transition = this.transition;
+    const isPlayed =
+      transition && transition.finished === data.finished?.index && Date.now() - transition.at < TRANSITION_WINDOW;
+
+    this.transition = null;
+
+    if (!isPlayed) {
+      const interval = session.intervals.items[data.finished?.index];
+      if (interval) this.app.alerts.play(interval.alert);
+    }
+
+    this.update();
+  }
+
   /**
    * Render timer HTML and update display based on current data.
    */
@@ -228,6 +366,8 @@ class Timer {
     const total = session.intervals.items.length;
     this.$intervalStatus.textContent = `${current}/${total}`;
 
+    this.renderSchedule();
+
     const isRunning = session.timer.isRunning;
     const isPaused = session.timer.isPaused;
 
@@ -236,6 +376,24 @@ class Timer {
     this.$nextBtn.style.display = 'flex';
   }
 
+  /**
+   * Show countdown to scheduled start of stopped timer.
+   */
+  renderSchedule() {
+    const session = this.app.getCurrentSession();
+    const scheduledStartAt = session?.timer.scheduledStartAt || 0;
+    const isScheduled = scheduledStartAt > 0 && !session.timer.isRunning;
+
+    this.$schedule.style.display = isScheduled ? 'block' : 'none';
+    if (!isScheduled) return;
+
+    const seconds = Math.max(0, Math.ceil((scheduledStartAt - this.app.socket.now()) / 1000));
+    const hours = Math.floor(seconds / 3600);
+    const countdown = Utils.formatTime(seconds % 3600);
+
+    this.$schedule.textContent = `Starts in ${hours > 0 ? `${hours}:${countdown.padStart(5, '0')}` : countdown}`;
+  }
+
   /**
    * Update timer state classes on the document body based on timer state.
    */
@@ -244,6 +402,7 @@ class Timer {
     const body = document.body;
 
     body.classList.remove('timer-running', 'timer-paused', 'timer-stopped', 'timer-repeat');
+    body.classList.toggle('role-viewer', !this.app.canControl());
 
     if (!session) {
       body.classList.add('timer-stopped');
@@ -282,16 +441,17 @@ class Timer {
    */
   reload(local = false) {
     const session = this.app.getCurrentSession();
-    this.core = new TimerCore(session.intervals.items);
+    this.core = new TimerCore(session.intervals.items, () => this.app.socket.now());
 
     if (local) {
       this.core.setState(session.timer);
       session.timer = this.core.sync();
     } else {
+      this._applyEndTime(session.timer);
       session.timer = this.core.updateState(session.timer);
     }
 
-    if (session.timer.isRunning && !session.timer.isPaused) {
+    if (this.isCounting(session.timer)) {
       this.startTimer();
     }
 
@@ -303,9 +463,10 @@ class Timer {
    */
   update() {
     const session = this.app.getCurrentSession();
+    this._applyEndTime(session.timer);
     session.timer = this.core.updateState(session.timer);
 
-    if (session.timer.isRunning && !session.timer.isPaused) {
+    if (this.isCounting(session.timer)) {
       if (!this.countdown) this.startTimer();
     } else {
       this.stopTimer();
@@ -330,6 +491,7 @@ class Timer {
         startedAt: 0,
         pausedAt: 0,
         timePaused: 0,
+        scheduledStartAt: 0,
       };
     }
 
@@ -1,7 +1,8 @@
 import Utils, { DOM, Events } from './utils.js';
+import { AWAY_TIMEOUT, BREAK_NAME_REGEX, DEFAULT_USER_STATUS, MAX_STATUS_LENGTH } from './shared/constants.js';
 
 /**
- * User manager class for handling user profile data and UI interactions.
+ * User manager class for handling user profile data, presence status and UI interactions.
  */
 class UserManager {
   /**
@@ -11,20 +12,27 @@ class UserManager {
   constructor(app) {
     this.app = app;
 
+    this.isAway = false;
+    this.awayTimeout = null;
+
     this.$userProfileBtn = DOM.getId('user-profile-btn');
     this.$userAvatar = DOM.getId('user-avatar');
     this.$avatarLarge = DOM.getId('user-avatar-large');
     this.$userNameInput = DOM.getId('user-name-input');
     this.$userEmailInput = DOM.getId('user-email-input');
+    this.$userStatusInput = DOM.getId('user-status-input');
 
     this._initialize();
   }
 
   /**
-   * Set up user profile management and render initial UI.
+   * Set up user profile management, start inactivity tracking and render initial UI.
    */
   _initialize() {
+    this.$userStatusInput.maxLength = MAX_STATUS_LENGTH;
+
     this._listeners();
+    this._activity();
   }
 
   /**
@@ -43,6 +51,20 @@ class UserManager {
       if (e.key === 'Enter') e.target.blur();
     });
 
+    Events.on(this.$userStatusInput, 'blur', this.save.bind(this));
+    Events.on(this.$userStatusInput, 'keypress', (e) => {
+      if (e.key === 'Enter') e.target.blur();
+    });
+
+    const activity = this._activity.bind(this);
+    ['keydown', 'mousemove', 'pointerdown', 'touchstart', 'wheel'].forEach((type) => {
+      Events.on(document, type, activity, { passive: true });
+    });
+
+    ['session_created', 'session_joined', 'session_updated', 'timer_updated', 'interval_changed'].forEach((type) => {
+      Events.on(document, type, this.updateStatus.bind(this));
+    });
+
     Events.on(document, 'appRestarted', this.render.bind(this));
 
     Events.on(document, 'session_created', this.render.bind(this));
@@ -52,6 +74,60 @@ class UserManager {
     Events.on(document, 'user_updated', this.render.bind(this));
   }
 
+  /**
+   * Restart inactivity countdown after user activity, clearing away status.
+   */
+  _activity() {
+    clearTimeout(this.awayTimeout);
+    this.awayTimeout = setTimeout(() => this._setAway(true), AWAY_TIMEOUT);
+
+    if (this.isAway) this._setAway(false);
+  }
+
+  /**
+   * Set whether the user is away and update presence status.
+   * @param {boolean} isAway - True if the user has been inactive.
+   */
+  _setAway(isAway) {
+    this.isAway = isAway;
+    this.updateStatus();
+  }
+
+  /**
+   * Get presence status from user activity and the current interval.
+   * @returns {string} Away if inactive, focusing or break while the timer runs, otherwise available.
+   */
+  getStatus() {
+    if (this.isAway) return 'away';
+
+    const session = this.app.getCurrentSession();
+    const timer = session?.timer;
+    if (!timer?.isRunning || timer.isPaused) return DEFAULT_USER_STATUS;
+
+    const interval = session.intervals?.items?.[timer.interval];
+    return BREAK_NAME_REGEX.test(interval?.name || '') ? 'break' : 'focusing';
+  }
+
+  /**
+   * Store and send presence status if it changed.
+   */
+  updateStatus() {
+    const session = this.app.getCurrentSession();
+    const current = this.app.getCurrentUser();
+    if (!session) return;
+
+    const status = this.getStatus();
+    if (status === current.status) return;
+
+    current.status = status;
+
+    this.app.setConnectedUser(current);
+    this.app.saveCurrentSession();
+    this.app.socket.userUpdate(session);
+
+    Events.dispatch(document, 'profileUpdated');
+  }
+
   /**
    * Get user display name with fallback to email or 'Anonymous'.
    * @returns {string} The display name for the user.
@@ -82,6 +158,7 @@ class UserManager {
 
     this.$userNameInput.value = current.name;
     this.$userEmailInput.value = current.email;
+    this.$userStatusInput.value = current.statusText || '';
     this.$avatarLarge.src = Utils.getGravatarUrl(
       current.avatarUrl || current.email || Utils.getSHA256(current.clientId),
       160
@@ -105,17 +182,20 @@ class UserManager {
 
     const newName = this.$userNameInput.value.trim();
     const newEmail = this.$userEmailInput.value.trim();
+    const newStatusText = this.$userStatusInput.value.trim();
 
-    if (newName === current.name && newEmail === current.email) return;
+    if (newName === current.name && newEmail === current.email && newStatusText === current.statusText) return;
 
     current.name = newName;
     current.email = newEmail;
+    current.statusText = newStatusText;
     current.avatarUrl = Utils.getGravatarUrl(newEmail || Utils.getSHA256(current.clientId));
 
     this.app.setConnectedUser(current);
     this.app.saveCurrentSession();
     this.app.socket.userUpdate(session);
 
+    Events.dispatch(document, 'profileUpdated');
     this.render();
   }
 
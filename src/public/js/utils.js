@@ -2,7 +2,10 @@
  * Utility functions for the timer application.
  */
 
-import { CLIENT_ID_REGEX, SESSION_ID_REGEX, DEFAULT_DURATION } from './shared/constants.js';
+import { CLIENT_ID_REGEX, SESSION_ID_REGEX, DEFAULT_DURATION, DEFAULT_USER_STATUS } from './shared/constants.js';
+
+// How long completed intervals are kept in local stats history
+const STATS_RETENTION = 365 * 24 * 60 * 60 * 1000;
 
 /**
  * Generate a unique client ID (UUID v4 format).
@@ -77,6 +80,14 @@ function getSessionIdFromUrl() {
   return match ? match[1] : null;
 }
 
+/**
+ * Extract the invite token from the current URL query string.
+ * @returns {string|null} Invite token or null if not present.
+ */
+function getInviteFromUrl() {
+  return new URLSearchParams(window.location.search).get('invite');
+}
+
 /**
  * Set the session ID in the browser URL path without reloading the page.
  * @param {string} sessionId - Session ID to set in the URL.
@@ -171,12 +182,15 @@ body {
       timePaused: 0,
     },
     users: {},
+    tasks: [],
     user: {
       clientId,
       hashedId,
       name: '',
       email: '',
       avatarUrl,
+      status: DEFAULT_USER_STATUS,
+      statusText: '',
     },
   };
 }
@@ -560,6 +574,7 @@ const Storage = {
         isRunning: false,
         isPaused: false,
       },
+      tasks: Array.isArray(session?.tasks) ? session.tasks : [],
       user: session?.user ||
         (existing && existing?.user) || {
           hashedId: '',
@@ -567,6 +582,8 @@ const Storage = {
           name: '',
           email: '',
           avatarUrl: '',
+          status: DEFAULT_USER_STATUS,
+          statusText: '',
         },
     };
 
@@ -655,6 +672,35 @@ const Storage = {
     config[key] = value;
     this.saveClientConfig(config);
   },
+
+  /**
+   * Get intervals completed on this device from storage.
+   * @returns {Object[]} Completed intervals with name, duration in seconds and completion time, oldest first.
+   */
+  getStatsHistory() {
+    try {
+      const data = localStorage.getItem('stats_history');
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Error parsing stats history:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Add completed interval to stats history, dropping intervals older than the retention period.
+   * @param {Object} interval - Completed interval with name, duration in seconds and completion time.
+   */
+  addCompletedInterval(interval) {
+    const history = this.getStatsHistory().filter((item) => interval.completedAt - item.completedAt < STATS_RETENTION);
+    history.push(interval);
+
+    try {
+      localStorage.setItem('stats_history', JSON.stringify(history));
+    } catch (error) {
+      console.error('Error saving stats history:', error);
+    }
+  },
 };
 
 /**
@@ -667,11 +713,14 @@ class ConfirmDialog {
   constructor() {
     this.isDialogOpen = false;
     this.currentResolve = null;
+    this.hasInput = false;
 
     this.$modal = DOM.getId('confirm-modal');
     this.$messageEl = DOM.getId('confirm-message');
     this.$okBtn = DOM.getId('confirm-ok-btn');
     this.$cancelBtn = DOM.getId('confirm-cancel-btn');
+    this.$inputGroup = DOM.getId('confirm-input-group');
+    this.$inputEl = DOM.getId('confirm-input');
 
     this._initialize();
   }
@@ -720,7 +769,9 @@ class ConfirmDialog {
    * @param {Object} options - Optional configuration.
    * @param {string} options.okText - Text for OK button (default: 'OK').
    * @param {string} options.cancelText - Text for Cancel button (default: 'Cancel').
-   * @returns {Promise<boolean>} Promise that resolves to true if confirmed, false if cancelled.
+   * @param {string} options.input - Input type to show for prompt dialogs (default: none).
+   * @returns {Promise<boolean|string|null>} Promise that resolves to true if confirmed, false if cancelled,
+   * or the entered value and null for prompt dialogs.
    */
   show(message, options = {}) {
     return new Promise((resolve) => {
@@ -736,10 +787,15 @@ class ConfirmDialog {
       this.$okBtn.textContent = options.okText || 'OK';
       this.$cancelBtn.textContent = options.cancelText || 'Cancel';
 
+      this.hasInput = Boolean(options.input);
+      this.$inputEl.type = options.input || 'text';
+      this.$inputEl.value = '';
+      this.$inputGroup.style.display = this.hasInput ? 'block' : 'none';
+
       DOM.showModal('confirm-modal');
 
       setTimeout(() => {
-        this.$cancelBtn.focus();
+        (this.hasInput ? this.$inputEl : this.$cancelBtn).focus();
       }, 100);
     });
   }
@@ -757,7 +813,11 @@ class ConfirmDialog {
 
     DOM.hideModal('confirm-modal');
 
-    resolve(result);
+    if (this.hasInput) {
+      resolve(result ? this.$inputEl.value : null);
+    } else {
+      resolve(result);
+    }
   }
 
   /**
@@ -781,6 +841,17 @@ function showConfirm(message, options = {}) {
   return confirmDialog.show(message, options);
 }
 
+/**
+ * Show a prompt dialog and return the value entered by the user.
+ * @param {string} message - Message to display in the dialog.
+ * @param {Object} [options={}] - Optional configuration for the dialog.
+ * @param {string} [options.type='text'] - Input type, such as 'text' or 'password'.
+ * @returns {Promise<string|null>} Promise that resolves to the entered value, or null if cancelled.
+ */
+function showPrompt(message, options = {}) {
+  return confirmDialog.show(message, { ...options, input: options.type || 'text' });
+}
+
 /**
  * Display temporary notification message with auto-dismiss.
  * @param {string} message - Notification message to display.
@@ -818,6 +889,7 @@ export default {
   isValidSessionId,
   isValidClientId,
   getSessionIdFromUrl,
+  getInviteFromUrl,
   setSessionIdInUrl,
   createDefaultSession,
   getGravatarUrl,
@@ -830,6 +902,7 @@ export default {
   getSHA256,
 
   showConfirm,
+  showPrompt,
   showNotification,
 
   DOM,
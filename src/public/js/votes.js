@@ -0,0 +1,146 @@
+import Utils, { DOM, Events } from './utils.js';
+
+const VOTE_LABELS = {
+  next: 'skip to the next interval',
+  pause: 'pause the timer',
+};
+
+const RESULT_LABELS = {
+  passed: 'Vote passed',
+  failed: 'Vote failed',
+  expired: 'Vote expired',
+};
+
+/**
+ * Vote manager for proposing and voting on skip and pause requests.
+ * Viewers propose votes with the pause and next buttons, the server applies the action once enough users approve.
+ */
+class VoteManager {
+  /**
+   * Create a VoteManager instance.
+   * @param {Object} app - Main application instance.
+   */
+  constructor(app) {
+    this.app = app;
+
+    this.vote = null;
+    this.countdown = null;
+
+    this.$banner = DOM.getId('vote-banner');
+    this.$text = DOM.getId('vote-text');
+    this.$count = DOM.getId('vote-count');
+    this.$countdown = DOM.getId('vote-countdown');
+    this.$approveBtn = DOM.getId('vote-approve-btn');
+    this.$rejectBtn = DOM.getId('vote-reject-btn');
+
+    this._initialize();
+  }
+
+  /**
+   * Set up event handlers and render initial vote state.
+   */
+  _initialize() {
+    this._listeners();
+    this.render();
+  }
+
+  /**
+   * Configure event listeners for vote buttons and vote updates.
+   */
+  _listeners() {
+    Events.on(this.$approveBtn, 'click', () => this.cast(true));
+    Events.on(this.$rejectBtn, 'click', () => this.cast(false));
+
+    Events.on(document, 'vote_updated', this._voteUpdated.bind(this));
+
+    ['appRestarted', 'session_created', 'session_joined', 'websocketDisconnected'].forEach((type) => {
+      Events.on(document, type, this._reset.bind(this));
+    });
+  }
+
+  /**
+   * Store open vote, or clear it and show the result once it is closed.
+   * @param {CustomEvent} event - Event containing the vote updated message.
+   */
+  _voteUpdated(event) {
+    const { vote } = event.detail.data;
+
+    if (vote.status === 'open') {
+      this.vote = vote;
+    } else {
+      this.vote = null;
+      Utils.showNotification(RESULT_LABELS[vote.status], vote.status === 'passed' ? 'success' : 'info');
+    }
+
+    this.render();
+  }
+
+  /**
+   * Clear vote when the session or connection changes.
+   */
+  _reset() {
+    this.vote = null;
+    this.render();
+  }
+
+  /**
+   * Propose vote on timer action to the session.
+   * @param {string} action - Timer action to vote on, `next` or `pause`.
+   */
+  propose(action) {
+    if (!this.app.socket.isConnected()) {
+      Utils.showNotification('Voting is only available while connected', 'error');
+      return;
+    }
+
+    if (this.vote) {
+      Utils.showNotification('A vote is already in progress', 'info');
+      return;
+    }
+
+    this.app.socket.votePropose(action);
+  }
+
+  /**
+   * Approve or reject the open vote.
+   * @param {boolean} approve - True to approve the vote.
+   */
+  cast(approve) {
+    if (!this.vote) return;
+    this.app.socket.voteCast(this.vote.voteId, approve);
+  }
+
+  /**
+   * Render seconds left until the open vote expires.
+   */
+  renderCountdown() {
+    if (!this.vote) return;
+
+    const seconds = Math.max(0, Math.ceil((this.vote.expiresAt - this.app.socket.now()) / 1000));
+    this.$countdown.textContent = `${seconds}s`;
+  }
+
+  /**
+   * Render vote banner with proposal, vote count and countdown, hidden if there is no open vote.
+   */
+  render() {
+    clearInterval(this.countdown);
+    this.countdown = null;
+
+    const vote = this.vote;
+    this.$banner.classList.toggle('hidden', !vote);
+    if (!vote) return;
+
+    const hashedId = this.app.getCurrentUser().hashedId;
+
+    this.$text.textContent = `${vote.proposer?.name || 'Anonymous User'} wants to ${VOTE_LABELS[vote.action]}`;
+    this.$count.textContent = `${vote.approvals.length}/${vote.required} votes`;
+    this.$approveBtn.classList.toggle('selected', vote.approvals.includes(hashedId));
+    this.$rejectBtn.classList.toggle('selected', vote.rejections.includes(hashedId));
+
+    this.renderCountdown();
+    this.countdown = setInterval(this.renderCountdown.bind(this), 1000);
+  }
+}
+
+export default VoteManager;
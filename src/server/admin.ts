@@ -0,0 +1,121 @@
+/**
+ * Admin API routes for operators to inspect and manage sessions held by this server node.
+ */
+
+import type { SessionInternal, TimerCommandMessage } from '../types/messages';
+import type SessionManager from './sessions.js';
+import { createLogger } from './logger.js';
+import { getBearerToken, verifyToken } from './auth.js';
+import {
+  formatAdminSession,
+  formatAdminSessionSummary,
+  formatSessionId,
+  formatTimer,
+  formatTimerCommandMsg,
+} from './messages.js';
+import { MAX_STRING_LENGTH } from '../shared/constants.js';
+import express, { Request, Response, NextFunction, Router } from 'express';
+
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+/**
+ * Create router with admin API routes, mounted under `/api/admin`.
+ * Routes require `ADMIN_TOKEN` as bearer token and are disabled when it is not configured.
+ *
+ * @param sessions session manager holding active sessions.
+ * @returns Express router.
+ */
+export function createAdminRouter(sessions: SessionManager): Router {
+  const logger = createLogger('admin');
+  const router = express.Router();
+
+  router.use((req: Request, res: Response, next: NextFunction) => {
+    if (!ADMIN_TOKEN) {
+      res.status(404).json({ error: 'Admin API is disabled' });
+      return;
+    }
+
+    if (!verifyToken(getBearerToken(req.headers.authorization), ADMIN_TOKEN)) {
+      res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+
+    next();
+  });
+
+  router.param('sessionId', (_req: Request, res: Response, next: NextFunction, sessionId: string) => {
+    const session = sessions.getSession(sessionId);
+
+    if (!session) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+
+    res.locals.session = session;
+    next();
+  });
+
+  router.get('/sessions', (_req: Request, res: Response) => {
+    const list = sessions.listSessions().map(formatAdminSessionSummary);
+    res.json(list.sort((a, b) => b.lastActivity - a.lastActivity));
+  });
+
+  router.get('/sessions/:sessionId', (_req: Request, res: Response) => {
+    res.json(formatAdminSession(res.locals.session));
+  });
+
+  router.post('/sessions/:sessionId/stop', (_req: Request, res: Response) => {
+    const session: SessionInternal = res.locals.session;
+
+    sessions.runTimerCommand(session, formatTimerCommandMsg({ command: 'stop' } as TimerCommandMessage));
+
+    logger.info({ sessionId: session.sessionId }, `Timer stopped by admin in session ${session.sessionId}`);
+
+    res.json(formatTimer(session.timer, session.timerCore));
+  });
+
+  router.delete('/sessions/:sessionId/users/:userId', (req: Request, res: Response) => {
+    if (!sessions.kickUser(res.locals.session, req.params.userId)) {
+      res.status(404).json({ error: 'User not found' });
+      return;
+    }
+
+    res.status(204).end();
+  });
+
+  router.delete('/sessions/:sessionId', (_req: Request, res: Response) => {
+    sessions.deleteSession(res.locals.session);
+    res.status(204).end();
+  });
+
+  router.post('/announcement', (req: Request, res: Response) => {
+    const body = req.body || {};
+    const message = String(body.message ?? '').trim();
+
+    if (!message || message.length > MAX_STRING_LENGTH) {
+      res.status(400).json({ error: 'Invalid announcement' });
+      return;
+    }
+
+    let targets = sessions.listSessions();
+
+    if (body.sessionId) {
+      const session = sessions.getSession(formatSessionId(String(body.sessionId)));
+
+      if (!session) {
+        res.status(404).json({ error: 'Session not found' });
+        return;
+      }
+
+      targets = [session];
+    }
+
+    targets.forEach((session) => sessions.announce(session, message));
+
+    logger.info({ sessions: targets.length }, `Announcement sent to ${targets.length} sessions`);
+
+    res.json({ sessions: targets.length });
+  });
+
+  return router;
+}
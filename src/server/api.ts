@@ -0,0 +1,226 @@
+/**
+ * HTTP API routes for creating, editing and controlling sessions, their webhooks, history and statistics.
+ */
+
+import type { Session, SessionInternal, SessionUpdate, TimerState } from '../types/messages';
+import type SessionManager from './sessions.js';
+import type { EventStreamManager } from './sse.js';
+import { createLogger } from './logger.js';
+import { getBearerToken, verifyToken } from './auth.js';
+import { createWebhookSecret, isPublicWebhookUrl } from './webhooks.js';
+import {
+  formatHistoryEntry,
+  formatSession,
+  formatSessionId,
+  formatSessionUpdate,
+  formatTimer,
+  formatTimerCommandMsg,
+  formatUserStats,
+  formatWebhook,
+  formatWebhookInfo,
+  formatWebhookUrl,
+  generateUUID,
+} from './messages.js';
+import express, { Request, Response, NextFunction, Router } from 'express';
+
+const MAX_WEBHOOKS = Number(process.env.MAX_WEBHOOKS) || 5;
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+/**
+ * Check if request body contains valid intervals data.
+ *
+ * @param body request body to check.
+ * @returns true if intervals contain an items array.
+ */
+function hasIntervals(body: Partial<SessionUpdate>): boolean {
+  return Array.isArray(body?.intervals?.items);
+}
+
+/**
+ * Create router with session API routes, mounted under `/api`.
+ * Changes go through session manager and are broadcast to connected clients like any client action.
+ *
+ * @param sessions session manager holding active sessions.
+ * @param streams event stream manager for read-only session subscribers.
+ * @returns Express router.
+ */
+export function createApiRouter(sessions: SessionManager, streams: EventStreamManager): Router {
+  const logger = createLogger('api');
+  const router = express.Router();
+
+  // Load session for routes with session ID, protected sessions require bearer password, invite or admin token
+  router.param('sessionId', (req: Request, res: Response, next: NextFunction, sessionId: string) => {
+    const session = sessions.getSession(sessionId);
+    const credential = getBearerToken(req.headers.authorization);
+    const isAdmin = verifyToken(credential, ADMIN_TOKEN);
+
+    if (!session || (!isAdmin && !sessions.isAuthorized(session, credential, credential))) {
+      res.status(404).json({ error: 'Session not found' });
+      return;
+    }
+
+    res.locals.session = session;
+    next();
+  });
+
+  // Changes to session require bearer client ID of owner or controller, session password or invite, or admin token
+  const requireControl = (req: Request, res: Response, next: NextFunction) => {
+    const credential = getBearerToken(req.headers.authorization);
+
+    if (!verifyToken(credential, ADMIN_TOKEN) && !sessions.canControl(res.locals.session, credential)) {
+      res.set('WWW-Authenticate', 'Bearer').status(401).json({ error: 'Unauthorized' });
+      return;
+    }
+
+    next();
+  };
+
+  router.get('/session/:sessionId', (_req: Request, res: Response) => {
+    res.json(formatSession(res.locals.session) as Session);
+  });
+
+  router.get('/session/:sessionId/history', (_req: Request, res: Response) => {
+    const session: SessionInternal = res.locals.session;
+    res.json(session.history.map(formatHistoryEntry));
+  });
+
+  router.get('/session/:sessionId/stats', (_req: Request, res: Response) => {
+    const session: SessionInternal = res.locals.session;
+    res.json(Object.values(sessions.getUserStats(session.sessionId)).map(formatUserStats));
+  });
+
+  router.get('/session/:sessionId/events', (req: Request, res: Response) => {
+    streams.subscribe(res.locals.session, req, res);
+  });
+
+  router.post('/session', (req: Request, res: Response) => {
+    const body = req.body || {};
+    const sessionId = body.sessionId === undefined ? generateUUID() : formatSessionId(String(body.sessionId));
+
+    if (!sessionId) {
+      res.status(400).json({ error: 'Invalid session ID' });
+      return;
+    }
+
+    if (sessions.getSession(sessionId)) {
+      res.status(409).json({ error: 'Session already exists' });
+      return;
+    }
+
+    if (!hasIntervals(body)) {
+      res.status(400).json({ error: 'Invalid intervals data' });
+      return;
+    }
+
+    const update = formatSessionUpdate({
+      name: String(body.name ?? ''),
+      description: String(body.description ?? ''),
+      intervals: { items: body.intervals.items, lastUpdated: Date.now() },
+    });
+    const session = sessions.createSession(sessionId, update, formatTimer((body.timer || {}) as TimerState));
+
+    logger.info({ sessionId }, `Session ${sessionId} created through API`);
+
+    res.status(201).json(formatSession(session) as Session);
+  });
+
+  router.patch('/session/:sessionId', requireControl, (req: Request, res: Response) => {
+    const body = req.body || {};
+    const session: SessionInternal = res.locals.session;
+
+    if (body.intervals !== undefined && !hasIntervals(body)) {
+      res.status(400).json({ error: 'Invalid intervals data' });
+      return;
+    }
+
+    const revision = body.revision ?? undefined;
+
+    if (revision !== undefined && !(Number.isInteger(revision) && revision >= 0)) {
+      res.status(400).json({ error: 'Invalid revision' });
+      return;
+    }
+
+    const update = formatSessionUpdate({
+      name: String(body.name ?? session.name),
+      description: String(body.description ?? session.description),
+      intervals: body.intervals ? { items: body.intervals.items, lastUpdated: Date.now() } : session.intervals,
+    });
+
+    if (!sessions.updateSession(session, update, undefined, revision)) {
+      res.status(409).json({ error: 'Revision conflict', session: formatSession(session) as Session });
+      return;
+    }
+
+    logger.debug({ sessionId: session.sessionId }, `Session ${session.sessionId} updated through API`);
+
+    res.json(formatSession(session) as Session);
+  });
+
+  router.post('/session/:sessionId/timer/:command', requireControl, (req: Request, res: Response) => {
+    const session: SessionInternal = res.locals.session;
+
+    let message;
+    try {
+      message = formatTimerCommandMsg({ ...(req.body || {}), command: req.params.command });
+    } catch {
+      res.status(400).json({ error: 'Invalid timer command' });
+      return;
+    }
+
+    sessions.runTimerCommand(session, message);
+
+    logger.debug(
+      { sessionId: session.sessionId, command: message.command },
+      `Timer command ${message.command} applied through API in session ${session.sessionId}`
+    );
+
+    res.json(formatTimer(session.timer, session.timerCore));
+  });
+
+  router.get('/session/:sessionId/webhooks', requireControl, (_req: Request, res: Response) => {
+    const session: SessionInternal = res.locals.session;
+    res.json(session.webhooks.map(formatWebhookInfo));
+  });
+
+  router.post('/session/:sessionId/webhooks', requireControl, async (req: Request, res: Response) => {
+    const body = req.body || {};
+    const session: SessionInternal = res.locals.session;
+    const url = formatWebhookUrl(body.url);
+
+    if (!url || !(await isPublicWebhookUrl(url))) {
+      res.status(400).json({ error: 'Invalid webhook URL' });
+      return;
+    }
+
+    if (session.webhooks.length >= MAX_WEBHOOKS) {
+      res.status(409).json({ error: 'Webhook limit reached' });
+      return;
+    }
+
+    const webhook = formatWebhook({
+      webhookId: generateUUID(),
+      url,
+      events: body.events,
+      secret: createWebhookSecret(),
+      createdAt: Date.now(),
+    });
+
+    sessions.addWebhook(session, webhook);
+
+    // Secret is only returned when webhook is created
+    res.status(201).json({ ...formatWebhookInfo(webhook), secret: webhook.secret });
+  });
+
+  router.delete('/session/:sessionId/webhooks/:webhookId', requireControl, (req: Request, res: Response) => {
+    const session: SessionInternal = res.locals.session;
+
+    if (!sessions.removeWebhook(session, req.params.webhookId)) {
+      res.status(404).json({ error: 'Webhook not found' });
+      return;
+    }
+
+    res.status(204).end();
+  });
+
+  return router;
+}
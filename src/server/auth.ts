@@ -0,0 +1,107 @@
+/**
+ * Session password hashing, signed invite tokens and bearer token checks.
+ */
+
+import crypto from 'crypto';
+
+const INVITE_SECRET = process.env.INVITE_SECRET || crypto.randomBytes(32).toString('hex');
+const PASSWORD_KEY_LENGTH = 32;
+
+/**
+ * Hash password using scrypt with random salt.
+ *
+ * @param password plain text password to hash.
+ * @returns salt and derived key as hexadecimal strings separated by colon.
+ */
+export function hashPassword(password: string): string {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH).toString('hex');
+  return `${salt}:${key}`;
+}
+
+/**
+ * Verify password against stored scrypt hash using constant time comparison.
+ *
+ * @param password plain text password to verify.
+ * @param hash stored hash created by hashPassword.
+ * @returns true if password matches hash.
+ */
+export function verifyPassword(password: string, hash: string): boolean {
+  const [salt, key] = (hash || '').split(':');
+  if (!password || !salt || !key) return false;
+
+  const expected = Buffer.from(key, 'hex');
+  const actual = crypto.scryptSync(password, salt, PASSWORD_KEY_LENGTH);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Sign invite payload with server secret.
+ *
+ * @param sessionId session ID invite grants access to.
+ * @param hash current session password hash, invites are invalidated when it changes.
+ * @param expiresAt ms timestamp when invite expires.
+ * @returns base64url encoded HMAC signature.
+ */
+function signInvite(sessionId: string, hash: string, expiresAt: number): string {
+  return crypto.createHmac('sha256', INVITE_SECRET).update(`${sessionId}.${hash}.${expiresAt}`).digest('base64url');
+}
+
+/**
+ * Create signed invite token for session.
+ *
+ * @param sessionId session ID invite grants access to.
+ * @param hash current session password hash, invites are invalidated when it changes.
+ * @param expiresAt ms timestamp when invite expires.
+ * @returns invite token containing expiry and signature.
+ */
+export function createInvite(sessionId: string, hash: string, expiresAt: number): string {
+  return `${expiresAt.toString(36)}.${signInvite(sessionId, hash, expiresAt)}`;
+}
+
+/**
+ * Verify invite token signature and expiry for session.
+ *
+ * @param sessionId session ID being joined.
+ * @param hash current session password hash.
+ * @param invite invite token to verify.
+ * @returns true if invite is valid and has not expired.
+ */
+export function verifyInvite(sessionId: string, hash: string, invite: string): boolean {
+  const [expiry, signature] = (invite || '').split('.');
+  const expiresAt = parseInt(expiry, 36);
+  if (!signature || !expiresAt || expiresAt < Date.now()) return false;
+
+  const expected = Buffer.from(signInvite(sessionId, hash, expiresAt));
+  const actual = Buffer.from(signature);
+
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Read bearer token from authorization header.
+ *
+ * @param header authorization header value.
+ * @returns bearer token, empty if not provided.
+ */
+export function getBearerToken(header?: string): string {
+  const [scheme, token] = (header || '').trim().split(/\s+/);
+  return scheme?.toLowerCase() === 'bearer' ? token || '' : '';
+}
+
+/**
+ * Verify token matches configured token using constant time comparison.
+ *
+ * @param token token provided by client.
+ * @param expected configured token.
+ * @returns true if both tokens are set and match.
+ */
+export function verifyToken(token: string, expected: string): boolean {
+  if (!token || !expected) return false;
+
+  const actual = crypto.createHash('sha256').update(token).digest();
+  const hash = crypto.createHash('sha256').update(expected).digest();
+
+  return crypto.timingSafeEqual(actual, hash);
+}
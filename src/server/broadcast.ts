@@ -0,0 +1,303 @@
+/**
+ * Pub/sub adapters for relaying session broadcasts between server nodes.
+ */
+
+import type { Logger } from 'pino';
+import type { BroadcastAdapter, BroadcastEnvelope } from '../types/broadcast';
+import { createLogger } from './logger.js';
+import { EventEmitter } from 'events';
+import net, { Socket } from 'net';
+
+const BROADCAST_CHANNEL = process.env.BROADCAST_CHANNEL || 'arowa:broadcast';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const RECONNECT_DELAY = 1000;
+const MAX_RECONNECT_DELAY = 30000;
+
+type RespValue = string | number | null | RespValue[];
+
+/**
+ * In-process adapter, relays broadcasts between session managers in the same process.
+ */
+export class MemoryAdapter implements BroadcastAdapter {
+  private emitter: EventEmitter;
+
+  /**
+   * Initialize event emitter used to relay broadcasts.
+   */
+  constructor() {
+    this.emitter = new EventEmitter();
+  }
+
+  /**
+   * Publish broadcast envelope to all subscribers.
+   *
+   * @param envelope broadcast envelope to publish.
+   */
+  publish(envelope: BroadcastEnvelope): void {
+    this.emitter.emit('message', envelope);
+  }
+
+  /**
+   * Register handler for published broadcast envelopes.
+   *
+   * @param handler function called with each published envelope.
+   */
+  subscribe(handler: (envelope: BroadcastEnvelope) => void): void {
+    this.emitter.on('message', handler);
+  }
+
+  /**
+   * Remove all subscribers.
+   */
+  close(): void {
+    this.emitter.removeAllListeners();
+  }
+}
+
+/**
+ * Redis protocol adapter, relays broadcasts between nodes using PUBLISH and SUBSCRIBE.
+ */
+export class RedisAdapter implements BroadcastAdapter {
+  private logger: Logger;
+  private url: URL;
+  private channel: string;
+  private publisher: Socket | null;
+  private subscriber: Socket | null;
+  private handlers: ((envelope: BroadcastEnvelope) => void)[];
+  private buffer: Buffer;
+  private attempts: number;
+  private isClosed: boolean;
+
+  /**
+   * Initialize adapter and open publisher and subscriber connections.
+   *
+   * @param url Redis connection URL (redis://[:password@]host[:port][/db]).
+   * @param channel pub/sub channel name.
+   */
+  constructor(url: string, channel: string) {
+    this.logger = createLogger('broadcast');
+    this.url = new URL(url);
+    this.channel = channel;
+    this.publisher = null;
+    this.subscriber = null;
+    this.handlers = [];
+    this.buffer = Buffer.alloc(0);
+    this.attempts = 0;
+    this.isClosed = false;
+
+    this.connect();
+  }
+
+  /**
+   * Publish broadcast envelope to channel, dropping it if publisher is not connected.
+   *
+   * @param envelope broadcast envelope to publish.
+   */
+  publish(envelope: BroadcastEnvelope): void {
+    if (!this.publisher || this.publisher.destroyed) {
+      this.logger.debug({ sessionId: envelope.sessionId }, 'Redis publisher not connected, broadcast dropped');
+      return;
+    }
+
+    this.publisher.write(this.encode(['PUBLISH', this.channel, JSON.stringify(envelope)]));
+  }
+
+  /**
+   * Register handler for broadcast envelopes received from channel.
+   *
+   * @param handler function called with each received envelope.
+   */
+  subscribe(handler: (envelope: BroadcastEnvelope) => void): void {
+    this.handlers.push(handler);
+  }
+
+  /**
+   * Close publisher and subscriber connections without reconnecting.
+   */
+  close(): void {
+    this.isClosed = true;
+    this.handlers = [];
+    this.publisher?.destroy();
+    this.subscriber?.destroy();
+    this.publisher = null;
+    this.subscriber = null;
+  }
+
+  /**
+   * Open publisher and subscriber connections, subscribing to channel once connected.
+   */
+  private connect(): void {
+    this.buffer = Buffer.alloc(0);
+
+    this.publisher = this.open();
+    this.publisher.on('data', (data: Buffer) => {
+      if (data[0] === 0x2d) this.logger.error(`Redis publisher error: ${data.toString().trim()}`);
+    });
+
+    this.subscriber = this.open();
+    this.subscriber.write(this.encode(['SUBSCRIBE', this.channel]));
+    this.subscriber.on('data', (data: Buffer) => this.receive(data));
+    this.subscriber.on('connect', () => {
+      this.attempts = 0;
+      this.logger.info({ channel: this.channel }, `Subscribed to Redis channel ${this.channel}`);
+    });
+  }
+
+  /**
+   * Open Redis connection, authenticating and selecting database from URL.
+   *
+   * @returns socket connected to Redis server.
+   */
+  private open(): Socket {
+    const socket = net.createConnection({
+      host: this.url.hostname || 'localhost',
+      port: Number(this.url.port) || 6379,
+    });
+
+    if (this.url.password) {
+      const password = decodeURIComponent(this.url.password);
+      const username = decodeURIComponent(this.url.username);
+      socket.write(this.encode(username ? ['AUTH', username, password] : ['AUTH', password]));
+    }
+
+    const database = this.url.pathname.slice(1);
+    if (database) socket.write(this.encode(['SELECT', database]));
+
+    socket.on('error', (error: Error) => {
+      this.logger.error({ error }, `Redis connection error: ${error?.message || 'Unknown error'}`);
+    });
+
+    socket.on('close', () => this.reconnect(socket));
+
+    return socket;
+  }
+
+  /**
+   * Schedule reconnection with increasing delay after connection closes.
+   *
+   * @param socket closed socket.
+   */
+  private reconnect(socket: Socket): void {
+    if (this.isClosed || (socket !== this.publisher && socket !== this.subscriber)) return;
+
+    this.publisher?.destroy();
+    this.subscriber?.destroy();
+    this.publisher = null;
+    this.subscriber = null;
+
+    const delay = Math.min(RECONNECT_DELAY * Math.pow(2, this.attempts++), MAX_RECONNECT_DELAY);
+    this.logger.warn({ delay }, `Redis connection closed, reconnecting in ${delay}ms`);
+
+    setTimeout(() => {
+      if (!this.isClosed) this.connect();
+    }, delay);
+  }
+
+  /**
+   * Buffer subscriber data and dispatch complete channel messages to handlers.
+   *
+   * @param data raw data received from subscriber connection.
+   */
+  private receive(data: Buffer): void {
+    this.buffer = Buffer.concat([this.buffer, data]);
+
+    try {
+      let parsed = this.decode(this.buffer, 0);
+      while (parsed) {
+        const [reply, offset] = parsed;
+        this.buffer = this.buffer.subarray(offset);
+
+        if (Array.isArray(reply) && reply[0] === 'message' && reply[1] === this.channel) {
+          this.dispatch(String(reply[2]));
+        } else if (typeof reply === 'string' && reply.startsWith('ERR')) {
+          this.logger.error(`Redis subscriber error: ${reply}`);
+        }
+
+        parsed = this.decode(this.buffer, 0);
+      }
+    } catch (error) {
+      this.buffer = Buffer.alloc(0);
+      this.logger.error({ error }, `Error decoding Redis reply: ${error}`);
+    }
+  }
+
+  /**
+   * Parse envelope payload and pass it to registered handlers.
+   *
+   * @param payload JSON encoded broadcast envelope.
+   */
+  private dispatch(payload: string): void {
+    try {
+      const envelope = JSON.parse(payload) as BroadcastEnvelope;
+      this.handlers.forEach((handler) => handler(envelope));
+    } catch (error) {
+      this.logger.error({ error }, `Error handling Redis message: ${error}`);
+    }
+  }
+
+  /**
+   * Encode command as RESP array of bulk strings.
+   *
+   * @param args command name and arguments.
+   * @returns RESP encoded command.
+   */
+  private encode(args: string[]): Buffer {
+    const parts = args.map((arg) => `$${Buffer.byteLength(arg)}\r\n${arg}\r\n`);
+    return Buffer.from(`*${args.length}\r\n${parts.join('')}`);
+  }
+
+  /**
+   * Decode single RESP value from buffer.
+   *
+   * Note: Error replies are returned as strings prefixed with "ERR".
+   *
+   * @param buffer buffer containing RESP data.
+   * @param start offset to start decoding from.
+   * @returns decoded value and offset after it, or null if buffer is incomplete.
+   */
+  private decode(buffer: Buffer, start: number): [RespValue, number] | null {
+    const end = buffer.indexOf('\r\n', start);
+    if (end === -1) return null;
+
+    const line = buffer.toString('utf8', start + 1, end);
+    const next = end + 2;
+
+    switch (String.fromCharCode(buffer[start])) {
+      case '+':
+        return [line, next];
+      case '-':
+        return [line.startsWith('ERR') ? line : `ERR ${line}`, next];
+      case ':':
+        return [Number(line), next];
+      case '$': {
+        const length = Number(line);
+        if (length === -1) return [null, next];
+        if (buffer.length < next + length + 2) return null;
+        return [buffer.toString('utf8', next, next + length), next + length + 2];
+      }
+      case '*': {
+        const count = Number(line);
+        const items: RespValue[] = [];
+        let offset = next;
+        for (let i = 0; i < count; i++) {
+          const item = this.decode(buffer, offset);
+          if (!item) return null;
+          items.push(item[0]);
+          offset = item[1];
+        }
+        return [items, offset];
+      }
+      default:
+        throw new Error(`Invalid RESP type: ${String.fromCharCode(buffer[start])}`);
+    }
+  }
+}
+
+/**
+ * Create broadcast adapter configured by BROADCAST environment variable.
+ *
+ * @returns Redis adapter if BROADCAST is "redis", otherwise in-process adapter.
+ */
+export function createAdapter(): BroadcastAdapter {
+  return process.env.BROADCAST === 'redis' ? new RedisAdapter(REDIS_URL, BROADCAST_CHANNEL) : new MemoryAdapter();
+}
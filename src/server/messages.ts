@@ -3,23 +3,56 @@
  */
 
 import type {
+  AnnouncementMessage,
+  ChatHistoryMessage,
+  ChatListMessage,
+  ChatMessageMessage,
+  ChatSendMessage,
   ErrorMessage,
+  HistoryListMessage,
+  HistoryMessage,
   IncomingMessage,
+  InviteCreated,
+  InviteCreatedMessage,
+  InviteCreateMessage,
   Interval,
+  IntervalChangedMessage,
   IntervalList,
+  IntervalPosition,
   PingMessage,
   PongMessage,
+  ReactionMessage,
+  ReactionSendMessage,
+  RecurrenceUpdatedMessage,
+  RecurrenceUpdateMessage,
+  RoleGrantMessage,
+  RoleRevokeMessage,
+  UserKickMessage,
+  UserBanMessage,
   Session,
   SessionCreated,
+  SessionConflictMessage,
   SessionCreatedMessage,
   SessionInternal,
   SessionJoined,
   SessionJoinedMessage,
   SessionJoinMessage,
   SessionNew,
+  SessionProtectedMessage,
+  SessionProtectMessage,
+  SessionRejected,
+  SessionRejectedMessage,
   SessionUpdate,
   SessionUpdatedMessage,
   SessionUpdateMessage,
+  StatsListMessage,
+  StatsMessage,
+  TaskAddMessage,
+  TaskRemoveMessage,
+  TasksUpdatedMessage,
+  TaskUpdateMessage,
+  TimerCommand,
+  TimerCommandMessage,
   TimerState,
   TimerStateInternal,
   TimerUpdatedMessage,
@@ -28,26 +61,58 @@ import type {
   User,
   UserConnectedMessage,
   UserDisconnectedMessage,
+  UserRemovedMessage,
   UserInternal,
   UserList,
   UserListInternal,
   UserListMessage,
+  UserRole,
+  UserStatus,
   UsersConnectedMessage,
   UserUpdated,
   UserUpdatedMessage,
   UserUpdateMessage,
+  VoteCastMessage,
+  VoteProposeMessage,
+  VoteUpdatedMessage,
 } from '../types/messages';
+import type { AdminSession, AdminSessionSummary, AdminUser } from '../types/admin';
+import type { BroadcastState } from '../types/broadcast';
+import type { ChatMessage } from '../types/chat';
+import type { HistoryAction, HistoryActor, HistoryEntry } from '../types/history';
+import type { Recurrence } from '../types/schedule';
+import type { CompletedInterval, IntervalTotals, UserStats, UserStatsList } from '../types/stats';
+import type { SessionRecord } from '../types/store';
+import type { Task, TaskUpdate } from '../types/tasks';
+import type { Vote, VoteAction, VoteRelay, VoteStatus } from '../types/votes';
+import type { Webhook, WebhookEvent, WebhookInfo } from '../types/webhooks';
 import {
+  CHAT_REACTIONS,
   CLIENT_ID_REGEX,
   DEFAULT_DURATION,
+  DEFAULT_ROLE,
+  DEFAULT_USER_STATUS,
+  MAX_CHAT_LENGTH,
   MAX_DURATION,
   MAX_NAME_LENGTH,
+  MAX_RECURRENCE_TIMES,
+  MAX_STATUS_LENGTH,
   MAX_STRING_LENGTH,
+  MAX_TASK_ESTIMATE,
+  MAX_TASK_LENGTH,
+  MAX_TASKS,
   MAX_URL_LENGTH,
   MIN_DURATION,
+  RECURRENCE_TIME_REGEX,
   SESSION_ID_REGEX,
+  TIMER_COMMANDS,
+  USER_ROLES,
+  USER_STATUSES,
+  VOTE_ACTIONS,
+  WEBHOOK_EVENTS,
 } from '../shared/constants.js';
 import TimerCore from '../shared/timer-core.js';
+import { isValidTimezone } from '../shared/schedule.js';
 import crypto from 'crypto';
 
 /**
@@ -102,6 +167,84 @@ export function formatClientId(input: string): string {
   return CLIENT_ID_REGEX.test(clientId) ? clientId : generateUUID();
 }
 
+/**
+ * Format user role string by lowercasing, trimming and validating against known roles.
+ *
+ * @param input user role string to format.
+ * @returns formatted user role if valid, otherwise default role.
+ */
+export function formatRole(input: string): UserRole {
+  const role = (input || '').toLowerCase().trim() as UserRole;
+  return USER_ROLES.includes(role) ? role : DEFAULT_ROLE;
+}
+
+/**
+ * Format user presence status string by lowercasing, trimming and validating against known statuses.
+ *
+ * @param input user status string to format.
+ * @returns formatted user status if valid, otherwise default status.
+ */
+export function formatUserStatus(input: string): UserStatus {
+  const status = (input || '').toLowerCase().trim() as UserStatus;
+  return USER_STATUSES.includes(status) ? status : DEFAULT_USER_STATUS;
+}
+
+/**
+ * Format custom user status text by replacing control characters with spaces, trimming and limiting length.
+ *
+ * @param input status text to format.
+ * @returns formatted status text.
+ */
+export function formatStatusText(input: string): string {
+  return String(input ?? '')
+    .replace(/\p{Cc}+/gu, ' ')
+    .trim()
+    .substring(0, MAX_STATUS_LENGTH);
+}
+
+/**
+ * Format roles granted in session by keeping hashed client IDs with known roles.
+ *
+ * @param input object mapping hashed client IDs to roles.
+ * @returns formatted roles object.
+ */
+export function formatRoles(input: { [key: string]: UserRole }): { [key: string]: UserRole } {
+  const roles: { [key: string]: UserRole } = {};
+
+  Object.entries(input || {}).forEach(([hashedId, role]) => {
+    if (hashedId) roles[hashedId] = formatRole(role);
+  });
+
+  return roles;
+}
+
+/**
+ * Format kicked users by keeping hashed client IDs with valid rejoin times.
+ *
+ * @param input object mapping hashed client IDs to ms timestamp when user may rejoin.
+ * @returns formatted kicked users object.
+ */
+export function formatKickedUntil(input: { [key: string]: number }): { [key: string]: number } {
+  const kicked: { [key: string]: number } = {};
+
+  Object.entries(input || {}).forEach(([hashedId, until]) => {
+    if (hashedId && Number.isFinite(until) && until > 0) kicked[hashedId] = until;
+  });
+
+  return kicked;
+}
+
+/**
+ * Format banned users by removing empty and duplicate hashed client IDs.
+ *
+ * @param input hashed client IDs of banned users.
+ * @returns formatted hashed client IDs.
+ */
+export function formatBannedIds(input: string[]): string[] {
+  if (!Array.isArray(input)) return [];
+  return [...new Set(input.map((hashedId) => String(hashedId ?? '')).filter(Boolean))];
+}
+
 /**
  * Format user object for external use by trimming and validating fields.
  *
@@ -114,6 +257,9 @@ export function formatUser(user: User | UserInternal): User {
     name: (user?.name || '').trim().substring(0, MAX_NAME_LENGTH),
     avatarUrl: (user?.avatarUrl || '').trim().substring(0, MAX_URL_LENGTH),
     isOnline: 'offlineAt' in user ? Boolean(!user.offlineAt) : true, // offlineAt is only on UserInternal
+    role: formatRole(user?.role),
+    status: formatUserStatus(user?.status),
+    statusText: formatStatusText(user?.statusText),
   };
 }
 
@@ -162,19 +308,175 @@ export function formatIntervalList(intervals: IntervalList): IntervalList {
   };
 }
 
+/**
+ * Format position of interval in session by index and name.
+ *
+ * @param session session containing intervals.
+ * @param index index of interval.
+ * @returns formatted IntervalPosition with index and interval name.
+ */
+export function formatIntervalPosition(session: SessionInternal, index: number): IntervalPosition {
+  const position = Math.max(0, Math.floor(Number(index) || 0));
+  return {
+    index: position,
+    name: (session?.intervals?.items?.[position]?.name || '').trim(),
+  };
+}
+
 /**
  * Format timer state object for external use by validating and sanitizing timer fields.
+ * When timer core is provided, state is synced from it and absolute end timestamps are added.
  *
  * @param timer timer state object to format.
+ * @param timerCore optional timer core to read current state and end timestamps from.
  * @returns formatted TimerState object with validated and sanitized fields.
  */
-export function formatTimer(timer: TimerState | TimerStateInternal): TimerState {
+export function formatTimer(timer: TimerState | TimerStateInternal, timerCore?: TimerCore): TimerState {
+  const state = timerCore ? timerCore.sync() : timer;
+  return {
+    repeat: Boolean(state?.repeat ?? false),
+    interval: Math.max(0, Math.min(state?.interval || 0, Number.MAX_SAFE_INTEGER)),
+    remaining: Math.max(0, Math.min(state?.remaining || DEFAULT_DURATION * 1000, MAX_DURATION * 1000)),
+    isRunning: Boolean(state?.isRunning ?? false),
+    isPaused: Boolean(state?.isPaused ?? false),
+    scheduledStartAt: Math.max(0, Number(state?.scheduledStartAt) || 0),
+    ...(timerCore ? timerCore.getEndTimes() : {}),
+  };
+}
+
+/**
+ * Format session content revision number.
+ *
+ * @param input revision number to format.
+ * @returns revision as non-negative integer, 0 if invalid.
+ */
+export function formatRevision(input: number): number {
+  const revision = Math.floor(Number(input));
+  return Number.isFinite(revision) ? Math.max(0, Math.min(revision, Number.MAX_SAFE_INTEGER)) : 0;
+}
+
+/**
+ * Format task estimate as whole number of intervals.
+ *
+ * @param input estimate to format.
+ * @returns estimate between 0 and maximum estimate, 0 if invalid.
+ */
+export function formatTaskEstimate(input: number): number {
+  const estimate = Math.floor(Number(input));
+  return Number.isFinite(estimate) ? Math.max(0, Math.min(estimate, MAX_TASK_ESTIMATE)) : 0;
+}
+
+/**
+ * Format task object for external use by validating and sanitizing fields.
+ *
+ * @param task task object to format.
+ * @returns formatted Task, completedAt is null unless task is completed.
+ */
+export function formatTask(task: Partial<Task>): Task {
+  const isCompleted = Boolean(task?.isCompleted);
   return {
-    repeat: Boolean(timer?.repeat ?? false),
-    interval: Math.max(0, Math.min(timer?.interval || 0, Number.MAX_SAFE_INTEGER)),
-    remaining: Math.max(0, Math.min(timer?.remaining || DEFAULT_DURATION * 1000, MAX_DURATION * 1000)),
-    isRunning: Boolean(timer?.isRunning ?? false),
-    isPaused: Boolean(timer?.isPaused ?? false),
+    taskId: String(task?.taskId || generateUUID()).substring(0, MAX_NAME_LENGTH),
+    title: String(task?.title ?? '')
+      .trim()
+      .substring(0, MAX_TASK_LENGTH),
+    isCompleted,
+    assigneeId: task?.assigneeId ? String(task.assigneeId) : null,
+    estimate: formatTaskEstimate(task?.estimate ?? 0),
+    createdBy: task?.createdBy ? String(task.createdBy) : null,
+    createdAt: Number(task?.createdAt) || Date.now(),
+    completedAt: isCompleted ? Number(task?.completedAt) || Date.now() : null,
+  };
+}
+
+/**
+ * Format task list for external use by removing untitled and duplicate tasks.
+ *
+ * @param input task list to format.
+ * @returns formatted tasks, limited to maximum number of tasks.
+ */
+export function formatTaskList(input: Task[]): Task[] {
+  return (Array.isArray(input) ? input : [])
+    .map(formatTask)
+    .filter((task, index, list) => task.title && list.findIndex((t) => t.taskId === task.taskId) === index)
+    .slice(0, MAX_TASKS);
+}
+
+/**
+ * Format task update by validating only fields present in update.
+ *
+ * @param input task update to format.
+ * @returns formatted TaskUpdate, assigneeId is null to unassign task.
+ */
+export function formatTaskUpdate(input: TaskUpdate): TaskUpdate {
+  return {
+    ...(input?.title !== undefined ? { title: String(input.title).trim().substring(0, MAX_TASK_LENGTH) } : {}),
+    ...(input?.isCompleted !== undefined ? { isCompleted: Boolean(input.isCompleted) } : {}),
+    ...(input?.assigneeId !== undefined ? { assigneeId: input.assigneeId ? String(input.assigneeId) : null } : {}),
+    ...(input?.estimate !== undefined ? { estimate: formatTaskEstimate(input.estimate) } : {}),
+  };
+}
+
+/**
+ * Format chat text by replacing control characters and line breaks with spaces, trimming and limiting length.
+ *
+ * @param input chat text to format.
+ * @returns formatted chat text, empty if input has no visible text.
+ */
+export function formatChatText(input: string): string {
+  return String(input ?? '')
+    .replace(/\p{Cc}+/gu, ' ')
+    .trim()
+    .substring(0, MAX_CHAT_LENGTH);
+}
+
+/**
+ * Format vote action string by lowercasing, trimming and validating against actions users can vote on.
+ *
+ * @param input vote action string to format.
+ * @returns formatted vote action if valid, otherwise null.
+ */
+export function formatVoteAction(input: string): VoteAction | null {
+  const action = String(input ?? '')
+    .toLowerCase()
+    .trim() as VoteAction;
+  return VOTE_ACTIONS.includes(action) ? action : null;
+}
+
+/**
+ * Format vote by validating action, voters, required approvals, expiry and status.
+ *
+ * @param vote vote to format.
+ * @returns formatted Vote with unique approving and rejecting voters.
+ */
+export function formatVote(vote: Vote): Vote {
+  const statuses: VoteStatus[] = ['open', 'passed', 'failed', 'expired'];
+  const approvals = Array.isArray(vote?.approvals) ? [...new Set(vote.approvals.map(String))] : [];
+  const rejections = Array.isArray(vote?.rejections) ? [...new Set(vote.rejections.map(String))] : [];
+
+  return {
+    voteId: String(vote?.voteId || generateUUID()).substring(0, MAX_NAME_LENGTH),
+    action: formatVoteAction(vote?.action) || 'next',
+    proposer: formatHistoryActor(vote?.proposer),
+    approvals,
+    rejections: rejections.filter((clientId) => !approvals.includes(clientId)),
+    required: Math.max(1, Math.floor(Number(vote?.required) || 1)),
+    expiresAt: Math.max(0, Math.floor(Number(vote?.expiresAt) || 0)),
+    status: statuses.includes(vote?.status) ? vote.status : 'open',
+  };
+}
+
+/**
+ * Format vote relay between server nodes by validating vote ID, online client IDs and choice.
+ *
+ * @param relay vote relay to format.
+ * @returns formatted VoteRelay, clientId is empty when relay only reports online users.
+ */
+export function formatVoteRelay(relay: VoteRelay): VoteRelay {
+  return {
+    voteId: String(relay?.voteId || '').substring(0, MAX_NAME_LENGTH),
+    online: Array.isArray(relay?.online) ? [...new Set(relay.online.map(String))] : [],
+    clientId: String(relay?.clientId || ''),
+    approve: Boolean(relay?.approve),
   };
 }
 
@@ -190,8 +492,10 @@ export function formatSession(session: Session | SessionInternal): Session {
     name: (session?.name || '').trim().substring(0, MAX_STRING_LENGTH),
     description: (session?.description || '').trim().substring(0, MAX_STRING_LENGTH),
     intervals: formatIntervalList(session?.intervals || {}),
-    timer: formatTimer(session?.timer || {}),
+    revision: formatRevision(session?.revision),
+    timer: formatTimer(session?.timer || {}, (session as SessionInternal)?.timerCore),
     users: formatUserList(session?.users || {}),
+    tasks: formatTaskList(session?.tasks),
   };
 }
 
@@ -226,6 +530,9 @@ export function formatSessionJoinMsg(message: SessionJoinMessage): SessionJoinMe
     session: formatSessionUpdate(message?.session || {}),
     timer: formatTimer(message?.timer || {}),
     user: formatUser(message?.user || {}),
+    ...(message?.password ? { password: String(message.password).substring(0, MAX_STRING_LENGTH) } : {}),
+    ...(message?.invite ? { invite: String(message.invite).trim().substring(0, MAX_STRING_LENGTH) } : {}),
+    ...(Array.isArray(message?.tasks) ? { tasks: formatTaskList(message.tasks) } : {}),
   };
 }
 
@@ -245,6 +552,9 @@ export function formatSessionUpdateMsg(message: SessionUpdateMessage): SessionUp
           timer: formatTimer(message?.timer || ({} as TimerState)),
         }
       : {}),
+    ...(message?.revision !== undefined && message?.revision !== null
+      ? { revision: formatRevision(message.revision) }
+      : {}),
   };
 }
 
@@ -261,6 +571,37 @@ export function formatTimerUpdateMsg(message: TimerUpdateMessage): TimerUpdateMe
   };
 }
 
+/**
+ * Format timer command message for processing by validating command and its arguments.
+ *
+ * @param message timer command message to format.
+ * @returns formatted TimerCommandMessage with validated command, repeat mode, seek position and scheduled start.
+ * @throws Error if command is unknown.
+ */
+export function formatTimerCommandMsg(message: TimerCommandMessage): TimerCommandMessage {
+  const command = String(message?.command ?? '')
+    .toLowerCase()
+    .trim() as TimerCommand;
+  if (!TIMER_COMMANDS.includes(command)) throw new Error('Invalid timer command');
+
+  return {
+    type: 'timer_command',
+    command,
+    ...(command === 'repeat' && typeof message?.repeat === 'boolean' ? { repeat: message.repeat } : {}),
+    ...(command === 'seek'
+      ? {
+          interval: Math.max(0, Math.floor(Number(message?.interval) || 0)),
+          ...(Number.isFinite(message?.remaining)
+            ? { remaining: Math.max(0, Math.min(Number(message.remaining), MAX_DURATION * 1000)) }
+            : {}),
+        }
+      : {}),
+    ...(command === 'schedule'
+      ? { scheduledStartAt: Math.max(0, Math.floor(Number(message?.scheduledStartAt) || 0)) }
+      : {}),
+  };
+}
+
 /**
  * Format user update message for processing by validating user object.
  *
@@ -274,6 +615,197 @@ export function formatUserUpdateMsg(message: UserUpdateMessage): UserUpdateMessa
   };
 }
 
+/**
+ * Format role grant message for processing by validating target client ID and role.
+ *
+ * @param message role grant message to format.
+ * @returns formatted RoleGrantMessage with validated clientId and role.
+ */
+export function formatRoleGrantMsg(message: RoleGrantMessage): RoleGrantMessage {
+  return {
+    type: 'role_grant',
+    clientId: (message?.clientId || '').toLowerCase().trim(),
+    role: formatRole(message?.role),
+  };
+}
+
+/**
+ * Format role revoke message for processing by validating target client ID.
+ *
+ * @param message role revoke message to format.
+ * @returns formatted RoleRevokeMessage with validated clientId.
+ */
+export function formatRoleRevokeMsg(message: RoleRevokeMessage): RoleRevokeMessage {
+  return {
+    type: 'role_revoke',
+    clientId: (message?.clientId || '').toLowerCase().trim(),
+  };
+}
+
+/**
+ * Format user kick message for processing by validating target client ID.
+ *
+ * @param message user kick message to format.
+ * @returns formatted UserKickMessage with validated clientId.
+ */
+export function formatUserKickMsg(message: UserKickMessage): UserKickMessage {
+  return {
+    type: 'user_kick',
+    clientId: (message?.clientId || '').toLowerCase().trim(),
+  };
+}
+
+/**
+ * Format user ban message for processing by validating target client ID.
+ *
+ * @param message user ban message to format.
+ * @returns formatted UserBanMessage with validated clientId.
+ */
+export function formatUserBanMsg(message: UserBanMessage): UserBanMessage {
+  return {
+    type: 'user_ban',
+    clientId: (message?.clientId || '').toLowerCase().trim(),
+  };
+}
+
+/**
+ * Format session protect message for processing by validating password.
+ *
+ * @param message session protect message to format.
+ * @returns formatted SessionProtectMessage with validated password, empty to remove protection.
+ */
+export function formatSessionProtectMsg(message: SessionProtectMessage): SessionProtectMessage {
+  return {
+    type: 'session_protect',
+    password: String(message?.password ?? '').substring(0, MAX_STRING_LENGTH),
+  };
+}
+
+/**
+ * Format recurrence update message for processing by validating recurrence.
+ *
+ * @param message recurrence update message to format.
+ * @returns formatted RecurrenceUpdateMessage, recurrence is null to remove recurring schedule.
+ */
+export function formatRecurrenceUpdateMsg(message: RecurrenceUpdateMessage): RecurrenceUpdateMessage {
+  return {
+    type: 'recurrence_update',
+    recurrence: formatRecurrence(message?.recurrence),
+  };
+}
+
+/**
+ * Format task add message for processing by validating task fields.
+ *
+ * @param message task add message to format.
+ * @returns formatted TaskAddMessage.
+ */
+export function formatTaskAddMsg(message: TaskAddMessage): TaskAddMessage {
+  return {
+    type: 'task_add',
+    task: formatTaskUpdate(message?.task || {}),
+  };
+}
+
+/**
+ * Format task update message for processing by validating task ID and changed task fields.
+ *
+ * @param message task update message to format.
+ * @returns formatted TaskUpdateMessage.
+ */
+export function formatTaskUpdateMsg(message: TaskUpdateMessage): TaskUpdateMessage {
+  return {
+    type: 'task_update',
+    taskId: String(message?.taskId ?? ''),
+    task: formatTaskUpdate(message?.task || {}),
+  };
+}
+
+/**
+ * Format task remove message for processing by validating task ID.
+ *
+ * @param message task remove message to format.
+ * @returns formatted TaskRemoveMessage.
+ */
+export function formatTaskRemoveMsg(message: TaskRemoveMessage): TaskRemoveMessage {
+  return {
+    type: 'task_remove',
+    taskId: String(message?.taskId ?? ''),
+  };
+}
+
+/**
+ * Format chat send message for processing by sanitising chat text.
+ *
+ * @param message chat send message to format.
+ * @returns formatted ChatSendMessage, text is empty if message has no visible text.
+ */
+export function formatChatSendMsg(message: ChatSendMessage): ChatSendMessage {
+  return {
+    type: 'chat_send',
+    text: formatChatText(message?.text),
+  };
+}
+
+/**
+ * Create chat list message object.
+ *
+ * @returns ChatListMessage object.
+ */
+export function formatChatListMsg(): ChatListMessage {
+  return { type: 'chat_list' };
+}
+
+/**
+ * Format reaction send message for processing by validating emoji against allowed reactions.
+ *
+ * @param message reaction send message to format.
+ * @returns formatted ReactionSendMessage, emoji is empty if it is not an allowed reaction.
+ */
+export function formatReactionSendMsg(message: ReactionSendMessage): ReactionSendMessage {
+  const emoji = String(message?.emoji ?? '');
+  return {
+    type: 'reaction_send',
+    emoji: CHAT_REACTIONS.includes(emoji) ? emoji : '',
+  };
+}
+
+/**
+ * Format vote propose message for processing by validating proposed action.
+ *
+ * @param message vote propose message to format.
+ * @returns formatted VoteProposeMessage, action is null if it is not an action users can vote on.
+ */
+export function formatVoteProposeMsg(message: VoteProposeMessage): VoteProposeMessage {
+  return {
+    type: 'vote_propose',
+    action: formatVoteAction(message?.action as string),
+  };
+}
+
+/**
+ * Format vote cast message for processing by validating vote ID and choice.
+ *
+ * @param message vote cast message to format.
+ * @returns formatted VoteCastMessage.
+ */
+export function formatVoteCastMsg(message: VoteCastMessage): VoteCastMessage {
+  return {
+    type: 'vote_cast',
+    voteId: String(message?.voteId ?? '').substring(0, MAX_NAME_LENGTH),
+    approve: message?.approve === true,
+  };
+}
+
+/**
+ * Create invite create message object.
+ *
+ * @returns InviteCreateMessage object.
+ */
+export function formatInviteCreateMsg(): InviteCreateMessage {
+  return { type: 'invite_create' };
+}
+
 /**
  * Create user list message object.
  *
@@ -284,12 +816,36 @@ export function formatUserListMsg(): UserListMessage {
 }
 
 /**
- * Create ping message object.
+ * Create history list message object.
+ *
+ * @returns HistoryListMessage object.
+ */
+export function formatHistoryListMsg(): HistoryListMessage {
+  return { type: 'history_list' };
+}
+
+/**
+ * Create stats list message object.
  *
- * @returns PingMessage object.
+ * @returns StatsListMessage object.
  */
-export function formatPingMsg(): PingMessage {
-  return { type: 'ping' };
+export function formatStatsListMsg(): StatsListMessage {
+  return { type: 'stats_list' };
+}
+
+/**
+ * Format ping message for processing by validating client timestamp.
+ *
+ * @param message ping message to format.
+ * @returns formatted PingMessage with client send time if provided.
+ */
+export function formatPingMsg(message?: PingMessage): PingMessage {
+  const clientTime = Number(message?.clientTime);
+
+  return {
+    type: 'ping',
+    ...(Number.isFinite(clientTime) && clientTime > 0 ? { clientTime } : {}),
+  };
 }
 
 // =============================================================================
@@ -322,6 +878,89 @@ export function formatSessionJoinedMsg(message: SessionJoined): SessionJoinedMes
     sessionId: formatSessionId(message?.sessionId || ''),
     clientId: formatClientId(message?.clientId || ''),
     session: formatSession(message?.session || {}),
+    isProtected: Boolean(message?.session?.passwordHash),
+    recurrence: formatRecurrence(message?.session?.recurrence),
+  };
+}
+
+/**
+ * Format session rejected message for outgoing communication by validating sessionId and reason.
+ *
+ * @param message session rejected object to format.
+ * @returns formatted SessionRejectedMessage with validated sessionId and reason.
+ */
+export function formatSessionRejectedMsg(message: SessionRejected): SessionRejectedMessage {
+  return {
+    type: 'session_rejected',
+    sessionId: formatSessionId(message?.sessionId || ''),
+    reason: message?.reason === 'invalid_credentials' ? 'invalid_credentials' : 'credentials_required',
+  };
+}
+
+/**
+ * Format session protected message for outgoing communication by extracting protection state from session.
+ *
+ * @param session session object to format.
+ * @returns formatted SessionProtectedMessage with validated sessionId and protection state.
+ */
+export function formatSessionProtectedMsg(session: SessionInternal): SessionProtectedMessage {
+  return {
+    type: 'session_protected',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    isProtected: Boolean(session?.passwordHash),
+  };
+}
+
+/**
+ * Format recurrence updated message for outgoing communication by extracting recurrence from session.
+ *
+ * @param session session object to format.
+ * @param entry optional history entry of change, attributing update to its actor.
+ * @returns formatted RecurrenceUpdatedMessage with validated sessionId and recurrence.
+ */
+export function formatRecurrenceUpdatedMsg(
+  session: SessionInternal,
+  entry: HistoryEntry | null = null
+): RecurrenceUpdatedMessage {
+  return {
+    type: 'recurrence_updated',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    recurrence: formatRecurrence(session?.recurrence),
+    actor: entry?.actor ? formatHistoryActor(entry.actor) : null,
+  };
+}
+
+/**
+ * Format tasks updated message for outgoing communication by extracting task list from session.
+ *
+ * @param session session object to format.
+ * @param actor optional user who changed task list.
+ * @returns formatted TasksUpdatedMessage with validated sessionId, tasks and actor.
+ */
+export function formatTasksUpdatedMsg(
+  session: SessionInternal,
+  actor: HistoryActor | null = null
+): TasksUpdatedMessage {
+  return {
+    type: 'tasks_updated',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    tasks: formatTaskList(session?.tasks),
+    actor: actor ? formatHistoryActor(actor) : null,
+  };
+}
+
+/**
+ * Format invite created message for outgoing communication by validating sessionId, invite and expiry.
+ *
+ * @param message invite created object to format.
+ * @returns formatted InviteCreatedMessage with validated fields.
+ */
+export function formatInviteCreatedMsg(message: InviteCreated): InviteCreatedMessage {
+  return {
+    type: 'invite_created',
+    sessionId: formatSessionId(message?.sessionId || ''),
+    invite: (message?.invite || '').trim(),
+    expiresAt: Number(message?.expiresAt || 0),
   };
 }
 
@@ -353,6 +992,30 @@ export function formatUserDisconnectedMsg(message: UserUpdated): UserDisconnecte
   };
 }
 
+/**
+ * Format user removed message for outgoing communication when user is kicked or banned from session.
+ *
+ * @param session session object user was removed from.
+ * @param clientId hashed client ID of removed user.
+ * @param isBanned whether user was banned from rejoining session.
+ * @param actor user who removed user, null if removed through admin API.
+ * @returns formatted UserRemovedMessage with validated sessionId, clientId and actor.
+ */
+export function formatUserRemovedMsg(
+  session: SessionInternal,
+  clientId: string,
+  isBanned: boolean,
+  actor: HistoryActor | null
+): UserRemovedMessage {
+  return {
+    type: 'user_removed',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    clientId: String(clientId || ''),
+    isBanned: isBanned === true,
+    actor: actor ? formatHistoryActor(actor) : null,
+  };
+}
+
 /**
  * Format user updated message for outgoing communication by validating sessionId and user.
  *
@@ -385,9 +1048,13 @@ export function formatUsersConnectedMsg(session: SessionInternal): UsersConnecte
  * Format session updated message for outgoing communication by extracting session fields.
  *
  * @param session session object to format.
- * @returns formatted SessionUpdatedMessage with validated sessionId and session fields.
+ * @param entry optional history entry of update, used to attribute update to its actor.
+ * @returns formatted SessionUpdatedMessage with validated sessionId, session fields and actor.
  */
-export function formatSessionUpdatedMsg(session: SessionInternal): SessionUpdatedMessage {
+export function formatSessionUpdatedMsg(
+  session: SessionInternal,
+  entry: HistoryEntry | null = null
+): SessionUpdatedMessage {
   return {
     type: 'session_updated',
     sessionId: formatSessionId(session?.sessionId || ''),
@@ -396,6 +1063,27 @@ export function formatSessionUpdatedMsg(session: SessionInternal): SessionUpdate
       description: (session?.description || '').trim(),
       intervals: formatIntervalList(session?.intervals || {}),
     },
+    revision: formatRevision(session?.revision),
+    actor: entry?.actor ? formatHistoryActor(entry.actor) : null,
+  };
+}
+
+/**
+ * Format session conflict message for outgoing communication with current session content and revision.
+ *
+ * @param session session object whose current content is sent.
+ * @returns formatted SessionConflictMessage with validated sessionId, session content and revision.
+ */
+export function formatSessionConflictMsg(session: SessionInternal): SessionConflictMessage {
+  return {
+    type: 'session_conflict',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    session: {
+      name: (session?.name || '').trim(),
+      description: (session?.description || '').trim(),
+      intervals: formatIntervalList(session?.intervals || {}),
+    },
+    revision: formatRevision(session?.revision),
   };
 }
 
@@ -403,23 +1091,160 @@ export function formatSessionUpdatedMsg(session: SessionInternal): SessionUpdate
  * Format timer updated message for outgoing communication by extracting timer state from session.
  *
  * @param session session object to format.
- * @returns formatted TimerUpdatedMessage with validated sessionId and timer.
+ * @param entry optional history entry of timer change, used to attribute change to its actor and action.
+ * @returns formatted TimerUpdatedMessage with validated sessionId, timer, actor and action.
  */
-export function formatTimerUpdatedMsg(session: SessionInternal): TimerUpdatedMessage {
+export function formatTimerUpdatedMsg(
+  session: SessionInternal,
+  entry: HistoryEntry | null = null
+): TimerUpdatedMessage {
   return {
     type: 'timer_updated',
     sessionId: formatSessionId(session?.sessionId || ''),
-    timer: formatTimer(session?.timer || {}),
+    timer: formatTimer(session?.timer || {}, session?.timerCore),
+    actor: entry?.actor ? formatHistoryActor(entry.actor) : null,
+    action: entry ? (String(entry.action) as HistoryAction) : null,
   };
 }
 
 /**
- * Create pong message object.
+ * Format interval changed message for outgoing communication when timer crosses interval boundary.
  *
- * @returns PongMessage object.
+ * @param session session object whose timer changed interval.
+ * @param finished index of interval that has finished.
+ * @returns formatted IntervalChangedMessage with finished and next intervals and current timer state.
  */
-export function formatPongMsg(): PongMessage {
-  return { type: 'pong' };
+export function formatIntervalChangedMsg(session: SessionInternal, finished: number): IntervalChangedMessage {
+  return {
+    type: 'interval_changed',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    finished: formatIntervalPosition(session, finished),
+    next: formatIntervalPosition(session, session?.timer?.interval),
+    timer: formatTimer(session?.timer || {}, session?.timerCore),
+  };
+}
+
+/**
+ * Format history message for outgoing communication by formatting session history entries.
+ *
+ * @param session session object whose history will be sent.
+ * @returns formatted HistoryMessage with validated sessionId and entries, oldest first.
+ */
+export function formatHistoryMsg(session: SessionInternal): HistoryMessage {
+  return {
+    type: 'history',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    entries: (session?.history || []).map(formatHistoryEntry),
+  };
+}
+
+/**
+ * Format stats message for outgoing communication by formatting focus statistics of each session user.
+ *
+ * @param session session object whose user statistics will be sent.
+ * @param stats focus statistics of session users.
+ * @returns formatted StatsMessage with validated sessionId and user statistics.
+ */
+export function formatStatsMsg(session: SessionInternal, stats: UserStatsList): StatsMessage {
+  return {
+    type: 'stats',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    users: Object.values(stats || {}).map(formatUserStats),
+  };
+}
+
+/**
+ * Format chat message message for outgoing communication when user sends chat message.
+ *
+ * @param session session object chat message was sent in.
+ * @param message chat message to send.
+ * @returns formatted ChatMessageMessage with validated sessionId and chat message.
+ */
+export function formatChatMessageMsg(session: SessionInternal, message: ChatMessage): ChatMessageMessage {
+  return {
+    type: 'chat_message',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    message: formatChatMessage(message),
+  };
+}
+
+/**
+ * Format chat history message for outgoing communication by extracting recent chat messages from session.
+ *
+ * @param session session object to format.
+ * @returns formatted ChatHistoryMessage with validated sessionId and chat messages, oldest first.
+ */
+export function formatChatMsg(session: SessionInternal): ChatHistoryMessage {
+  return {
+    type: 'chat',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    messages: (session?.chat || []).map(formatChatMessage),
+  };
+}
+
+/**
+ * Format reaction message for outgoing communication when user sends reaction.
+ *
+ * @param session session object reaction was sent in.
+ * @param emoji reaction emoji.
+ * @param actor user who sent reaction.
+ * @returns formatted ReactionMessage with validated sessionId, emoji and actor.
+ */
+export function formatReactionMsg(session: SessionInternal, emoji: string, actor: HistoryActor): ReactionMessage {
+  return {
+    type: 'reaction',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    emoji: CHAT_REACTIONS.includes(emoji) ? emoji : '',
+    actor: formatHistoryActor(actor),
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Format vote updated message for outgoing communication when vote is proposed, cast or closed.
+ *
+ * @param session session object vote belongs to.
+ * @param vote vote to send.
+ * @returns formatted VoteUpdatedMessage with validated sessionId and vote.
+ */
+export function formatVoteUpdatedMsg(session: SessionInternal, vote: Vote): VoteUpdatedMessage {
+  return {
+    type: 'vote_updated',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    vote: formatVote(vote),
+  };
+}
+
+/**
+ * Format announcement message for outgoing communication by trimming and limiting message text.
+ *
+ * @param session session object announcement is delivered to.
+ * @param message announcement text.
+ * @returns formatted AnnouncementMessage with validated sessionId and message.
+ */
+export function formatAnnouncementMsg(session: SessionInternal, message: string): AnnouncementMessage {
+  return {
+    type: 'announcement',
+    sessionId: formatSessionId(session?.sessionId || ''),
+    message: String(message ?? '')
+      .trim()
+      .substring(0, MAX_STRING_LENGTH),
+    timestamp: Date.now(),
+  };
+}
+
+/**
+ * Format pong reply for ping message, echoing client timestamp for round-trip and clock offset estimation.
+ *
+ * @param message formatted ping message being replied to.
+ * @returns PongMessage with echoed client send time and current server time.
+ */
+export function formatPongMsg(message?: PingMessage): PongMessage {
+  return {
+    type: 'pong',
+    ...(message?.clientTime ? { clientTime: message.clientTime } : {}),
+    serverTime: Date.now(),
+  };
 }
 
 /**
@@ -495,25 +1320,303 @@ export function formatInternalTimer(input: TimerState | TimerStateInternal): Tim
 /**
  * Format session object for internal use by adding timer instance and activity fields.
  *
- * @param input session object to format as internal (Session, SessionInternal, or SessionNew).
+ * @param input session object to format as internal (Session, SessionInternal, SessionNew, or SessionRecord).
  * @returns formatted SessionInternal object with timer instance and activity fields.
  */
-export function formatInternalSession(input: Session | SessionInternal | SessionNew): SessionInternal {
+export function formatInternalSession(input: Session | SessionInternal | SessionNew | SessionRecord): SessionInternal {
   const session = input as SessionInternal;
   return {
     sessionId: formatSessionId(session?.sessionId || ''),
     name: (session?.name || '').trim().substring(0, MAX_STRING_LENGTH),
     description: (session?.description || '').trim().substring(0, MAX_STRING_LENGTH),
     intervals: formatIntervalList(session?.intervals || {}),
+    revision: formatRevision(session?.revision),
     timer: formatInternalTimer(session?.timer || {}),
     timerCore: session?.timerCore || new TimerCore(session?.intervals?.items || []),
     users: formatInternalUsers(session?.users || {}),
+    ownerId: session?.ownerId || '',
+    passwordHash: session?.passwordHash || '',
+    webhooks: Array.isArray(session?.webhooks) ? session.webhooks.map(formatWebhook) : [],
+    history: Array.isArray(session?.history) ? session.history.map(formatHistoryEntry) : [],
+    recurrence: formatRecurrence(session?.recurrence),
+    tasks: formatTaskList(session?.tasks),
+    chat: Array.isArray(session?.chat) ? session.chat.map(formatChatMessage) : [],
+    roles: formatRoles(session?.roles),
+    kickedUntil: formatKickedUntil(session?.kickedUntil),
+    bannedIds: formatBannedIds(session?.bannedIds),
     createdAt: session?.createdAt || Date.now(),
     lastActivity: session?.lastActivity || Date.now(),
     emptyAt: session?.emptyAt || 0,
   };
 }
 
+/**
+ * Format webhook URL by trimming and validating it is an absolute HTTP or HTTPS URL.
+ *
+ * @param input webhook URL to format.
+ * @returns formatted URL if valid, otherwise empty string.
+ */
+export function formatWebhookUrl(input: string): string {
+  const url = String(input ?? '').trim();
+  if (!url || url.length > MAX_URL_LENGTH) return '';
+
+  try {
+    const { protocol } = new URL(url);
+    return protocol === 'http:' || protocol === 'https:' ? url : '';
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Format list of webhook event names by removing unknown and duplicate events.
+ *
+ * @param input list of event names to format.
+ * @returns known webhook events, all events if none are valid.
+ */
+export function formatWebhookEvents(input: string[]): WebhookEvent[] {
+  const events = (Array.isArray(input) ? input : []).filter((event, index, list) => {
+    return WEBHOOK_EVENTS.includes(event as WebhookEvent) && list.indexOf(event) === index;
+  }) as WebhookEvent[];
+  return events.length > 0 ? events : [...WEBHOOK_EVENTS];
+}
+
+/**
+ * Format webhook for internal use by validating URL, events and signing secret.
+ *
+ * @param webhook webhook object to format.
+ * @returns formatted Webhook object.
+ */
+export function formatWebhook(webhook: Webhook): Webhook {
+  return {
+    webhookId: String(webhook?.webhookId || generateUUID()),
+    url: formatWebhookUrl(webhook?.url),
+    events: formatWebhookEvents(webhook?.events),
+    secret: String(webhook?.secret || ''),
+    createdAt: Number(webhook?.createdAt) || Date.now(),
+  };
+}
+
+/**
+ * Format webhook for external use by omitting signing secret.
+ *
+ * @param webhook webhook object to format.
+ * @returns formatted WebhookInfo object.
+ */
+export function formatWebhookInfo(webhook: Webhook | WebhookInfo): WebhookInfo {
+  return {
+    webhookId: String(webhook?.webhookId || ''),
+    url: formatWebhookUrl(webhook?.url),
+    events: formatWebhookEvents(webhook?.events),
+    createdAt: Number(webhook?.createdAt) || 0,
+  };
+}
+
+/**
+ * Format user who performed history action, keeping only hashed client ID and name.
+ *
+ * @param user user object or history actor to format.
+ * @returns formatted HistoryActor.
+ */
+export function formatHistoryActor(user: User | HistoryActor): HistoryActor {
+  return {
+    clientId: String(user?.clientId || ''),
+    name: (user?.name || '').trim().substring(0, MAX_NAME_LENGTH),
+  };
+}
+
+/**
+ * Format session history entry by validating action, actor and timestamp.
+ *
+ * @param entry history entry to format.
+ * @returns formatted HistoryEntry, actor is null for actions made through HTTP API.
+ */
+export function formatHistoryEntry(entry: HistoryEntry): HistoryEntry {
+  return {
+    action: String(entry?.action || '') as HistoryAction,
+    actor: entry?.actor ? formatHistoryActor(entry.actor) : null,
+    timestamp: Number(entry?.timestamp) || Date.now(),
+  };
+}
+
+/**
+ * Format chat message by validating sender, text and timestamp.
+ *
+ * @param message chat message to format.
+ * @returns formatted ChatMessage.
+ */
+export function formatChatMessage(message: ChatMessage): ChatMessage {
+  return {
+    messageId: String(message?.messageId || generateUUID()).substring(0, MAX_NAME_LENGTH),
+    actor: formatHistoryActor(message?.actor),
+    text: formatChatText(message?.text),
+    timestamp: Number(message?.timestamp) || Date.now(),
+  };
+}
+
+/**
+ * Format completed interval by validating name, duration and completion time.
+ *
+ * @param item completed interval to format.
+ * @returns formatted CompletedInterval with duration in seconds.
+ */
+export function formatCompletedInterval(item: CompletedInterval): CompletedInterval {
+  return {
+    name: (item?.name || '').trim().substring(0, MAX_STRING_LENGTH),
+    duration: Math.max(0, Number(item?.duration) || 0),
+    completedAt: Number(item?.completedAt) || Date.now(),
+  };
+}
+
+/**
+ * Format focus statistics of user by validating totals per interval name and completed intervals.
+ *
+ * @param stats user statistics to format.
+ * @returns formatted UserStats.
+ */
+export function formatUserStats(stats: UserStats): UserStats {
+  return {
+    clientId: String(stats?.clientId || ''),
+    name: (stats?.name || '').trim().substring(0, MAX_NAME_LENGTH),
+    totals: Object.entries(stats?.totals || {}).reduce(
+      (acc, [name, totals]) => {
+        acc[name] = { count: Number(totals?.count) || 0, duration: Number(totals?.duration) || 0 };
+        return acc;
+      },
+      {} as { [name: string]: IntervalTotals }
+    ),
+    completed: Array.isArray(stats?.completed) ? stats.completed.map(formatCompletedInterval) : [],
+  };
+}
+
+/**
+ * Format focus statistics of session users, keyed by hashed client ID.
+ *
+ * @param input user statistics list to format.
+ * @returns formatted UserStatsList.
+ */
+export function formatUserStatsList(input: UserStatsList): UserStatsList {
+  return Object.entries(input || {}).reduce((acc, [key, stats]) => {
+    acc[key] = formatUserStats(stats);
+    return acc;
+  }, {} as UserStatsList);
+}
+
+/**
+ * Format recurring schedule by validating weekdays, start times and timezone.
+ *
+ * @param input recurrence to format.
+ * @returns formatted Recurrence with sorted unique days and times, null if it has no runs or an unknown timezone.
+ */
+export function formatRecurrence(input: Recurrence | null | undefined): Recurrence | null {
+  const days = (Array.isArray(input?.days) ? input.days : []).map(Number).filter((day) => day >= 0 && day <= 6);
+  const times = (Array.isArray(input?.times) ? input.times : [])
+    .map(String)
+    .filter((time) => RECURRENCE_TIME_REGEX.test(time));
+  const timezone = String(input?.timezone ?? '').trim();
+
+  if (days.length === 0 || times.length === 0 || !isValidTimezone(timezone)) return null;
+
+  return {
+    days: [...new Set(days.map(Math.floor))].sort((a, b) => a - b),
+    times: [...new Set(times)].sort().slice(0, MAX_RECURRENCE_TIMES),
+    timezone,
+  };
+}
+
+/**
+ * Format session state for relaying to other server nodes by extracting session fields and timing state.
+ *
+ * @param session session object to format.
+ * @returns formatted BroadcastState with validated session fields and internal timer state.
+ */
+export function formatBroadcastState(session: SessionInternal | BroadcastState): BroadcastState {
+  const state = session as SessionInternal;
+  return {
+    name: (state?.name || '').trim().substring(0, MAX_STRING_LENGTH),
+    description: (state?.description || '').trim().substring(0, MAX_STRING_LENGTH),
+    intervals: formatIntervalList(state?.intervals || {}),
+    timer: formatInternalTimer(state?.timerCore ? state.timerCore.getState() : state?.timer || {}),
+    revision: formatRevision(state?.revision),
+    passwordHash: state?.passwordHash || '',
+    recurrence: formatRecurrence(state?.recurrence),
+    tasks: formatTaskList(state?.tasks),
+    roles: formatRoles(state?.roles),
+    kickedUntil: formatKickedUntil(state?.kickedUntil),
+    bannedIds: formatBannedIds(state?.bannedIds),
+    webhooks: Array.isArray(state?.webhooks) ? state.webhooks.map(formatWebhook) : [],
+  };
+}
+
+// =============================================================================
+// ADMIN FORMATTERS
+// =============================================================================
+
+/**
+ * Count open WebSocket connections of user.
+ *
+ * @param user internal user object.
+ * @returns number of open sockets.
+ */
+function countSockets(user: UserInternal): number {
+  return Array.from(user?.sockets?.values() || []).filter((ws) => ws.readyState === 1).length;
+}
+
+/**
+ * Format user for admin API by adding connection details.
+ *
+ * @param user internal user object to format.
+ * @returns formatted AdminUser with open socket count and offline timestamp.
+ */
+export function formatAdminUser(user: UserInternal): AdminUser {
+  return {
+    ...formatUser(user),
+    sockets: countSockets(user),
+    offlineAt: user?.offlineAt || 0,
+  };
+}
+
+/**
+ * Format session summary for admin session list.
+ *
+ * @param session internal session object to format.
+ * @returns formatted AdminSessionSummary with user counts and timer state.
+ */
+export function formatAdminSessionSummary(session: SessionInternal): AdminSessionSummary {
+  const users = Object.values(session?.users || {});
+  const sockets = users.map(countSockets);
+
+  return {
+    sessionId: formatSessionId(session?.sessionId || ''),
+    name: (session?.name || '').trim().substring(0, MAX_STRING_LENGTH),
+    isProtected: Boolean(session?.passwordHash),
+    users: users.length,
+    onlineUsers: sockets.filter((count) => count > 0).length,
+    sockets: sockets.reduce((total, count) => total + count, 0),
+    timer: formatTimer(session?.timer || {}, session?.timerCore),
+    createdAt: Number(session?.createdAt) || 0,
+    lastActivity: Number(session?.lastActivity) || 0,
+  };
+}
+
+/**
+ * Format session details for admin API, omitting password hash and webhook secrets.
+ *
+ * @param session internal session object to format.
+ * @returns formatted AdminSession with users, owner and webhooks.
+ */
+export function formatAdminSession(session: SessionInternal): AdminSession {
+  return {
+    ...formatAdminSessionSummary(session),
+    description: (session?.description || '').trim().substring(0, MAX_STRING_LENGTH),
+    intervals: formatIntervalList(session?.intervals || {}),
+    revision: formatRevision(session?.revision),
+    ownerId: session?.users?.[session?.ownerId]?.clientId || '',
+    users: Object.values(session?.users || {}).map(formatAdminUser),
+    webhooks: (session?.webhooks || []).map(formatWebhookInfo),
+  };
+}
+
 // =============================================================================
 // MAIN FORMATTER DISPATCHER
 // =============================================================================
@@ -530,8 +1633,26 @@ export function formatIncoming(
     | SessionJoinMessage
     | SessionUpdateMessage
     | TimerUpdateMessage
+    | TimerCommandMessage
     | UserListMessage
+    | HistoryListMessage
+    | StatsListMessage
     | UserUpdateMessage
+    | RoleGrantMessage
+    | RoleRevokeMessage
+    | UserKickMessage
+    | UserBanMessage
+    | SessionProtectMessage
+    | InviteCreateMessage
+    | RecurrenceUpdateMessage
+    | TaskAddMessage
+    | TaskUpdateMessage
+    | TaskRemoveMessage
+    | ChatSendMessage
+    | ChatListMessage
+    | ReactionSendMessage
+    | VoteProposeMessage
+    | VoteCastMessage
     | PingMessage
     | UnknownIncomingMessage
 ): IncomingMessage {
@@ -542,12 +1663,48 @@ export function formatIncoming(
       return formatSessionUpdateMsg(data);
     case 'timer_update':
       return formatTimerUpdateMsg(data);
+    case 'timer_command':
+      return formatTimerCommandMsg(data);
     case 'user_list':
       return formatUserListMsg();
+    case 'history_list':
+      return formatHistoryListMsg();
+    case 'stats_list':
+      return formatStatsListMsg();
     case 'user_update':
       return formatUserUpdateMsg(data);
+    case 'role_grant':
+      return formatRoleGrantMsg(data);
+    case 'role_revoke':
+      return formatRoleRevokeMsg(data);
+    case 'user_kick':
+      return formatUserKickMsg(data);
+    case 'user_ban':
+      return formatUserBanMsg(data);
+    case 'session_protect':
+      return formatSessionProtectMsg(data);
+    case 'invite_create':
+      return formatInviteCreateMsg();
+    case 'recurrence_update':
+      return formatRecurrenceUpdateMsg(data);
+    case 'task_add':
+      return formatTaskAddMsg(data);
+    case 'task_update':
+      return formatTaskUpdateMsg(data);
+    case 'task_remove':
+      return formatTaskRemoveMsg(data);
+    case 'chat_send':
+      return formatChatSendMsg(data);
+    case 'chat_list':
+      return formatChatListMsg();
+    case 'reaction_send':
+      return formatReactionSendMsg(data);
+    case 'vote_propose':
+      return formatVoteProposeMsg(data);
+    case 'vote_cast':
+      return formatVoteCastMsg(data);
     case 'ping':
-      return formatPingMsg();
+      return formatPingMsg(data);
     default:
       throw new Error('Invalid message type');
   }
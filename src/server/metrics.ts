@@ -0,0 +1,222 @@
+/**
+ * Prometheus metrics registry and server metrics.
+ */
+
+import type { MetricLabels, MetricSample } from '../types/metrics';
+import { monitorEventLoopDelay } from 'perf_hooks';
+
+const EVENT_LOOP_RESOLUTION = 20;
+const EVENT_LOOP_QUANTILES = [0.5, 0.9, 0.99];
+
+/**
+ * Escape label value for Prometheus text format.
+ *
+ * @param value label value to escape.
+ * @returns escaped label value.
+ */
+function escapeLabel(value: string): string {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format metric sample as Prometheus text format line.
+ *
+ * @param name metric name.
+ * @param sample sample to format.
+ * @returns sample line.
+ */
+function formatSample(name: string, sample: MetricSample): string {
+  const labels = Object.entries(sample.labels)
+    .map(([key, value]) => `${key}="${escapeLabel(value)}"`)
+    .join(',');
+  return `${name}${labels ? `{${labels}}` : ''} ${sample.value}`;
+}
+
+/**
+ * Convert event loop delay sample to lag in seconds by removing sampling resolution.
+ *
+ * @param delay event loop delay in nanoseconds.
+ * @returns event loop lag in seconds.
+ */
+function toLagSeconds(delay: number): number {
+  return Math.max(0, delay / 1e6 - EVENT_LOOP_RESOLUTION) / 1000;
+}
+
+/**
+ * Counter metric, value only increases and is kept per label set.
+ */
+export class Counter {
+  readonly type = 'counter';
+  readonly name: string;
+  readonly help: string;
+  private values: Map<string, MetricSample>;
+
+  /**
+   * Initialize counter without samples.
+   *
+   * @param name metric name.
+   * @param help metric description.
+   */
+  constructor(name: string, help: string) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  /**
+   * Increase counter for label set.
+   *
+   * @param labels labels identifying sample.
+   * @param value amount to increase counter by.
+   */
+  inc(labels: MetricLabels = {}, value = 1): void {
+    const key = JSON.stringify(labels);
+    const sample = this.values.get(key);
+
+    if (sample) {
+      sample.value += value;
+    } else {
+      this.values.set(key, { labels, value });
+    }
+  }
+
+  /**
+   * Get current samples.
+   *
+   * @returns counter samples for every label set.
+   */
+  collect(): MetricSample[] {
+    return Array.from(this.values.values());
+  }
+}
+
+/**
+ * Gauge metric, value is read from collector function on every scrape.
+ */
+export class Gauge {
+  readonly type = 'gauge';
+  readonly name: string;
+  readonly help: string;
+  private collector: () => number | MetricSample[];
+
+  /**
+   * Initialize gauge with collector function.
+   *
+   * @param name metric name.
+   * @param help metric description.
+   * @param collector function returning current value or labelled samples.
+   */
+  constructor(name: string, help: string, collector: () => number | MetricSample[]) {
+    this.name = name;
+    this.help = help;
+    this.collector = collector;
+  }
+
+  /**
+   * Get current samples from collector.
+   *
+   * @returns gauge samples.
+   */
+  collect(): MetricSample[] {
+    const value = this.collector();
+    return typeof value === 'number' ? [{ labels: {}, value }] : value;
+  }
+}
+
+/**
+ * Metrics registry, renders registered metrics in Prometheus text format.
+ */
+export class MetricsRegistry {
+  private metrics: Map<string, Counter | Gauge>;
+
+  /**
+   * Initialize empty registry.
+   */
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Create and register counter.
+   *
+   * @param name metric name.
+   * @param help metric description.
+   * @returns registered counter.
+   */
+  counter(name: string, help: string): Counter {
+    const counter = new Counter(name, help);
+    this.metrics.set(name, counter);
+    return counter;
+  }
+
+  /**
+   * Create and register gauge, replacing gauge already registered with same name.
+   *
+   * @param name metric name.
+   * @param help metric description.
+   * @param collector function returning current value or labelled samples.
+   * @returns registered gauge.
+   */
+  gauge(name: string, help: string, collector: () => number | MetricSample[]): Gauge {
+    const gauge = new Gauge(name, help, collector);
+    this.metrics.set(name, gauge);
+    return gauge;
+  }
+
+  /**
+   * Render all metrics in Prometheus text exposition format.
+   *
+   * @returns metrics text.
+   */
+  render(): string {
+    const lines: string[] = [];
+
+    this.metrics.forEach((metric) => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+      metric.collect().forEach((sample) => lines.push(formatSample(metric.name, sample)));
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+export const registry = new MetricsRegistry();
+
+export const messagesReceived = registry.counter(
+  'arowa_messages_received_total',
+  'WebSocket messages received from clients by type.'
+);
+export const messagesSent = registry.counter('arowa_messages_sent_total', 'WebSocket messages sent to clients by type.');
+export const messageErrors = registry.counter(
+  'arowa_message_errors_total',
+  'Errors thrown while handling WebSocket messages by type.'
+);
+export const sessionsCleaned = registry.counter(
+  'arowa_sessions_cleaned_total',
+  'Inactive sessions removed by session cleanup.'
+);
+export const usersCleaned = registry.counter(
+  'arowa_users_cleaned_total',
+  'Offline users removed from sessions by user cleanup.'
+);
+
+// Start unlabelled counters at zero so they are exported before first cleanup
+sessionsCleaned.inc({}, 0);
+usersCleaned.inc({}, 0);
+
+const eventLoopDelay = monitorEventLoopDelay({ resolution: EVENT_LOOP_RESOLUTION });
+eventLoopDelay.enable();
+
+// Delay histogram is reset on every scrape, so values cover time since previous scrape
+registry.gauge('arowa_event_loop_lag_seconds', 'Event loop delay since previous scrape by quantile.', () => {
+  const samples = EVENT_LOOP_QUANTILES.map((quantile) => ({
+    labels: { quantile: String(quantile) },
+    value: toLagSeconds(eventLoopDelay.percentile(quantile * 100)),
+  }));
+  samples.push({ labels: { quantile: '1' }, value: toLagSeconds(eventLoopDelay.max) });
+
+  eventLoopDelay.reset();
+
+  return samples;
+});
@@ -2,12 +2,18 @@
  * Express + WebSocket server for collaborative timer.
  */
 
-import type { ErrorMessage, Session } from '../types/messages';
+import type { ErrorMessage } from '../types/messages';
 import type { ServerWebSocket } from '../types/server';
 import type { Logger } from 'pino';
+import { createAdminRouter } from './admin.js';
+import { createApiRouter } from './api.js';
 import { createLogger } from './logger.js';
-import { formatSession, formatPongMsg, formatErrorMsg } from './messages.js';
+import { formatPingMsg, formatPongMsg, formatErrorMsg } from './messages.js';
+import { messagesReceived, messagesSent, registry } from './metrics.js';
+import { SESSION_ID_REGEX } from '../shared/constants.js';
 import SessionManager from './sessions.js';
+import { EventStreamManager } from './sse.js';
+import { WebhookDispatcher } from './webhooks.js';
 import express, { Express, Request, Response, NextFunction } from 'express';
 import http, { Server as HttpServer } from 'http';
 import WebSocket, { WebSocketServer } from 'ws';
@@ -18,6 +24,8 @@ import { dirname } from 'path';
 
 const SOCKET_TIMEOUT = 30000;
 const SHUTDOWN_TIMEOUT = 10000;
+const DRAIN_TIMEOUT = Number(process.env.DRAIN_TIMEOUT) || 0;
+const DRAIN_CHECK_INTERVAL = 1000;
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -41,6 +49,12 @@ class TimerServer {
   wss: WebSocketServer | null;
   wsPort: number | string;
   sessions: SessionManager;
+  webhooks: WebhookDispatcher;
+  streams: EventStreamManager;
+  isReady: boolean;
+  isDraining: boolean;
+  isStopping: boolean;
+  drainCheck: NodeJS.Timeout | null;
 
   /**
    * Initialize server, configure Express middleware, and set up WebSocket server.
@@ -54,11 +68,18 @@ class TimerServer {
     this.wss = null;
     this.wsPort = Number(process.env.WS_PORT) || this.port;
     this.sessions = new SessionManager();
+    this.webhooks = new WebhookDispatcher(this.sessions);
+    this.streams = new EventStreamManager(this.sessions);
+    this.isReady = false;
+    this.isDraining = false;
+    this.isStopping = false;
+    this.drainCheck = null;
 
     this.logger.info({ environment: process.env.NODE_ENV }, `Starting server in ${process.env.NODE_ENV} mode`);
 
     this.setupExpress();
     this.setupWebSocket();
+    this.setupMetrics();
     this.setupRoutes();
     this.setupErrorHandling();
   }
@@ -79,8 +100,8 @@ class TimerServer {
     if (process.env.NODE_ENV === 'development') {
       this.express.use((req: Request, res: Response, next: NextFunction) => {
         res.setHeader('Access-Control-Allow-Origin', '*');
-        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE');
-        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
         this.logger.debug({ method: req.method, url: req.url }, `HTTP request: ${req.method} ${req.url}`);
         next();
       });
@@ -152,17 +173,50 @@ class TimerServer {
   }
 
   /**
-   * Define HTTP routes for session API and main application.
+   * Register gauges for sessions, users and connections held by this server node.
+   */
+  setupMetrics(): void {
+    registry.gauge('arowa_sessions', 'Sessions held in memory.', () => this.sessions.getStats().sessions);
+    registry.gauge(
+      'arowa_sessions_active',
+      'Sessions with at least one online user.',
+      () => this.sessions.getStats().activeSessions
+    );
+    registry.gauge('arowa_users_online', 'Users with an open connection.', () => this.sessions.getStats().onlineUsers);
+    registry.gauge(
+      'arowa_session_sockets',
+      'Open WebSocket connections joined to a session.',
+      () => this.sessions.getStats().sockets
+    );
+    registry.gauge('arowa_websocket_connections', 'Open WebSocket connections.', () => this.wss?.clients.size || 0);
+  }
+
+  /**
+   * Define HTTP routes for health probes, metrics, admin and session API and main application.
    */
   setupRoutes(): void {
-    this.express.get('/api/session/:sessionId', (req: Request, res: Response, next: NextFunction) => {
-      const { sessionId } = req.params;
-      const session = this.sessions.getSession(sessionId);
-      if (!session) return next();
-      res.json(formatSession(session) as Session);
+    this.express.get('/healthz', (_req: Request, res: Response) => {
+      res.json({ status: 'ok', uptime: process.uptime() });
+    });
+
+    this.express.get('/readyz', (_req: Request, res: Response) => {
+      if (this.isReady && !this.isDraining) {
+        res.json({ status: 'ready' });
+        return;
+      }
+      res.status(503).json({ status: this.isDraining ? 'draining' : 'starting' });
     });
 
-    this.express.get('/:sessionId?', (_req: Request, res: Response) => {
+    this.express.get('/metrics', (_req: Request, res: Response) => {
+      res.type('text/plain; version=0.0.4').send(registry.render());
+    });
+
+    this.express.use('/api/admin', createAdminRouter(this.sessions));
+    this.express.use('/api', createApiRouter(this.sessions, this.streams));
+
+    this.express.get('/:sessionId?', (req: Request, res: Response, next: NextFunction) => {
+      const { sessionId } = req.params;
+      if (sessionId && !SESSION_ID_REGEX.test(sessionId)) return next();
       res.sendFile(path.join(__dirname, '../public/index.html'));
     });
   }
@@ -250,12 +304,15 @@ class TimerServer {
       }
 
       if (data.type === 'ping') {
-        ws.send(JSON.stringify(formatPongMsg()));
+        messagesReceived.inc({ type: 'ping' });
+        ws.send(JSON.stringify(formatPongMsg(formatPingMsg(data))));
+        messagesSent.inc({ type: 'pong' });
         return;
       }
 
       this.sessions.handleMessage(ws, data);
     } catch (error) {
+      messagesReceived.inc({ type: 'invalid' });
       this.logger.error({ error }, `Error parsing WebSocket message: ${error || 'Unknown error'}`);
       this.sendError(ws, 'Invalid message format');
     }
@@ -287,14 +344,25 @@ class TimerServer {
     if (ws.readyState === WebSocket.OPEN) {
       const error = { message } as ErrorMessage;
       ws.send(JSON.stringify(formatErrorMsg(error)));
+      messagesSent.inc({ type: 'error' });
     }
   }
 
   /**
    * Start HTTP server and begin listening for connections on configured port.
+   * Exits when invite secret is missing but sessions are shared between nodes or kept across restarts.
    */
   start(): void {
+    const { BROADCAST: broadcast, STORE: store } = process.env;
+
+    if (!process.env.INVITE_SECRET && (broadcast === 'redis' || store === 'file')) {
+      this.logger.fatal({ broadcast, store }, 'INVITE_SECRET must be set when using redis broadcast or file store');
+      process.exit(1);
+    }
+
     this.server.listen(this.port, () => {
+      this.isReady = true;
+
       const webUrl = `http://${this.host}:${this.port}`;
       const websocketUrl = `ws://${this.host}:${this.port}`;
       this.logger.info({ webUrl, websocketUrl }, `Web server listening at ${webUrl}`);
@@ -311,11 +379,60 @@ class TimerServer {
   }
 
   /**
-   * Initiate graceful shutdown of HTTP server and WebSocket connections.
+   * Enter drain mode, readiness probe fails and joins that would create a new session are refused.
+   * Existing sessions keep working and accept reconnects until the server stops.
+   */
+  drain(): void {
+    if (this.isDraining) return;
+
+    this.isDraining = true;
+    this.sessions.drain();
+
+    this.logger.info('Drain mode enabled, refusing new sessions');
+  }
+
+  /**
+   * Initiate graceful shutdown, draining for up to DRAIN_TIMEOUT while users are online.
+   * Shutdown starts immediately on a second signal or after a fatal error.
    *
    * @param signal name of signal that triggered shutdown.
    */
   stop(signal: string): void {
+    const isFatal = signal === 'UNCAUGHT_EXCEPTION' || signal === 'UNHANDLED_REJECTION';
+
+    if (this.drainCheck || isFatal || !DRAIN_TIMEOUT) {
+      this.shutdown(signal);
+      return;
+    }
+
+    this.drain();
+
+    const deadline = Date.now() + DRAIN_TIMEOUT;
+
+    this.logger.info({ signal, timeout: DRAIN_TIMEOUT }, `Draining before shutdown`);
+
+    this.drainCheck = setInterval(() => {
+      if (Date.now() < deadline && this.sessions.getStats().onlineUsers > 0) return;
+      this.shutdown(signal);
+    }, DRAIN_CHECK_INTERVAL);
+  }
+
+  /**
+   * Close HTTP server, WebSocket connections, event streams and sessions, then exit process.
+   *
+   * @param signal name of signal that triggered shutdown.
+   */
+  shutdown(signal: string): void {
+    if (this.isStopping) return;
+
+    this.isStopping = true;
+    this.isDraining = true;
+
+    if (this.drainCheck) {
+      clearInterval(this.drainCheck);
+      this.drainCheck = null;
+    }
+
     this.logger.info({ signal }, `Graceful shutdown initiated`);
 
     if (this.wss) {
@@ -325,6 +442,10 @@ class TimerServer {
       });
     }
 
+    this.streams.close();
+    this.webhooks.close();
+    this.sessions.dispose();
+
     this.server.close(() => {
       this.logger.info('Server shutdown successful');
       process.exit(0);
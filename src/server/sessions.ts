@@ -4,57 +4,146 @@
 
 import type { Logger } from 'pino';
 import type { ServerWebSocket } from '../types/server';
+import type { SessionStore } from '../types/store';
+import type { BroadcastAdapter, BroadcastEnvelope } from '../types/broadcast';
+import type { SessionStats } from '../types/metrics';
+import type { Webhook, WebhookEvent, WebhookEventData } from '../types/webhooks';
+import type { HistoryAction, HistoryActor, HistoryEntry } from '../types/history';
+import type { ChatMessage } from '../types/chat';
+import type { UserStatsList } from '../types/stats';
+import type { Task } from '../types/tasks';
+import type { Vote, VoteRelay, VoteStatus } from '../types/votes';
 import type {
   ErrorMessage,
   IncomingMessage,
   OutgoingMessage,
   SessionInternal,
   SessionUpdate,
+  TimerCommandMessage,
   TimerState,
+  TimerStateInternal,
   UserInternal,
+  UserRole,
 } from '../types/messages';
 import {
+  formatAnnouncementMsg,
+  formatBroadcastState,
+  formatChatMessage,
+  formatChatMessageMsg,
+  formatChatMsg,
   formatClientId,
+  formatCompletedInterval,
   formatUsersConnectedMsg,
   formatErrorMsg,
+  formatHistoryActor,
+  formatHistoryEntry,
+  formatHistoryMsg,
   formatIncoming,
   formatInternalSession,
   formatInternalUser,
+  formatIntervalChangedMsg,
+  formatInviteCreatedMsg,
+  formatReactionMsg,
+  formatRecurrenceUpdatedMsg,
+  formatSessionConflictMsg,
   formatSessionCreatedMsg,
   formatSessionJoinedMsg,
+  formatSessionProtectedMsg,
+  formatSessionRejectedMsg,
   formatSessionUpdatedMsg,
+  formatStatsMsg,
+  formatTask,
+  formatTasksUpdatedMsg,
+  formatTimer,
   formatTimerUpdatedMsg,
   formatUserConnectedMsg,
   formatUserDisconnectedMsg,
+  formatVote,
+  formatVoteRelay,
+  formatVoteUpdatedMsg,
+  formatUserStatsList,
   formatUserUpdatedMsg,
+  formatUserRemovedMsg,
   hashString,
   generateUUID,
 } from './messages.js';
 import { createLogger } from './logger.js';
+import { createStore } from './store.js';
+import { createAdapter } from './broadcast.js';
+import { createInvite, hashPassword, verifyInvite, verifyPassword } from './auth.js';
+import { messageErrors, messagesReceived, messagesSent, sessionsCleaned, usersCleaned } from './metrics.js';
+import { CLOSE_CODES, DEFAULT_ROLE, MAX_TASKS } from '../shared/constants.js';
+import { getNextRun, hasUpcomingRun } from '../shared/schedule.js';
+import { EventEmitter } from 'events';
 
 const CLEANUP_INTERVAL = Number(process.env.CLEANUP_INTERVAL) || 300000;
 const SESSION_TIMEOUT = 10 * 60 * 1000;
+const INVITE_TTL = Number(process.env.INVITE_TTL) || 7 * 24 * 60 * 60 * 1000;
+const HISTORY_SIZE = Number(process.env.HISTORY_SIZE) || 100;
+const CHAT_HISTORY_SIZE = Number(process.env.CHAT_HISTORY_SIZE) || 50;
+const STATS_RETENTION = Number(process.env.STATS_RETENTION) || 30 * 24 * 60 * 60 * 1000;
+const VOTE_THRESHOLD = Number(process.env.VOTE_THRESHOLD) || 0.5;
+const VOTE_DURATION = Number(process.env.VOTE_DURATION) || 30000;
+const VOTE_COUNT_DELAY = 1000;
+const KICK_DURATION = Number(process.env.KICK_DURATION) || 5 * 60 * 1000;
+const MAX_TIMEOUT = 2 ** 31 - 1;
 
 /**
  * Session manager class for handling real-time collaboration.
+ * Emits `session_event` with session, webhook event name and event data on timer transitions and user presence.
+ * Emits `session_message` with session and message for every message delivered to clients on this node.
  */
-class SessionManager {
+class SessionManager extends EventEmitter {
   private logger: Logger;
   private handlers: Map<string, (ws: ServerWebSocket, message: IncomingMessage) => void>;
-  private sessions: Map<string, SessionInternal>;
+  private sessions: SessionStore;
+  private adapter: BroadcastAdapter;
+  private nodeId: string;
   private cleanup: NodeJS.Timeout | null;
+  private timerStates: Map<string, TimerState>;
+  private timerOrigins: Map<string, string>;
+  private transitions: Map<string, NodeJS.Timeout>;
+  private votes: Map<string, Vote>;
+  private voteTimeouts: Map<string, NodeJS.Timeout>;
+  private voteCounts: Map<string, NodeJS.Timeout>;
+  private voteOrigins: Map<string, string>;
+  private voteOnline: Map<string, Map<string, string[]>>;
+  private isDraining: boolean;
 
   /**
-   * Initialize session manager, message handlers, sessions, sockets, and cleanup timer.
+   * Initialize session manager, message handlers, sessions, broadcast adapter, and cleanup timer.
+   *
+   * @param store optional session store, defaults to store configured by environment.
+   * @param adapter optional broadcast adapter, defaults to adapter configured by environment.
    */
-  constructor() {
+  constructor(store?: SessionStore, adapter?: BroadcastAdapter) {
+    super();
     this.logger = createLogger('session-manager');
     this.handlers = new Map();
-    this.sessions = new Map();
+    this.sessions = store || createStore();
+    this.adapter = adapter || createAdapter();
+    this.nodeId = generateUUID();
     this.cleanup = null;
+    this.timerStates = new Map();
+    this.timerOrigins = new Map();
+    this.transitions = new Map();
+    this.votes = new Map();
+    this.voteTimeouts = new Map();
+    this.voteCounts = new Map();
+    this.voteOrigins = new Map();
+    this.voteOnline = new Map();
+    this.isDraining = false;
 
     this.setupHandlers();
     this.startCleanup();
+
+    // Resume boundary scheduling for running timers and recurring starts of sessions restored from store
+    this.sessions.forEach((session) => {
+      if (this.armRecurrence(session)) this.setSession(session.sessionId, session);
+      this.trackTimer(session);
+    });
+
+    this.adapter.subscribe(this.handleBroadcast.bind(this));
   }
 
   /**
@@ -64,8 +153,26 @@ class SessionManager {
     this.handlers.set('session_join', this.handleSessionJoin.bind(this));
     this.handlers.set('session_update', this.handleSessionUpdate.bind(this));
     this.handlers.set('timer_update', this.handleTimerUpdate.bind(this));
+    this.handlers.set('timer_command', this.handleTimerCommand.bind(this));
     this.handlers.set('user_update', this.handleUserUpdate.bind(this));
     this.handlers.set('user_list', this.handleUserList.bind(this));
+    this.handlers.set('history_list', this.handleHistoryList.bind(this));
+    this.handlers.set('stats_list', this.handleStatsList.bind(this));
+    this.handlers.set('role_grant', this.handleRoleGrant.bind(this));
+    this.handlers.set('role_revoke', this.handleRoleRevoke.bind(this));
+    this.handlers.set('user_kick', this.handleUserKick.bind(this));
+    this.handlers.set('user_ban', this.handleUserBan.bind(this));
+    this.handlers.set('session_protect', this.handleSessionProtect.bind(this));
+    this.handlers.set('recurrence_update', this.handleRecurrenceUpdate.bind(this));
+    this.handlers.set('task_add', this.handleTaskAdd.bind(this));
+    this.handlers.set('task_update', this.handleTaskUpdate.bind(this));
+    this.handlers.set('task_remove', this.handleTaskRemove.bind(this));
+    this.handlers.set('chat_send', this.handleChatSend.bind(this));
+    this.handlers.set('chat_list', this.handleChatList.bind(this));
+    this.handlers.set('reaction_send', this.handleReactionSend.bind(this));
+    this.handlers.set('vote_propose', this.handleVotePropose.bind(this));
+    this.handlers.set('vote_cast', this.handleVoteCast.bind(this));
+    this.handlers.set('invite_create', this.handleInviteCreate.bind(this));
   }
 
   /**
@@ -75,6 +182,9 @@ class SessionManager {
    * @param message parsed incoming message object.
    */
   handleMessage(ws: ServerWebSocket, message: IncomingMessage): void {
+    const type = this.handlers.has(message?.type) ? message.type : 'unknown';
+    messagesReceived.inc({ type });
+
     try {
       const parsed = formatIncoming(message);
       const handler = this.handlers.get(parsed.type);
@@ -88,9 +198,11 @@ class SessionManager {
     } catch (error) {
       if (error instanceof Error) {
         const messageType = (message as { type?: string })?.type || 'unknown';
+        messageErrors.inc({ type });
         this.logger.error({ messageType, error }, `Error handling message: ${messageType}`);
         this.sendError(ws, `Failed to process ${messageType}`);
       } else {
+        messageErrors.inc({ type });
         this.logger.error('Unknown error type in handleMessage');
         this.sendError(ws, 'Unknown error');
       }
@@ -105,19 +217,68 @@ class SessionManager {
    */
   private handleSessionJoin(ws: ServerWebSocket, message: IncomingMessage): void {
     if (message.type !== 'session_join') return;
-    const { sessionId, session: update, timer, user } = message;
+    const { sessionId, session: update, timer, user, password, invite, tasks } = message;
 
     const now = Date.now();
+    const clientId = formatClientId(user.clientId) as string;
+
+    let session = this.getSession(sessionId);
+    const isNew = !session;
+
+    const hashedId = hashString(clientId);
+
+    if (session?.bannedIds.includes(hashedId)) {
+      ws.close(CLOSE_CODES.BANNED, 'Banned from session');
+      this.logger.warn({ clientId, sessionId }, `Client ${clientId} refused banned session ${sessionId}`);
+      return;
+    }
+
+    if ((session?.kickedUntil[hashedId] || 0) > now) {
+      ws.close(CLOSE_CODES.KICKED, 'Removed from session');
+      this.logger.warn({ clientId, sessionId }, `Client ${clientId} refused session ${sessionId} after kick`);
+      return;
+    }
+
+    const isMember = session && (session.users[clientId] || clientId === session.ownerId || session.roles[hashedId]);
+
+    if (session && !isMember && !this.isAuthorized(session, password, invite)) {
+      this.sendMessage(
+        ws,
+        formatSessionRejectedMsg({
+          sessionId,
+          reason: password || invite ? 'invalid_credentials' : 'credentials_required',
+        })
+      );
+
+      this.logger.warn({ clientId, sessionId }, `Client ${clientId} rejected from protected session ${sessionId}`);
+      return;
+    }
+
+    if (!session && this.isDraining) {
+      ws.close(CLOSE_CODES.DRAINING, 'Server is draining');
+      this.logger.info({ clientId, sessionId }, `Client ${clientId} refused new session ${sessionId} while draining`);
+      return;
+    }
 
     ws.socketId = generateUUID();
     ws.sessionId = sessionId as string;
-    ws.clientId = formatClientId(user.clientId) as string;
+    ws.clientId = clientId;
 
-    let session = this.getSession(ws.sessionId);
-    const isNew = !session;
+    // Owner ID is only set on node owner is connected to, other nodes know owner through relayed roles
+    const isClaimed = !session || (!session.ownerId && !Object.values(session.roles).includes('owner'));
 
     if (!session) {
-      session = this.createSession(ws.sessionId, update, timer);
+      // Tasks added while session only existed locally are kept when it is created, joining user is their only member
+      session = this.createSession(ws.sessionId, update, timer, ws.clientId);
+      session.tasks = (tasks || []).map((task) => ({
+        ...task,
+        createdBy: hashedId,
+        assigneeId: task.assigneeId === hashedId ? hashedId : null,
+      }));
+    } else if (isClaimed || session.roles[hashedId] === 'owner') {
+      // Sessions created through HTTP API are claimed by first user to join, owner takes back own session
+      session.ownerId = ws.clientId;
+      session.roles[hashedId] = 'owner';
     }
 
     const existing = session.users[ws.clientId];
@@ -125,23 +286,30 @@ class SessionManager {
 
     if (existing) {
       const sockets = existing.sockets;
+      const wasOffline = sockets.size === 0;
       sockets.set(ws.socketId, ws);
 
-      Object.assign(
-        existing,
-        formatInternalUser({
-          ...user,
-          offlineAt: null,
-          lastPing: now,
-          sockets,
-        })
-      );
+      // Only profile is taken from client, stored hashed ID and role are kept
+      const profile = formatInternalUser({ ...user, clientId: existing.clientId, role: existing.role, sockets });
+
+      existing.name = profile.name;
+      existing.avatarUrl = profile.avatarUrl;
+      existing.status = profile.status;
+      existing.statusText = profile.statusText;
+      existing.isOnline = true;
+      existing.offlineAt = null;
+      existing.lastPing = now;
 
       this.logger.info(
         { clientId: ws.clientId, sessionId: ws.sessionId },
         `Client ${ws.clientId} reconnected to session ${ws.sessionId}`
       );
 
+      if (wasOffline) {
+        this.recordHistory(session, 'user.joined', formatHistoryActor(existing));
+        this.emitUserEvent(session, 'user.joined', existing);
+      }
+
       const hasOnline = Object.values(session.users).some((u) =>
         Array.from(u.sockets.values()).some((socket) => socket.readyState === 1)
       );
@@ -151,13 +319,14 @@ class SessionManager {
         this.logger.info({ sessionId }, `Session ${sessionId} no longer marked for cleanup`);
       }
     } else {
-      const hashedId = hashString(ws.clientId);
-
       session.users[ws.clientId] = formatInternalUser({
         clientId: hashedId,
         name: user.name,
         avatarUrl: user.avatarUrl,
         isOnline: true,
+        role: ws.clientId === session.ownerId ? 'owner' : session.roles[hashedId] || DEFAULT_ROLE,
+        status: user.status,
+        statusText: user.statusText,
         offlineAt: null,
         lastPing: now,
         sockets: new Map([[ws.socketId, ws]]),
@@ -167,9 +336,13 @@ class SessionManager {
         { clientId: ws.clientId, sessionId: ws.sessionId },
         `Client ${ws.clientId} joined session ${ws.sessionId}`
       );
+
+      this.recordHistory(session, 'user.joined', formatHistoryActor(session.users[ws.clientId]));
+      this.emitUserEvent(session, 'user.joined', session.users[ws.clientId]);
     }
 
     this.setSession(session.sessionId, session);
+    if (isClaimed) this.publishState(session);
 
     this.sendMessage(
       ws,
@@ -184,6 +357,10 @@ class SessionManager {
             session,
           })
     );
+
+    const vote = this.votes.get(session.sessionId);
+    if (vote) this.sendMessage(ws, formatVoteUpdatedMsg(session, vote));
+
     this.broadcastToSession(
       session,
       formatUserConnectedMsg({
@@ -197,31 +374,39 @@ class SessionManager {
 
   /**
    * Handle session update request by updating session intervals and broadcasting changes.
+   * Updates built on a stale revision are rejected with current session content.
    *
    * @param ws WebSocket connection for client.
    * @param message session update message.
    */
   private handleSessionUpdate(ws: ServerWebSocket, message: IncomingMessage): void {
     if (message.type !== 'session_update') return;
-    const { session: update, timer } = message;
+    const { session: update, timer, revision } = message;
 
     const session = this.getSocketSession(ws);
     if (!session) return;
 
+    if (!this.hasRole(ws, session, ['owner', 'controller'])) {
+      this.sendError(ws, 'Permission denied');
+      session.timer = session.timerCore.sync();
+      this.sendMessage(ws, formatSessionUpdatedMsg(session));
+      this.sendMessage(ws, formatTimerUpdatedMsg(session));
+      return;
+    }
+
     if (!Array.isArray(update.intervals?.items)) {
       return this.sendError(ws, 'Invalid intervals data');
     }
 
-    session.name = update.name;
-    session.description = update.description;
-    session.intervals = update.intervals;
-    session.timerCore.updateIntervals(session.intervals.items);
-    session.timer = timer ? session.timerCore.updateState(timer) : session.timerCore.sync();
-
-    this.setSession(session.sessionId, session);
+    if (!this.updateSession(session, update, timer, revision, ws.socketId, this.getActor(ws, session))) {
+      this.sendMessage(ws, formatSessionConflictMsg(session));
 
-    this.broadcastToSession(session, formatSessionUpdatedMsg(session), ws.socketId);
-    this.broadcastTimerUpdate(session, ws.socketId);
+      this.logger.debug(
+        { clientId: ws.clientId, sessionId: ws.sessionId, revision, current: session.revision },
+        `Stale session update from client ${ws.clientId} rejected in session ${ws.sessionId}`
+      );
+      return;
+    }
 
     this.logger.debug({ sessionId: ws.sessionId }, `Session ${ws.sessionId} updated by client ${ws.clientId}`);
   }
@@ -239,11 +424,20 @@ class SessionManager {
     const session = this.getSocketSession(ws);
     if (!session) return;
 
+    if (!this.hasRole(ws, session, ['owner', 'controller'])) {
+      this.sendError(ws, 'Permission denied');
+      session.timer = session.timerCore.sync();
+      this.sendMessage(ws, formatTimerUpdatedMsg(session));
+      return;
+    }
+
+    this.syncTimer(session);
     session.timer = session.timerCore.updateState(timer);
 
+    const entry = this.recordHistory(session, 'timer.updated', this.getActor(ws, session));
     this.setSession(session.sessionId, session);
 
-    this.broadcastTimerUpdate(session, ws.socketId);
+    this.broadcastTimerUpdate(session, ws.socketId, entry);
 
     this.logger.debug(
       { clientId: ws.clientId, sessionId: ws.sessionId },
@@ -251,6 +445,33 @@ class SessionManager {
     );
   }
 
+  /**
+   * Handle timer command by applying it to session timer and broadcasting result to all clients, including sender.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message timer command message.
+   */
+  private handleTimerCommand(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'timer_command') return;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    if (!this.hasRole(ws, session, ['owner', 'controller'])) {
+      this.sendError(ws, 'Permission denied');
+      session.timer = session.timerCore.sync();
+      this.sendMessage(ws, formatTimerUpdatedMsg(session));
+      return;
+    }
+
+    this.runTimerCommand(session, message, this.getActor(ws, session));
+
+    this.logger.debug(
+      { clientId: ws.clientId, sessionId: ws.sessionId, command: message.command },
+      `Timer command ${message.command} from client ${ws.clientId} applied in session ${ws.sessionId}`
+    );
+  }
+
   /**
    * Handle user update request by updating user profile information and broadcasting change.
    *
@@ -271,6 +492,8 @@ class SessionManager {
 
     existing.name = user.name;
     existing.avatarUrl = user.avatarUrl;
+    existing.status = user.status;
+    existing.statusText = user.statusText;
 
     session.users[clientId] = existing;
 
@@ -312,230 +535,1743 @@ class SessionManager {
   }
 
   /**
-   * Create new session with given session ID.
+   * Handle request to get session history.
    *
-   * @param sessionId unique session ID.
-   * @param update session update containing initial session data.
-   * @param timer initial timer state for session.
-   * @returns newly created session object.
+   * @param ws WebSocket connection for client.
+   * @param message history list message.
    */
-  private createSession(sessionId: string, update: SessionUpdate, timer: TimerState): SessionInternal {
-    const session = formatInternalSession({
-      sessionId,
-      ...update,
-    });
+  private handleHistoryList(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'history_list') return;
 
-    session.timerCore.updateIntervals(session.intervals.items);
-    session.timer = session.timerCore.updateState(timer);
-
-    this.setSession(session.sessionId, session);
+    const session = this.getSocketSession(ws);
+    if (!session) return;
 
-    return session;
+    this.sendMessage(ws, formatHistoryMsg(session));
   }
 
   /**
-   * Set session object for given session ID.
+   * Handle request to get focus statistics of session users.
    *
-   * @param sessionId unique session ID.
-   * @param session session object to store.
+   * @param ws WebSocket connection for client.
+   * @param message stats list message.
    */
-  private setSession(sessionId: string, session: SessionInternal): void {
-    if (!sessionId) return;
-    this.sessions.set(sessionId, formatInternalSession(session));
+  private handleStatsList(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'stats_list') return;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    this.sendMessage(ws, formatStatsMsg(session, this.getUserStats(session.sessionId)));
   }
 
   /**
-   * Retrieve session object for given session ID.
+   * Handle role grant request from session owner, transferring ownership if owner role is granted.
    *
-   * @param sessionId unique session ID.
-   * @returns session object if found, otherwise null.
+   * @param ws WebSocket connection for client.
+   * @param message role grant message containing target client ID and role.
    */
-  getSession(sessionId: string): SessionInternal | null {
-    return this.sessions.has(sessionId) ? this.sessions.get(sessionId)! : null;
+  private handleRoleGrant(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'role_grant') return;
+    const { clientId, role } = message;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    if (!this.hasRole(ws, session, ['owner'])) {
+      return this.sendError(ws, 'Permission denied');
+    }
+
+    const target = this.findClientId(session, clientId);
+    if (!target) return this.sendError(ws, 'User not found');
+    if (target === ws.clientId) return this.sendError(ws, 'Cannot change own role');
+
+    this.assignRole(session, target, role);
+    if (role === 'owner') this.assignRole(session, ws.clientId as string, 'controller');
+
+    this.logger.info(
+      { clientId: ws.clientId, sessionId: ws.sessionId, role },
+      `Role ${role} granted to user ${target} in session ${ws.sessionId}`
+    );
   }
 
   /**
-   * Retrieve session associated with given WebSocket client.
+   * Handle role revoke request from session owner by demoting target user to viewer.
    *
    * @param ws WebSocket connection for client.
-   * @returns session object if found, otherwise null.
+   * @param message role revoke message containing target client ID.
    */
-  private getSocketSession(ws: ServerWebSocket): SessionInternal | null {
-    const session = this.getSession(ws.sessionId as string);
+  private handleRoleRevoke(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'role_revoke') return;
+    const { clientId } = message;
 
-    if (!session) {
-      this.sendError(ws, 'Session not found');
-      return null;
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    if (!this.hasRole(ws, session, ['owner'])) {
+      return this.sendError(ws, 'Permission denied');
     }
 
-    session.lastActivity = Date.now();
-    this.setSession(session.sessionId, session);
+    const target = this.findClientId(session, clientId);
+    if (!target) return this.sendError(ws, 'User not found');
+    if (target === ws.clientId) return this.sendError(ws, 'Cannot change own role');
 
-    return session;
-  }
+    this.assignRole(session, target, 'viewer');
 
-  /**
-   * Start periodic cleanup timer for inactive sessions and offline users.
-   */
-  private startCleanup(): void {
-    this.cleanup = setInterval(() => {
-      this.cleanupSessions();
-      this.cleanupOfflineUsers();
-    }, CLEANUP_INTERVAL);
+    this.logger.info(
+      { clientId: ws.clientId, sessionId: ws.sessionId },
+      `Role revoked from user ${target} in session ${ws.sessionId}`
+    );
   }
 
   /**
-   * Clean up sessions that have been inactive for configured timeout period.
+   * Handle user kick request from session owner by closing target user's sockets.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message user kick message containing target client ID.
    */
-  private cleanupSessions(): void {
-    const now = Date.now();
-    let count = 0;
+  private handleUserKick(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'user_kick') return;
+    const { clientId } = message;
 
-    this.sessions.forEach((session, sessionId) => {
-      const online = Object.values(session.users).filter((u) =>
-        Array.from(u.sockets.values()).some((ws) => ws.readyState === 1)
-      ).length;
+    const session = this.getSocketSession(ws);
+    if (!session) return;
 
-      if (online === 0 && session.emptyAt && now - session.emptyAt > SESSION_TIMEOUT) {
-        this.sessions.delete(sessionId);
-        count++;
-      }
-    });
+    if (!this.hasRole(ws, session, ['owner'])) {
+      return this.sendError(ws, 'Permission denied');
+    }
+
+    const target = this.findClientId(session, clientId);
+    if (!target) return this.sendError(ws, 'User not found');
+    if (target === ws.clientId) return this.sendError(ws, 'Cannot remove yourself');
 
-    if (count > 0) this.logger.info({ count }, `Cleaned up ${count} inactive sessions`);
+    this.kickUser(session, clientId, this.getActor(ws, session));
   }
 
   /**
-   * Track users who have gone offline based on their WebSocket state.
+   * Handle user ban request from session owner by closing target user's sockets and refusing them for session lifetime.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message user ban message containing target client ID.
    */
-  private trackOfflineUsers(): void {
-    const now = Date.now();
+  private handleUserBan(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'user_ban') return;
+    const { clientId } = message;
 
-    this.sessions.forEach((session: SessionInternal) => {
-      Object.values(session.users).forEach((user: UserInternal) => {
-        const isOnline = Array.from(user.sockets.values()).some((ws) => ws.readyState === 1);
-        if (!isOnline && !user.offlineAt) {
-          user.offlineAt = now;
-        } else if (isOnline && user.offlineAt) {
-          user.offlineAt = null;
-        }
-      });
-    });
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    if (!this.hasRole(ws, session, ['owner'])) {
+      return this.sendError(ws, 'Permission denied');
+    }
+
+    const target = this.findClientId(session, clientId);
+    if (!target) return this.sendError(ws, 'User not found');
+    if (target === ws.clientId) return this.sendError(ws, 'Cannot remove yourself');
+
+    this.banUser(session, clientId, this.getActor(ws, session));
   }
 
   /**
-   * Clean up users who have been offline for longer than configured timeout.
+   * Handle session protect request from session owner by setting or removing session password.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message session protect message containing new password, empty to remove protection.
    */
-  private cleanupOfflineUsers(): void {
-    this.trackOfflineUsers();
-
-    const now = Date.now();
+  private handleSessionProtect(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'session_protect') return;
+    const { password } = message;
 
-    this.sessions.forEach((session: SessionInternal, sessionId: string) => {
-      const remove: string[] = [];
+    const session = this.getSocketSession(ws);
+    if (!session) return;
 
-      Object.entries(session.users).forEach(([clientId, user]) => {
-        if (user.offlineAt && now - user.offlineAt > CLEANUP_INTERVAL) {
-          remove.push(clientId);
-        }
-      });
+    if (!this.hasRole(ws, session, ['owner'])) {
+      return this.sendError(ws, 'Permission denied');
+    }
 
-      remove.forEach((clientId: string) => {
-        const user = session.users[clientId];
-        delete session.users[clientId];
+    session.passwordHash = password ? hashPassword(password) : '';
 
-        this.logger.info(
-          { clientId, sessionId },
-          `Removed offline user ${clientId} from session ${sessionId} after timeout`
-        );
+    this.setSession(session.sessionId, session);
 
-        this.broadcastToSession(
-          session,
-          formatUserDisconnectedMsg({
-            sessionId,
-            user,
-          }),
-          null,
-          clientId
-        );
-      });
+    this.broadcastToSession(session, formatSessionProtectedMsg(session));
 
-      if (Object.keys(session.users).length === 0 && !session.emptyAt) {
-        session.emptyAt = Date.now();
-        this.logger.info({ sessionId }, `Session ${sessionId} marked for cleanup`);
-      }
-    });
+    this.logger.info(
+      { clientId: ws.clientId, sessionId: ws.sessionId },
+      `Session ${ws.sessionId} ${password ? 'protected' : 'unprotected'} by client ${ws.clientId}`
+    );
   }
 
   /**
-   * Mark client as offline in session and schedule removal after timeout if not reconnected.
+   * Handle recurrence update request by replacing recurring schedule and scheduling its next run.
+   * Pending scheduled start of stopped timer is replaced by next run of new recurrence.
    *
-   * @param ws WebSocket connection for client to remove.
+   * @param ws WebSocket connection for client.
+   * @param message recurrence update message containing new recurrence, null to remove recurring schedule.
    */
-  removeClient(ws: ServerWebSocket): void {
-    if (!ws.socketId || !ws.sessionId || !ws.clientId) return;
+  private handleRecurrenceUpdate(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'recurrence_update') return;
+    const { recurrence } = message;
 
-    const session = this.getSession(ws.sessionId);
+    const session = this.getSocketSession(ws);
     if (!session) return;
 
-    const user = session.users[ws.clientId];
-    if (!user) return;
+    if (!this.hasRole(ws, session, ['owner', 'controller'])) {
+      return this.sendError(ws, 'Permission denied');
+    }
 
-    user.sockets.delete(ws.socketId);
+    this.syncTimer(session);
 
-    if (user.sockets.size > 0) return;
+    session.recurrence = recurrence;
+    if (!session.timer.isRunning) session.timer = session.timerCore.schedule(0);
 
-    user.offlineAt = Date.now();
+    const entry = this.recordHistory(session, 'recurrence.updated', this.getActor(ws, session));
+    this.setSession(session.sessionId, session);
 
-    this.broadcastToSession(
-      session,
-      formatUserUpdatedMsg({
-        sessionId: session.sessionId,
-        user,
-      }),
-      ws.socketId,
-      ws.clientId
-    );
+    this.broadcastToSession(session, formatRecurrenceUpdatedMsg(session, entry));
+    this.broadcastTimerUpdate(session);
 
-    this.logger.info(
+    this.logger.debug(
       { clientId: ws.clientId, sessionId: ws.sessionId },
-      `Client ${ws.clientId} disconnected from session ${ws.sessionId}`
+      `Recurrence ${recurrence ? 'updated' : 'removed'} by client ${ws.clientId} in session ${ws.sessionId}`
     );
-
-    const hasOnline = Object.values(session.users).some((u) =>
-      Array.from(u.sockets.values()).some((ws) => ws.readyState === 1)
-    );
-
-    if (!hasOnline && !session.emptyAt) {
-      session.emptyAt = Date.now();
-      this.logger.info({ sessionId: ws.sessionId }, `Session ${ws.sessionId} marked for cleanup`);
-    }
   }
 
   /**
-   * Broadcast current timer state to all clients in session, excluding specified client if provided.
+   * Handle task add request by appending new task to session task list.
    *
-   * @param session session object whose timer state will be broadcast.
-   * @param exclude optional client ID to exclude from broadcast.
+   * @param ws WebSocket connection for client.
+   * @param message task add message containing task title, assignee and estimate.
    */
-  private broadcastTimerUpdate(session: SessionInternal, exclude: string | null | undefined = null): void {
-    session.timer = session.timerCore.sync();
-    this.broadcastToSession(session, formatTimerUpdatedMsg(session), exclude);
-  }
+  private handleTaskAdd(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'task_add') return;
+    const { task } = message;
 
-  /**
-   * Broadcast message to all clients in session, excluding specified client if provided.
-   *
-   * @param session session object whose clients will receive message.
-   * @param message message to broadcast.
-   * @param exclude optional client ID to exclude from broadcast.
-   */
-  private broadcastToSession(
-    session: SessionInternal,
-    message: OutgoingMessage,
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    const actor = this.getActor(ws, session);
+    if (!actor) return;
+
+    if (!task.title) return this.sendError(ws, 'Invalid task');
+    if (session.tasks.length >= MAX_TASKS) return this.sendError(ws, 'Task limit reached');
+    if (task.assigneeId && !this.findClientId(session, task.assigneeId)) return this.sendError(ws, 'User not found');
+
+    const added = formatTask({
+      ...task,
+      taskId: generateUUID(),
+      isCompleted: false,
+      createdBy: actor.clientId,
+      createdAt: Date.now(),
+    });
+    session.tasks.push(added);
+
+    this.broadcastTasks(ws, session);
+
+    this.logger.debug(
+      { clientId: ws.clientId, sessionId: ws.sessionId, taskId: added.taskId },
+      `Task ${added.taskId} added by client ${ws.clientId} in session ${ws.sessionId}`
+    );
+  }
+
+  /**
+   * Handle task update request by applying changed fields to task, completion time is set when task is completed.
+   * Assignees can change their task too, but only users who can manage it can reassign it.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message task update message containing task ID and changed fields.
+   */
+  private handleTaskUpdate(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'task_update') return;
+    const { taskId, task } = message;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    const index = session.tasks.findIndex((t) => t.taskId === taskId);
+    if (index < 0) return this.sendError(ws, 'Task not found');
+
+    const current = session.tasks[index];
+    const isAssignee = Boolean(current.assigneeId) && current.assigneeId === this.getActor(ws, session)?.clientId;
+    if (!this.canManageTask(ws, session, current) && (!isAssignee || task.assigneeId !== undefined)) {
+      return this.sendError(ws, 'Permission denied');
+    }
+
+    if (task.title === '') return this.sendError(ws, 'Invalid task');
+    if (task.assigneeId && !this.findClientId(session, task.assigneeId)) return this.sendError(ws, 'User not found');
+
+    session.tasks[index] = formatTask({ ...session.tasks[index], ...task });
+
+    this.broadcastTasks(ws, session);
+
+    this.logger.debug(
+      { clientId: ws.clientId, sessionId: ws.sessionId, taskId },
+      `Task ${taskId} updated by client ${ws.clientId} in session ${ws.sessionId}`
+    );
+  }
+
+  /**
+   * Handle task remove request by deleting task from session task list, if client can manage task.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message task remove message containing task ID.
+   */
+  private handleTaskRemove(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'task_remove') return;
+    const { taskId } = message;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    const removed = session.tasks.find((task) => task.taskId === taskId);
+    if (!removed) return this.sendError(ws, 'Task not found');
+    if (!this.canManageTask(ws, session, removed)) return this.sendError(ws, 'Permission denied');
+
+    session.tasks = session.tasks.filter((task) => task.taskId !== taskId);
+
+    this.broadcastTasks(ws, session);
+
+    this.logger.debug(
+      { clientId: ws.clientId, sessionId: ws.sessionId, taskId },
+      `Task ${taskId} removed by client ${ws.clientId} in session ${ws.sessionId}`
+    );
+  }
+
+  /**
+   * Handle chat message from session user by adding it to session chat history and broadcasting it.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message chat send message containing sanitised text.
+   */
+  private handleChatSend(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'chat_send') return;
+    const { text } = message;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    const actor = this.getActor(ws, session);
+    if (!actor) return;
+
+    if (!text) return this.sendError(ws, 'Invalid chat message');
+
+    const chat = formatChatMessage({ messageId: generateUUID(), actor, text, timestamp: Date.now() });
+
+    this.recordChat(session, chat);
+    this.setSession(session.sessionId, session);
+
+    this.broadcastToSession(session, formatChatMessageMsg(session, chat));
+
+    this.logger.debug(
+      { clientId: ws.clientId, sessionId: ws.sessionId },
+      `Chat message sent by client ${ws.clientId} in session ${ws.sessionId}`
+    );
+  }
+
+  /**
+   * Handle request to get recent session chat messages.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message chat list message.
+   */
+  private handleChatList(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'chat_list') return;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    this.sendMessage(ws, formatChatMsg(session));
+  }
+
+  /**
+   * Handle reaction from session user by broadcasting it to all clients, reactions are not stored.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message reaction send message containing emoji.
+   */
+  private handleReactionSend(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'reaction_send') return;
+    const { emoji } = message;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    const actor = this.getActor(ws, session);
+    if (!actor) return;
+
+    if (!emoji) return this.sendError(ws, 'Invalid reaction');
+
+    this.broadcastToSession(session, formatReactionMsg(session, emoji, actor));
+  }
+
+  /**
+   * Handle vote proposal from session user by opening vote on timer command, approved by proposer.
+   * Any session user can propose and vote, only one vote can be open per session.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message vote propose message containing timer command to vote on.
+   */
+  private handleVotePropose(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'vote_propose') return;
+    const { action } = message;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    const actor = this.getActor(ws, session);
+    if (!actor) return;
+
+    if (!action) return this.sendError(ws, 'Invalid vote');
+    if (this.votes.has(session.sessionId)) return this.sendError(ws, 'Vote already in progress');
+
+    this.syncTimer(session);
+    if (action === 'pause' && (!session.timer.isRunning || session.timer.isPaused)) {
+      return this.sendError(ws, 'Timer is not running');
+    }
+
+    const sessionId = session.sessionId;
+    const vote = formatVote({
+      voteId: generateUUID(),
+      action,
+      proposer: actor,
+      approvals: [actor.clientId],
+      rejections: [],
+      required: this.getVoteRequired(session),
+      expiresAt: Date.now() + VOTE_DURATION,
+      status: 'open',
+    });
+
+    this.votes.set(sessionId, vote);
+    this.voteTimeouts.set(
+      sessionId,
+      setTimeout(() => {
+        const current = this.getSession(sessionId);
+        if (current) this.closeVote(current, 'expired');
+      }, VOTE_DURATION)
+    );
+
+    // Other nodes answer open vote with their online users, so vote is not passed before they are counted
+    this.voteOnline.set(sessionId, new Map());
+    this.voteCounts.set(
+      sessionId,
+      setTimeout(() => {
+        this.voteCounts.delete(sessionId);
+        const current = this.getSession(sessionId);
+        if (current && this.votes.get(sessionId)?.voteId === vote.voteId) this.recordVote(current, vote, null);
+      }, VOTE_COUNT_DELAY)
+    );
+
+    this.logger.debug(
+      { clientId: ws.clientId, sessionId: ws.sessionId, action },
+      `Vote on ${action} proposed by client ${ws.clientId} in session ${ws.sessionId}`
+    );
+
+    this.resolveVote(session, vote);
+  }
+
+  /**
+   * Handle vote from session user by recording approval or rejection of the open vote, replacing any earlier choice.
+   * Votes opened on another server node are relayed to that node, which resolves them.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message vote cast message containing vote ID and choice.
+   */
+  private handleVoteCast(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'vote_cast') return;
+    const { voteId, approve } = message;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    const actor = this.getActor(ws, session);
+    if (!actor) return;
+
+    const vote = this.votes.get(session.sessionId);
+    if (!vote || vote.voteId !== voteId) return this.sendError(ws, 'Vote not found');
+
+    if (this.voteOrigins.has(session.sessionId)) {
+      this.relayVote(session, vote.voteId, actor.clientId, Boolean(approve));
+      return;
+    }
+
+    this.recordVote(session, vote, actor.clientId, Boolean(approve));
+  }
+
+  /**
+   * Handle invite create request from session owner by sending signed invite token.
+   *
+   * @param ws WebSocket connection for client.
+   * @param message invite create message.
+   */
+  private handleInviteCreate(ws: ServerWebSocket, message: IncomingMessage): void {
+    if (message.type !== 'invite_create') return;
+
+    const session = this.getSocketSession(ws);
+    if (!session) return;
+
+    if (!this.hasRole(ws, session, ['owner'])) {
+      return this.sendError(ws, 'Permission denied');
+    }
+
+    const expiresAt = Date.now() + INVITE_TTL;
+
+    this.sendMessage(
+      ws,
+      formatInviteCreatedMsg({
+        sessionId: session.sessionId,
+        invite: createInvite(session.sessionId, session.passwordHash, expiresAt),
+        expiresAt,
+      })
+    );
+
+    this.logger.debug(
+      { clientId: ws.clientId, sessionId: ws.sessionId },
+      `Invite created by client ${ws.clientId} for session ${ws.sessionId}`
+    );
+  }
+
+  /**
+   * Handle broadcast relayed from another server node by applying session state and delivering message to local clients.
+   *
+   * @param envelope broadcast envelope received from adapter.
+   */
+  private handleBroadcast(envelope: BroadcastEnvelope): void {
+    if (envelope?.origin === this.nodeId) return;
+
+    let session = this.getSession(envelope?.sessionId);
+
+    if (envelope.state) {
+      const state = formatBroadcastState(envelope.state);
+
+      if (!session) {
+        session = formatInternalSession({ sessionId: envelope.sessionId });
+        session.emptyAt = Date.now();
+      }
+
+      session.name = state.name;
+      session.description = state.description;
+      session.intervals = state.intervals;
+      session.revision = state.revision;
+      session.timerCore.updateIntervals(session.intervals.items);
+      session.timerCore.setState(state.timer);
+      session.timer = session.timerCore.sync();
+      session.passwordHash = state.passwordHash;
+      session.recurrence = state.recurrence;
+      session.tasks = state.tasks;
+      session.kickedUntil = state.kickedUntil;
+      session.bannedIds = state.bannedIds;
+      session.webhooks = state.webhooks;
+      this.applyRoles(session, state.roles);
+
+      // Node that last changed timer sends its webhook events, other nodes only follow its state
+      if (envelope.message?.type === 'timer_updated') this.timerOrigins.set(session.sessionId, envelope.origin);
+
+      this.setSession(session.sessionId, session);
+      this.trackTimer(session);
+    }
+
+    if (session && envelope.vote) this.handleVoteRelay(session, envelope.origin, formatVoteRelay(envelope.vote));
+
+    if (envelope.stats) {
+      const stats = { ...this.getUserStats(envelope.sessionId), ...formatUserStatsList(envelope.stats) };
+      this.sessions.setStats(envelope.sessionId, stats);
+    }
+
+    if (!session || !envelope.message) return;
+
+    if (envelope.message.type === 'vote_updated') {
+      if (!this.followVote(session, envelope.origin, formatVote(envelope.message.vote))) return;
+    }
+
+    if (envelope.message.type === 'chat_message') {
+      this.recordChat(session, envelope.message.message);
+      this.setSession(session.sessionId, session);
+    }
+
+    this.deliverToSession(session, envelope.message, envelope.exclude, envelope.ignore);
+
+    if (envelope.message.type === 'user_removed') this.closeUser(session, envelope.message.clientId);
+  }
+
+  /**
+   * Create new session with given session ID.
+   *
+   * @param sessionId unique session ID.
+   * @param update session update containing initial session data.
+   * @param timer initial timer state for session.
+   * @param ownerId client ID of user creating session, empty if first user to join will become owner.
+   * @returns newly created session object.
+   */
+  createSession(sessionId: string, update: SessionUpdate, timer: TimerState, ownerId = ''): SessionInternal {
+    const session = formatInternalSession({
+      sessionId,
+      ...update,
+    });
+
+    session.ownerId = ownerId;
+    if (ownerId) session.roles[hashString(ownerId)] = 'owner';
+
+    session.timerCore.updateIntervals(session.intervals.items);
+    session.timer = session.timerCore.updateState(timer);
+
+    this.setSession(session.sessionId, session);
+    this.trackTimer(session);
+
+    return session;
+  }
+
+  /**
+   * Update session content and broadcast changes, rejecting updates built on stale revision.
+   *
+   * @param session session object to update.
+   * @param update session update containing name, description and intervals.
+   * @param timer optional timer state to apply, otherwise timer is synced to new intervals.
+   * @param revision optional session revision update was built on.
+   * @param exclude optional socket ID to exclude from broadcast.
+   * @param actor user making update, null for updates made through HTTP API.
+   * @returns true if update was applied, false if revision is stale.
+   */
+  updateSession(
+    session: SessionInternal,
+    update: SessionUpdate,
+    timer?: TimerState,
+    revision?: number,
+    exclude: string | null | undefined = null,
+    actor: HistoryActor | null = null
+  ): boolean {
+    if (revision !== undefined && revision !== session.revision) return false;
+
+    this.syncTimer(session);
+
+    session.revision++;
+    session.name = update.name;
+    session.description = update.description;
+    session.intervals = update.intervals;
+    session.timerCore.updateIntervals(session.intervals.items);
+    session.timer = timer ? session.timerCore.updateState(timer) : session.timerCore.sync();
+
+    const entry = this.recordHistory(session, 'session.updated', actor);
+    this.setSession(session.sessionId, session);
+
+    this.broadcastToSession(session, formatSessionUpdatedMsg(session, entry), exclude);
+    this.broadcastTimerUpdate(session, exclude);
+
+    return true;
+  }
+
+  /**
+   * Apply timer command to session and broadcast new timer state to all session users.
+   *
+   * @param session session whose timer will be updated.
+   * @param message timer command message to apply.
+   * @param actor user running command, null for commands run through HTTP API.
+   */
+  runTimerCommand(session: SessionInternal, message: TimerCommandMessage, actor: HistoryActor | null = null): void {
+    this.syncTimer(session);
+    session.timer = this.applyTimerCommand(session, message);
+
+    const entry = this.recordHistory(session, `timer.${message.command}`, actor);
+    this.setSession(session.sessionId, session);
+
+    this.broadcastTimerUpdate(session, null, entry);
+  }
+
+  /**
+   * Register webhook on session.
+   *
+   * @param session session to register webhook on.
+   * @param webhook webhook to register.
+   */
+  addWebhook(session: SessionInternal, webhook: Webhook): void {
+    session.webhooks.push(webhook);
+    this.setSession(session.sessionId, session);
+    this.publishState(session);
+
+    this.logger.info(
+      { sessionId: session.sessionId, webhookId: webhook.webhookId },
+      `Webhook ${webhook.webhookId} registered in session ${session.sessionId}`
+    );
+  }
+
+  /**
+   * Remove webhook from session.
+   *
+   * @param session session to remove webhook from.
+   * @param webhookId ID of webhook to remove.
+   * @returns true if webhook was found and removed.
+   */
+  removeWebhook(session: SessionInternal, webhookId: string): boolean {
+    const count = session.webhooks.length;
+    session.webhooks = session.webhooks.filter((webhook) => webhook.webhookId !== webhookId);
+
+    if (session.webhooks.length === count) return false;
+
+    this.setSession(session.sessionId, session);
+    this.publishState(session);
+
+    this.logger.info(
+      { sessionId: session.sessionId, webhookId },
+      `Webhook ${webhookId} removed from session ${session.sessionId}`
+    );
+    return true;
+  }
+
+  /**
+   * List sessions held by this server node.
+   *
+   * @returns array of session objects.
+   */
+  listSessions(): SessionInternal[] {
+    const sessions: SessionInternal[] = [];
+    this.sessions.forEach((session) => sessions.push(session));
+    return sessions;
+  }
+
+  /**
+   * Remove user from session on every server node, refusing them to rejoin for KICK_DURATION.
+   * User is marked offline when sockets close.
+   *
+   * @param session session object containing user.
+   * @param hashedId hashed client ID of user to kick.
+   * @param actor user kicking user, null if kicked through admin API.
+   * @returns true if user was found in session.
+   */
+  kickUser(session: SessionInternal, hashedId: string, actor: HistoryActor | null = null): boolean {
+    const clientId = this.findClientId(session, hashedId);
+    if (!clientId) return false;
+
+    const now = Date.now();
+
+    Object.keys(session.kickedUntil).forEach((id) => {
+      if (session.kickedUntil[id] <= now) delete session.kickedUntil[id];
+    });
+    // Joins are checked against hash of internal client ID, whatever ID user entry holds
+    session.kickedUntil[hashString(clientId)] = now + KICK_DURATION;
+
+    this.setSession(session.sessionId, session);
+    this.broadcastToSession(session, formatUserRemovedMsg(session, hashedId, false, actor));
+    this.closeUser(session, hashedId);
+
+    this.logger.info(
+      { clientId, sessionId: session.sessionId },
+      `Client ${clientId} kicked from session ${session.sessionId}`
+    );
+    return true;
+  }
+
+  /**
+   * Remove user from session on every server node, refusing them to rejoin for session lifetime.
+   *
+   * @param session session object containing user.
+   * @param hashedId hashed client ID of user to ban.
+   * @param actor user banning user.
+   * @returns true if user was found in session.
+   */
+  private banUser(session: SessionInternal, hashedId: string, actor: HistoryActor | null): boolean {
+    const clientId = this.findClientId(session, hashedId);
+    if (!clientId) return false;
+
+    const bannedId = hashString(clientId);
+    if (!session.bannedIds.includes(bannedId)) session.bannedIds.push(bannedId);
+    delete session.kickedUntil[bannedId];
+
+    this.setSession(session.sessionId, session);
+    this.broadcastToSession(session, formatUserRemovedMsg(session, hashedId, true, actor));
+    this.closeUser(session, hashedId);
+
+    this.logger.info(
+      { clientId, sessionId: session.sessionId },
+      `Client ${clientId} banned from session ${session.sessionId}`
+    );
+    return true;
+  }
+
+  /**
+   * Delete session from this server node, closing sockets of all session users and event streams.
+   *
+   * @param session session object to delete.
+   */
+  deleteSession(session: SessionInternal): void {
+    const sessionId = session.sessionId;
+
+    this.sessions.delete(sessionId);
+    this.timerStates.delete(sessionId);
+    this.timerOrigins.delete(sessionId);
+    this.clearTransition(sessionId);
+    this.clearVote(sessionId);
+
+    Object.values(session.users).forEach((user) => {
+      user.sockets.forEach((ws) => ws.close(CLOSE_CODES.SESSION_DELETED, 'Session deleted'));
+    });
+
+    this.emit('session_deleted', session);
+
+    this.logger.info({ sessionId }, `Session ${sessionId} deleted`);
+  }
+
+  /**
+   * Broadcast announcement to all session users.
+   *
+   * @param session session object to announce to.
+   * @param message announcement text.
+   */
+  announce(session: SessionInternal, message: string): void {
+    this.broadcastToSession(session, formatAnnouncementMsg(session, message));
+  }
+
+  /**
+   * Get focus statistics of session users, kept apart from session so they outlive session cleanup.
+   *
+   * @param sessionId unique session ID.
+   * @returns user statistics keyed by hashed client ID.
+   */
+  getUserStats(sessionId: string): UserStatsList {
+    return this.sessions.getStats(sessionId);
+  }
+
+  /**
+   * Set session object for given session ID.
+   *
+   * @param sessionId unique session ID.
+   * @param session session object to store.
+   */
+  private setSession(sessionId: string, session: SessionInternal): void {
+    if (!sessionId) return;
+    this.sessions.set(sessionId, formatInternalSession(session));
+  }
+
+  /**
+   * Retrieve session object for given session ID.
+   *
+   * @param sessionId unique session ID.
+   * @returns session object if found, otherwise null.
+   */
+  getSession(sessionId: string): SessionInternal | null {
+    return this.sessions.get(sessionId) || null;
+  }
+
+  /**
+   * Retrieve session associated with given WebSocket client.
+   *
+   * @param ws WebSocket connection for client.
+   * @returns session object if found, otherwise null.
+   */
+  private getSocketSession(ws: ServerWebSocket): SessionInternal | null {
+    const session = this.getSession(ws.sessionId as string);
+
+    if (!session) {
+      this.sendError(ws, 'Session not found');
+      return null;
+    }
+
+    session.lastActivity = Date.now();
+    this.setSession(session.sessionId, session);
+
+    return session;
+  }
+
+  /**
+   * Apply timer command to session timer core after syncing it to current time.
+   *
+   * @param session session whose timer will be updated.
+   * @param message timer command message to apply.
+   * @returns updated timer state.
+   */
+  private applyTimerCommand(session: SessionInternal, message: TimerCommandMessage): TimerStateInternal {
+    const core = session.timerCore;
+    const state = core.sync();
+
+    switch (message.command) {
+      case 'start':
+        return core.start();
+      case 'pause':
+        return state.isRunning && !state.isPaused ? core.pause() : state;
+      case 'resume':
+        return core.resume();
+      case 'stop':
+        return core.stop();
+      case 'next':
+        return core.next();
+      case 'repeat':
+        return core.repeat(message.repeat ?? null);
+      case 'seek':
+        return core.seek(message.interval ?? 0, message.remaining ?? null);
+      case 'schedule':
+        return core.schedule(message.scheduledStartAt ?? 0);
+      default:
+        return state;
+    }
+  }
+
+  /**
+   * Find internal client ID of session user with given hashed client ID.
+   *
+   * @param session session object to search.
+   * @param hashedId hashed client ID of user.
+   * @returns internal client ID if found, otherwise undefined.
+   */
+  private findClientId(session: SessionInternal, hashedId: string): string | undefined {
+    if (!hashedId) return undefined;
+    return Object.keys(session.users).find((clientId) => session.users[clientId].clientId === hashedId);
+  }
+
+  /**
+   * Check if join credentials grant access to session, unprotected sessions are open to everyone.
+   *
+   * @param session session object being joined.
+   * @param password optional session password.
+   * @param invite optional signed invite token.
+   * @returns true if session is unprotected or credentials are valid.
+   */
+  isAuthorized(session: SessionInternal, password?: string, invite?: string): boolean {
+    if (!session.passwordHash) return true;
+    if (invite && verifyInvite(session.sessionId, session.passwordHash, invite)) return true;
+    return Boolean(password && verifyPassword(password, session.passwordHash));
+  }
+
+  /**
+   * Check if credential allows changing session outside of a WebSocket connection.
+   * Client IDs of owners and controllers on this server node, session passwords and invites are accepted.
+   *
+   * @param session session object being changed.
+   * @param credential client ID, session password or invite token.
+   * @returns true if credential belongs to session owner or controller, or is valid for protected session.
+   */
+  canControl(session: SessionInternal, credential: string): boolean {
+    if (!credential) return false;
+    if (credential === session.ownerId) return true;
+
+    const user = session.users[credential];
+    if (user && ['owner', 'controller'].includes(user.role)) return true;
+    if (['owner', 'controller'].includes(session.roles[hashString(credential)])) return true;
+
+    return Boolean(session.passwordHash) && this.isAuthorized(session, credential, credential);
+  }
+
+  /**
+   * Close sockets of kicked or banned session user on this server node with matching close code.
+   *
+   * @param session session object containing user.
+   * @param hashedId hashed client ID of user to close sockets for.
+   */
+  private closeUser(session: SessionInternal, hashedId: string): void {
+    const clientId = this.findClientId(session, hashedId);
+    if (!clientId) return;
+
+    const isBanned = session.bannedIds.includes(hashString(clientId));
+    const code = isBanned ? CLOSE_CODES.BANNED : CLOSE_CODES.KICKED;
+    const reason = isBanned ? 'Banned from session' : 'Removed from session';
+
+    session.users[clientId].sockets.forEach((ws) => ws.close(code, reason));
+  }
+
+  /**
+   * Check if client has one of given roles in session.
+   *
+   * @param ws WebSocket connection for client.
+   * @param session session object containing user.
+   * @param roles roles allowed to perform action.
+   * @returns true if user has one of given roles.
+   */
+  private hasRole(ws: ServerWebSocket, session: SessionInternal, roles: UserRole[]): boolean {
+    const user = session.users[ws.clientId as string];
+    return Boolean(user && roles.includes(user.role));
+  }
+
+  /**
+   * Check if client can reassign or remove task, allowed for owners, controllers and the user who added it.
+   *
+   * @param ws WebSocket connection for client.
+   * @param session session object containing task.
+   * @param task task to check.
+   * @returns true if client can manage task.
+   */
+  private canManageTask(ws: ServerWebSocket, session: SessionInternal, task: Task): boolean {
+    if (this.hasRole(ws, session, ['owner', 'controller'])) return true;
+    return Boolean(task.createdBy) && task.createdBy === this.getActor(ws, session)?.clientId;
+  }
+
+  /**
+   * Assign role to session user and broadcast updated user to all clients.
+   * Role is kept by hashed client ID and shared with other nodes, so it applies wherever user connects.
+   *
+   * @param session session object containing user.
+   * @param clientId internal client ID of user.
+   * @param role role to assign.
+   */
+  private assignRole(session: SessionInternal, clientId: string, role: UserRole): void {
+    const user = session.users[clientId];
+    if (!user) return;
+
+    user.role = role;
+    session.roles[hashString(clientId)] = role;
+    if (role === 'owner') session.ownerId = clientId;
+
+    this.setSession(session.sessionId, session);
+    this.publishState(session);
+
+    this.broadcastToSession(
+      session,
+      formatUserUpdatedMsg({
+        sessionId: session.sessionId,
+        user,
+      })
+    );
+  }
+
+  /**
+   * Apply roles relayed from another server node to session users on this node.
+   * Owner ID is cleared when owner role has moved to a user not connected to this node.
+   *
+   * @param session session object containing users.
+   * @param roles roles keyed by hashed client ID.
+   */
+  private applyRoles(session: SessionInternal, roles: { [key: string]: UserRole }): void {
+    session.roles = roles;
+
+    Object.entries(session.users).forEach(([clientId, user]) => {
+      const role = roles[hashString(clientId)];
+      if (!role) return;
+
+      user.role = role;
+      if (role === 'owner') session.ownerId = clientId;
+    });
+
+    const ownerMoved = Object.values(roles).includes('owner') && roles[hashString(session.ownerId)] !== 'owner';
+    if (session.ownerId && ownerMoved) session.ownerId = '';
+  }
+
+  /**
+   * Start periodic cleanup timer for inactive sessions and offline users.
+   */
+  private startCleanup(): void {
+    this.cleanup = setInterval(() => {
+      this.cleanupSessions();
+      this.cleanupOfflineUsers();
+    }, CLEANUP_INTERVAL);
+  }
+
+  /**
+   * Arm timer for next interval boundary of running session timer, or scheduled start of stopped timer,
+   * replacing any timer already armed. Delays beyond timeout limit fire early and are rearmed by sync.
+   *
+   * @param session session whose timer boundary will be scheduled.
+   */
+  private scheduleTransition(session: SessionInternal): void {
+    this.clearTransition(session.sessionId);
+
+    const { intervalEndsAt } = session.timerCore.getEndTimes();
+    const transitionAt = intervalEndsAt || (!session.timer.isRunning ? session.timer.scheduledStartAt : 0);
+    if (!transitionAt) return;
+
+    const sessionId = session.sessionId;
+    const delay = Math.min(Math.max(0, transitionAt - Date.now()), MAX_TIMEOUT);
+
+    this.transitions.set(
+      sessionId,
+      setTimeout(() => {
+        this.transitions.delete(sessionId);
+
+        const current = this.getSession(sessionId);
+        if (current) this.syncTimer(current);
+      }, delay)
+    );
+  }
+
+  /**
+   * Clear timer armed for next interval boundary of session.
+   *
+   * @param sessionId unique session ID.
+   */
+  private clearTransition(sessionId: string): void {
+    const transition = this.transitions.get(sessionId);
+    if (!transition) return;
+
+    clearTimeout(transition);
+    this.transitions.delete(sessionId);
+  }
+
+  /**
+   * Sync session timer to current time and announce interval transition to clients on this node if boundary passed.
+   * Scheduled start is announced with updated timer and saved, so session store keeps running state.
+   * Stopped timer of session with recurrence is scheduled for its next run.
+   * Every node runs its own scheduler, so announcement is not relayed to other nodes.
+   *
+   * @param session session whose timer will be synced.
+   */
+  private syncTimer(session: SessionInternal): void {
+    const previous = this.timerStates.get(session.sessionId);
+    session.timer = session.timerCore.sync();
+    if (this.armRecurrence(session)) this.setSession(session.sessionId, session);
+
+    if (previous && !previous.isRunning && previous.scheduledStartAt && session.timer.isRunning) {
+      this.deliverToSession(session, formatTimerUpdatedMsg(session));
+      this.logger.debug({ sessionId: session.sessionId }, `Session ${session.sessionId} timer started as scheduled`);
+      this.setSession(session.sessionId, session);
+    }
+
+    if (previous?.isRunning && (previous.interval !== session.timer.interval || !session.timer.isRunning)) {
+      this.deliverToSession(session, formatIntervalChangedMsg(session, previous.interval));
+      this.recordStats(session, previous.interval);
+
+      this.logger.debug(
+        { sessionId: session.sessionId, finished: previous.interval, next: session.timer.interval },
+        `Session ${session.sessionId} moved from interval ${previous.interval} to ${session.timer.interval}`
+      );
+    }
+
+    this.trackTimer(session);
+  }
+
+  /**
+   * Schedule next run of session recurrence when timer is stopped and has no scheduled start.
+   *
+   * @param session session whose timer will be scheduled.
+   * @returns true if timer was scheduled.
+   */
+  private armRecurrence(session: SessionInternal): boolean {
+    if (!session.recurrence || session.timer.isRunning || session.timer.scheduledStartAt) return false;
+
+    const next = getNextRun(session.recurrence, Date.now());
+    if (!next) return false;
+
+    session.timer = session.timerCore.schedule(next);
+
+    this.logger.debug(
+      { sessionId: session.sessionId, scheduledStartAt: next },
+      `Session ${session.sessionId} timer scheduled for next recurring run`
+    );
+
+    return true;
+  }
+
+  /**
+   * Compare session timer with last seen state and emit events for start, pause, resume, stop and interval changes.
+   * Timer for next interval boundary is rescheduled from new state.
+   *
+   * @param session session whose timer state has changed.
+   */
+  private trackTimer(session: SessionInternal): void {
+    const current = session.timer;
+    const previous = this.timerStates.get(session.sessionId);
+
+    this.timerStates.set(session.sessionId, { ...current });
+    this.scheduleTransition(session);
+
+    // Sessions restored from store or relayed from other nodes start tracking from their current state
+    if (!previous) return;
+
+    // Timer events of changes made on other nodes are sent by the node that made them
+    if ((this.timerOrigins.get(session.sessionId) ?? this.nodeId) !== this.nodeId) return;
+
+    const events: WebhookEvent[] = [];
+
+    if (!previous.isRunning && current.isRunning) events.push('timer.started');
+    if (previous.isRunning && !current.isRunning) events.push('timer.stopped');
+
+    if (previous.isRunning && current.isRunning) {
+      if (previous.interval !== current.interval) events.push('interval.changed');
+      if (!previous.isPaused && current.isPaused) events.push('timer.paused');
+      if (previous.isPaused && !current.isPaused) events.push('timer.resumed');
+    }
+
+    if (events.length === 0) return;
+
+    const item = session.intervals.items[current.interval];
+    const data: WebhookEventData = {
+      timer: formatTimer(current, session.timerCore),
+      interval: { index: current.interval, name: item?.name || '', duration: item?.duration || 0 },
+    };
+
+    events.forEach((event) => {
+      this.emit(
+        'session_event',
+        session,
+        event,
+        event === 'interval.changed' ? { ...data, previousInterval: previous.interval } : data
+      );
+    });
+  }
+
+  /**
+   * Get history actor for client of WebSocket connection.
+   *
+   * @param ws WebSocket connection for client.
+   * @param session session object containing user.
+   * @returns history actor, null if client is not a session user.
+   */
+  private getActor(ws: ServerWebSocket, session: SessionInternal): HistoryActor | null {
+    const user = session.users[ws.clientId as string];
+    return user ? formatHistoryActor(user) : null;
+  }
+
+  /**
+   * Append entry to session history, dropping oldest entries beyond HISTORY_SIZE.
+   * Callers save session once their other changes are applied.
+   *
+   * @param session session action was performed in.
+   * @param action history action name.
+   * @param actor user performing action, null for actions made through HTTP API.
+   * @returns recorded history entry.
+   */
+  private recordHistory(session: SessionInternal, action: HistoryAction, actor: HistoryActor | null): HistoryEntry {
+    const entry = formatHistoryEntry({ action, actor, timestamp: Date.now() });
+
+    session.history.push(entry);
+    if (session.history.length > HISTORY_SIZE) session.history.splice(0, session.history.length - HISTORY_SIZE);
+
+    return entry;
+  }
+
+  /**
+   * Get users with an open connection to session on this node.
+   *
+   * @param session session to get online users of.
+   * @returns online session users.
+   */
+  private getOnlineUsers(session: SessionInternal): UserInternal[] {
+    return Object.values(session.users).filter((user) =>
+      Array.from(user.sockets.values()).some((ws) => ws.readyState === 1)
+    );
+  }
+
+  /**
+   * Get client IDs of users online in session on this node and on other nodes that answered its open vote.
+   *
+   * @param session session vote belongs to.
+   * @returns unique online client IDs.
+   */
+  private getVoteOnline(session: SessionInternal): string[] {
+    const online = this.getOnlineUsers(session).map((user) => user.clientId);
+    this.voteOnline.get(session.sessionId)?.forEach((clientIds) => online.push(...clientIds));
+    return [...new Set(online)];
+  }
+
+  /**
+   * Get number of approvals needed to pass a vote, more than VOTE_THRESHOLD of online users.
+   *
+   * @param session session vote belongs to.
+   * @returns required approvals, at least one and at most the number of online users.
+   */
+  private getVoteRequired(session: SessionInternal): number {
+    const online = this.getVoteOnline(session).length;
+    return Math.max(1, Math.min(online, Math.floor(online * VOTE_THRESHOLD) + 1));
+  }
+
+  /**
+   * Record approval or rejection of session user on open vote, replacing earlier choice, then recount and resolve it.
+   *
+   * @param session session vote belongs to.
+   * @param vote open vote resolved by this node.
+   * @param clientId client ID of user voting, null to only recount online users.
+   * @param approve whether user approves vote.
+   */
+  private recordVote(session: SessionInternal, vote: Vote, clientId: string | null, approve: boolean = false): void {
+    if (clientId) {
+      vote.approvals = vote.approvals.filter((id) => id !== clientId);
+      vote.rejections = vote.rejections.filter((id) => id !== clientId);
+      (approve ? vote.approvals : vote.rejections).push(clientId);
+    }
+
+    vote.required = this.getVoteRequired(session);
+    this.resolveVote(session, vote);
+  }
+
+  /**
+   * Pass vote once enough online users approve and apply its timer command with proposer as actor,
+   * or fail it once it can no longer pass or its command no longer applies to the timer.
+   * Open votes are broadcast with their current count, and are not resolved within VOTE_COUNT_DELAY of opening.
+   *
+   * @param session session vote belongs to.
+   * @param vote open vote to resolve.
+   */
+  private resolveVote(session: SessionInternal, vote: Vote): void {
+    const undecided = this.getVoteOnline(session).filter(
+      (clientId) => !vote.approvals.includes(clientId) && !vote.rejections.includes(clientId)
+    ).length;
+
+    if (this.voteCounts.has(session.sessionId)) {
+      this.broadcastToSession(session, formatVoteUpdatedMsg(session, vote));
+      return;
+    }
+
+    if (vote.approvals.length >= vote.required) {
+      this.syncTimer(session);
+      if (vote.action === 'pause' && (!session.timer.isRunning || session.timer.isPaused)) {
+        this.closeVote(session, 'failed');
+        return;
+      }
+
+      this.closeVote(session, 'passed');
+      this.runTimerCommand(session, { type: 'timer_command', command: vote.action }, vote.proposer);
+      return;
+    }
+
+    if (vote.approvals.length + undecided < vote.required) {
+      this.closeVote(session, 'failed');
+      return;
+    }
+
+    this.broadcastToSession(session, formatVoteUpdatedMsg(session, vote));
+  }
+
+  /**
+   * Close open vote of session with final status and broadcast it.
+   *
+   * @param session session vote belongs to.
+   * @param status final vote status.
+   */
+  private closeVote(session: SessionInternal, status: VoteStatus): void {
+    const vote = this.votes.get(session.sessionId);
+    if (!vote) return;
+
+    this.clearVote(session.sessionId);
+    vote.status = status;
+
+    this.broadcastToSession(session, formatVoteUpdatedMsg(session, vote));
+
+    this.logger.debug(
+      { sessionId: session.sessionId, action: vote.action, status },
+      `Vote on ${vote.action} ${status} in session ${session.sessionId}`
+    );
+  }
+
+  /**
+   * Discard open vote of session and its expiry timer.
+   *
+   * @param sessionId unique session ID.
+   */
+  private clearVote(sessionId: string): void {
+    clearTimeout(this.voteTimeouts.get(sessionId));
+    clearTimeout(this.voteCounts.get(sessionId));
+    this.voteTimeouts.delete(sessionId);
+    this.voteCounts.delete(sessionId);
+    this.voteOrigins.delete(sessionId);
+    this.voteOnline.delete(sessionId);
+    this.votes.delete(sessionId);
+  }
+
+  /**
+   * Follow vote broadcast by server node resolving it, so users on this node see it and can vote on it.
+   * Newly followed votes are answered with users online on this node.
+   * Of two votes opened at once on different nodes the one with the lower vote ID is kept, the other fails.
+   *
+   * @param session session vote belongs to.
+   * @param origin node ID of server node resolving vote.
+   * @param vote vote broadcast by origin node.
+   * @returns whether vote update should be delivered to clients on this node.
+   */
+  private followVote(session: SessionInternal, origin: string, vote: Vote): boolean {
+    const sessionId = session.sessionId;
+    const current = this.votes.get(sessionId);
+
+    if (current?.voteId === vote.voteId) {
+      if (vote.status === 'open') this.votes.set(sessionId, vote);
+      else this.clearVote(sessionId);
+      return true;
+    }
+
+    if (vote.status !== 'open') return !current;
+    if (current && current.voteId < vote.voteId) return false;
+
+    if (current && !this.voteOrigins.has(sessionId)) this.closeVote(session, 'failed');
+    this.clearVote(sessionId);
+
+    this.votes.set(sessionId, vote);
+    this.voteOrigins.set(sessionId, origin);
+    this.voteTimeouts.set(
+      sessionId,
+      setTimeout(() => this.clearVote(sessionId), Math.min(MAX_TIMEOUT, Math.max(0, vote.expiresAt - Date.now())))
+    );
+
+    this.relayVote(session, vote.voteId);
+    return true;
+  }
+
+  /**
+   * Relay users online on this node and optional vote of session user to server node resolving open vote.
+   *
+   * @param session session vote belongs to.
+   * @param voteId ID of open vote.
+   * @param clientId client ID of user voting, empty to only report online users.
+   * @param approve whether user approves vote.
+   */
+  private relayVote(session: SessionInternal, voteId: string, clientId: string = '', approve: boolean = false): void {
+    this.adapter.publish({
+      origin: this.nodeId,
+      sessionId: session.sessionId,
+      vote: formatVoteRelay({
+        voteId,
+        online: this.getOnlineUsers(session).map((user) => user.clientId),
+        clientId,
+        approve,
+      }),
+    });
+  }
+
+  /**
+   * Handle vote relayed from another server node by counting its online users and recording its user's vote,
+   * if this node resolves the open vote.
+   *
+   * @param session session vote belongs to.
+   * @param origin node ID of server node relaying vote.
+   * @param relay relayed online users and vote.
+   */
+  private handleVoteRelay(session: SessionInternal, origin: string, relay: VoteRelay): void {
+    const vote = this.votes.get(session.sessionId);
+    if (!vote || vote.voteId !== relay.voteId || this.voteOrigins.has(session.sessionId)) return;
+
+    this.voteOnline.get(session.sessionId)?.set(origin, relay.online);
+    this.recordVote(session, vote, relay.clientId || null, relay.approve);
+  }
+
+  /**
+   * Append message to session chat history, dropping oldest messages beyond CHAT_HISTORY_SIZE.
+   *
+   * @param session session chat message was sent in.
+   * @param message chat message to append.
+   */
+  private recordChat(session: SessionInternal, message: ChatMessage): void {
+    session.chat.push(formatChatMessage(message));
+    if (session.chat.length > CHAT_HISTORY_SIZE) session.chat.splice(0, session.chat.length - CHAT_HISTORY_SIZE);
+  }
+
+  /**
+   * Credit completed interval to focus statistics of users online on this node when interval boundary passed.
+   * Completed intervals older than STATS_RETENTION are dropped, totals per interval name are kept.
+   * Credited users' statistics are relayed to other nodes, which replace their copy of those users.
+   *
+   * @param session session whose interval has completed.
+   * @param index index of completed interval.
+   */
+  private recordStats(session: SessionInternal, index: number): void {
+    const item = session.intervals.items[index];
+    if (!item) return;
+
+    const now = Date.now();
+    const completed = formatCompletedInterval({ name: item.name, duration: item.duration, completedAt: now });
+    const stats = this.getUserStats(session.sessionId);
+    const credited: UserStatsList = {};
+
+    this.getOnlineUsers(session).forEach((user) => {
+      const current = stats[user.clientId] || { clientId: user.clientId, name: '', totals: {}, completed: [] };
+      const totals = current.totals[completed.name] || { count: 0, duration: 0 };
+
+      credited[user.clientId] = {
+        clientId: user.clientId,
+        name: user.name,
+        totals: {
+          ...current.totals,
+          [completed.name]: { count: totals.count + 1, duration: totals.duration + completed.duration },
+        },
+        completed: current.completed.filter((c) => now - c.completedAt < STATS_RETENTION).concat(completed),
+      };
+    });
+
+    if (Object.keys(credited).length === 0) return;
+
+    this.sessions.setStats(session.sessionId, { ...stats, ...credited });
+    this.adapter.publish({ origin: this.nodeId, sessionId: session.sessionId, stats: credited });
+  }
+
+  /**
+   * Emit user presence event for session user.
+   *
+   * @param session session user joined or left.
+   * @param event user event name.
+   * @param user session user.
+   */
+  private emitUserEvent(session: SessionInternal, event: WebhookEvent, user: UserInternal): void {
+    this.emit('session_event', session, event, { user: { clientId: user.clientId, name: user.name } });
+  }
+
+  /**
+   * Clean up sessions that have been inactive for configured timeout period.
+   * Sessions with a scheduled start or recurrence ahead are kept, so they still start without users online.
+   */
+  private cleanupSessions(): void {
+    const now = Date.now();
+    let count = 0;
+
+    this.sessions.forEach((session, sessionId) => {
+      const online = Object.values(session.users).filter((u) =>
+        Array.from(u.sockets.values()).some((ws) => ws.readyState === 1)
+      ).length;
+
+      if (online === 0 && session.emptyAt && now - session.emptyAt > SESSION_TIMEOUT) {
+        if (hasUpcomingRun(session.recurrence, session.timer.scheduledStartAt, now)) {
+          this.logger.debug({ sessionId }, `Kept inactive session ${sessionId} with upcoming scheduled start`);
+          return;
+        }
+
+        this.deleteSession(session);
+        count++;
+      }
+    });
+
+    if (count > 0) {
+      sessionsCleaned.inc({}, count);
+      this.logger.info({ count }, `Cleaned up ${count} inactive sessions`);
+    }
+
+    // Statistics outlive their session until no interval was completed within STATS_RETENTION
+    this.sessions.forEachStats((stats, sessionId) => {
+      if (this.sessions.has(sessionId)) return;
+
+      const last = Math.max(0, ...Object.values(stats).flatMap((user) => user.completed.map((c) => c.completedAt)));
+      if (now - last > STATS_RETENTION) this.sessions.setStats(sessionId, {});
+    });
+  }
+
+  /**
+   * Track users who have gone offline based on their WebSocket state.
+   */
+  private trackOfflineUsers(): void {
+    const now = Date.now();
+
+    this.sessions.forEach((session: SessionInternal, sessionId: string) => {
+      let isChanged = false;
+
+      Object.values(session.users).forEach((user: UserInternal) => {
+        const isOnline = Array.from(user.sockets.values()).some((ws) => ws.readyState === 1);
+        if (!isOnline && !user.offlineAt) {
+          user.offlineAt = now;
+          isChanged = true;
+        } else if (isOnline && user.offlineAt) {
+          user.offlineAt = null;
+          isChanged = true;
+        }
+      });
+
+      if (isChanged) this.setSession(sessionId, session);
+    });
+  }
+
+  /**
+   * Clean up users who have been offline for longer than configured timeout.
+   */
+  private cleanupOfflineUsers(): void {
+    this.trackOfflineUsers();
+
+    const now = Date.now();
+
+    this.sessions.forEach((session: SessionInternal, sessionId: string) => {
+      const remove: string[] = [];
+
+      Object.entries(session.users).forEach(([clientId, user]) => {
+        if (user.offlineAt && now - user.offlineAt > CLEANUP_INTERVAL) {
+          remove.push(clientId);
+        }
+      });
+
+      if (remove.length > 0) usersCleaned.inc({}, remove.length);
+
+      remove.forEach((clientId: string) => {
+        const user = session.users[clientId];
+        delete session.users[clientId];
+
+        this.logger.info(
+          { clientId, sessionId },
+          `Removed offline user ${clientId} from session ${sessionId} after timeout`
+        );
+
+        this.broadcastToSession(
+          session,
+          formatUserDisconnectedMsg({
+            sessionId,
+            user,
+          }),
+          null,
+          clientId
+        );
+      });
+
+      const isEmpty = Object.keys(session.users).length === 0 && !session.emptyAt;
+
+      if (isEmpty) {
+        session.emptyAt = Date.now();
+        this.logger.info({ sessionId }, `Session ${sessionId} marked for cleanup`);
+      }
+
+      if (remove.length > 0 || isEmpty) this.setSession(sessionId, session);
+    });
+  }
+
+  /**
+   * Enter drain mode, joins that would create a new session on this server node are refused.
+   */
+  drain(): void {
+    this.isDraining = true;
+  }
+
+  /**
+   * Count sessions, online users and open sockets held by this server node.
+   *
+   * @returns session statistics.
+   */
+  getStats(): SessionStats {
+    const stats: SessionStats = { sessions: 0, activeSessions: 0, onlineUsers: 0, sockets: 0 };
+
+    this.sessions.forEach((session) => {
+      let online = 0;
+
+      Object.values(session.users).forEach((user) => {
+        const sockets = Array.from(user.sockets.values()).filter((ws) => ws.readyState === 1).length;
+        stats.sockets += sockets;
+        if (sockets > 0) online++;
+      });
+
+      stats.sessions++;
+      stats.onlineUsers += online;
+      if (online > 0) stats.activeSessions++;
+    });
+
+    return stats;
+  }
+
+  /**
+   * Mark client as offline in session and schedule removal after timeout if not reconnected.
+   *
+   * @param ws WebSocket connection for client to remove.
+   */
+  removeClient(ws: ServerWebSocket): void {
+    if (!ws.socketId || !ws.sessionId || !ws.clientId) return;
+
+    const session = this.getSession(ws.sessionId);
+    if (!session) return;
+
+    const user = session.users[ws.clientId];
+    if (!user) return;
+
+    user.sockets.delete(ws.socketId);
+
+    if (user.sockets.size > 0) return;
+
+    user.offlineAt = Date.now();
+
+    this.broadcastToSession(
+      session,
+      formatUserUpdatedMsg({
+        sessionId: session.sessionId,
+        user,
+      }),
+      ws.socketId,
+      ws.clientId
+    );
+
+    this.logger.info(
+      { clientId: ws.clientId, sessionId: ws.sessionId },
+      `Client ${ws.clientId} disconnected from session ${ws.sessionId}`
+    );
+
+    this.recordHistory(session, 'user.left', formatHistoryActor(user));
+    this.emitUserEvent(session, 'user.left', user);
+
+    const hasOnline = Object.values(session.users).some((u) =>
+      Array.from(u.sockets.values()).some((ws) => ws.readyState === 1)
+    );
+
+    if (!hasOnline && !session.emptyAt) {
+      session.emptyAt = Date.now();
+      this.logger.info({ sessionId: ws.sessionId }, `Session ${ws.sessionId} marked for cleanup`);
+    }
+
+    this.setSession(session.sessionId, session);
+  }
+
+  /**
+   * Broadcast current timer state to all clients in session, excluding specified client if provided.
+   *
+   * @param session session object whose timer state will be broadcast.
+   * @param exclude optional client ID to exclude from broadcast.
+   * @param entry optional history entry of timer change, attributing update to its actor.
+   */
+  private broadcastTimerUpdate(
+    session: SessionInternal,
+    exclude: string | null | undefined = null,
+    entry: HistoryEntry | null = null
+  ): void {
+    session.timer = session.timerCore.sync();
+    if (this.armRecurrence(session)) this.setSession(session.sessionId, session);
+
+    this.timerOrigins.delete(session.sessionId);
+    this.broadcastToSession(session, formatTimerUpdatedMsg(session, entry), exclude);
+    this.trackTimer(session);
+  }
+
+  /**
+   * Save session task list and broadcast it to all clients in session, including sender.
+   *
+   * @param ws WebSocket connection of client who changed task list.
+   * @param session session object whose task list changed.
+   */
+  private broadcastTasks(ws: ServerWebSocket, session: SessionInternal): void {
+    this.setSession(session.sessionId, session);
+    this.broadcastToSession(session, formatTasksUpdatedMsg(session, this.getActor(ws, session)));
+  }
+
+  /**
+   * Broadcast message to all clients in session on every server node, excluding specified client if provided.
+   *
+   * @param session session object whose clients will receive message.
+   * @param message message to broadcast.
+   * @param exclude optional socket ID to exclude from broadcast.
+   * @param ignore optional client ID to ignore in broadcast.
+   */
+  private broadcastToSession(
+    session: SessionInternal,
+    message: OutgoingMessage,
+    exclude: string | null | undefined = null,
+    ignore: string | null | undefined = null
+  ): void {
+    this.deliverToSession(session, message, exclude, ignore);
+
+    const hasState = [
+      'timer_updated',
+      'session_updated',
+      'session_protected',
+      'recurrence_updated',
+      'tasks_updated',
+      'user_removed',
+    ].includes(message.type);
+
+    this.adapter.publish({
+      origin: this.nodeId,
+      sessionId: session.sessionId,
+      message,
+      exclude,
+      ignore,
+      ...(hasState ? { state: formatBroadcastState(session) } : {}),
+    });
+  }
+
+  /**
+   * Publish session state to other server nodes without a message for clients.
+   *
+   * @param session session object whose state changed.
+   */
+  private publishState(session: SessionInternal): void {
+    this.adapter.publish({
+      origin: this.nodeId,
+      sessionId: session.sessionId,
+      state: formatBroadcastState(session),
+    });
+  }
+
+  /**
+   * Deliver message to clients in session connected to this server node.
+   *
+   * @param session session object whose clients will receive message.
+   * @param message message to deliver.
+   * @param exclude optional socket ID to exclude from delivery.
+   * @param ignore optional client ID to ignore in delivery.
+   */
+  private deliverToSession(
+    session: SessionInternal,
+    message: OutgoingMessage,
     exclude: string | null | undefined = null,
     ignore: string | null | undefined = null
   ): void {
+    this.emit('session_message', session, message);
+
     Object.entries(session.users).forEach(([clientId, user]) => {
       if (ignore && ignore === clientId) return;
       user.sockets.forEach((ws) => {
@@ -556,6 +2292,7 @@ class SessionManager {
 
     try {
       ws.send(JSON.stringify(message));
+      messagesSent.inc({ type: message.type });
     } catch (error) {
       this.logger.error({ error }, `Error sending WebSocket message: ${error}`);
     }
@@ -573,15 +2310,27 @@ class SessionManager {
   }
 
   /**
-   * Dispose session manager by clearing all sessions, handlers, and cleanup intervals.
+   * Dispose session manager by closing session store, clearing handlers, listeners, cleanup and transition timers.
    */
   dispose(): void {
     if (this.cleanup) {
       clearInterval(this.cleanup);
       this.cleanup = null;
     }
+    this.transitions.forEach((transition) => clearTimeout(transition));
+    this.transitions.clear();
+    this.timerOrigins.clear();
+    this.voteTimeouts.forEach((timeout) => clearTimeout(timeout));
+    this.voteTimeouts.clear();
+    this.voteCounts.forEach((timeout) => clearTimeout(timeout));
+    this.voteCounts.clear();
+    this.voteOrigins.clear();
+    this.voteOnline.clear();
+    this.votes.clear();
+    this.removeAllListeners();
     this.handlers.clear();
-    this.sessions.clear();
+    this.adapter.close();
+    this.sessions.close();
   }
 }
 
@@ -0,0 +1,218 @@
+/**
+ * Server-Sent Events streams for read-only session consumers.
+ */
+
+import type { Logger } from 'pino';
+import type { Request, Response } from 'express';
+import type { OutgoingMessage, SessionInternal } from '../types/messages';
+import type { EventBuffer, ServerSentEvent } from '../types/sse';
+import type SessionManager from './sessions.js';
+import { createLogger } from './logger.js';
+import { formatSessionUpdatedMsg, formatTimerUpdatedMsg, formatUsersConnectedMsg } from './messages.js';
+
+const SSE_HEARTBEAT = Number(process.env.SSE_HEARTBEAT) || 15000;
+const SSE_BUFFER_SIZE = Number(process.env.SSE_BUFFER_SIZE) || 100;
+const SSE_BUFFER_TTL = Number(process.env.SSE_BUFFER_TTL) || 5 * 60 * 1000;
+const SSE_RETRY = 3000;
+
+// Message types streamed to subscribers
+const STREAM_TYPES = [
+  'timer_updated',
+  'interval_changed',
+  'session_updated',
+  'user_connected',
+  'user_disconnected',
+  'user_updated',
+  'announcement',
+];
+
+/**
+ * Event stream manager, streams session messages to SSE subscribers without adding them to session users.
+ * Recent events are buffered per session so subscribers can resume with `Last-Event-ID`.
+ */
+export class EventStreamManager {
+  private logger: Logger;
+  private subscribers: Map<string, Set<Response>>;
+  private buffers: Map<string, EventBuffer>;
+  private heartbeat: NodeJS.Timeout | null;
+
+  /**
+   * Initialize subscriber and buffer maps, subscribe to session messages, and start heartbeat timer.
+   *
+   * @param sessions session manager emitting session messages.
+   */
+  constructor(sessions: SessionManager) {
+    this.logger = createLogger('event-stream');
+    this.subscribers = new Map();
+    this.buffers = new Map();
+    this.heartbeat = setInterval(() => this.sendHeartbeat(), SSE_HEARTBEAT);
+
+    sessions.on('session_message', this.publish.bind(this));
+    sessions.on('session_deleted', this.end.bind(this));
+  }
+
+  /**
+   * Open event stream for session, replaying buffered events after `Last-Event-ID` or sending current state.
+   *
+   * @param session session to stream.
+   * @param req Express request.
+   * @param res Express response kept open for stream.
+   */
+  subscribe(session: SessionInternal, req: Request, res: Response): void {
+    const sessionId = session.sessionId;
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${SSE_RETRY}\n\n`);
+
+    const buffer = this.getBuffer(sessionId);
+    const lastEventId = Number(req.get('Last-Event-ID') ?? req.query.lastEventId);
+    const index = buffer.events.findIndex((event) => event.id === lastEventId);
+
+    if (index >= 0) {
+      buffer.events.slice(index + 1).forEach((event) => this.write(res, event));
+    } else {
+      // New subscribers and those resuming from evicted events start from current state, sent without ID
+      this.write(res, { id: 0, message: formatSessionUpdatedMsg(session) });
+      this.write(res, { id: 0, message: formatTimerUpdatedMsg(session) });
+      this.write(res, { id: 0, message: formatUsersConnectedMsg(session) });
+    }
+
+    let subscribers = this.subscribers.get(sessionId);
+    if (!subscribers) {
+      subscribers = new Set();
+      this.subscribers.set(sessionId, subscribers);
+    }
+    subscribers.add(res);
+
+    req.on('close', () => this.unsubscribe(sessionId, res));
+
+    this.logger.debug(
+      { sessionId, lastEventId: index >= 0 ? lastEventId : null },
+      `Event stream opened for session ${sessionId}`
+    );
+  }
+
+  /**
+   * Remove subscriber from session, expiring session buffer once it has no subscribers left.
+   *
+   * @param sessionId unique session ID.
+   * @param res response of closed stream.
+   */
+  private unsubscribe(sessionId: string, res: Response): void {
+    const subscribers = this.subscribers.get(sessionId);
+    if (!subscribers) return;
+
+    subscribers.delete(res);
+
+    if (subscribers.size > 0) return;
+
+    this.subscribers.delete(sessionId);
+
+    const buffer = this.buffers.get(sessionId);
+    if (buffer) {
+      buffer.expires = setTimeout(() => this.buffers.delete(sessionId), SSE_BUFFER_TTL);
+    }
+
+    this.logger.debug({ sessionId }, `Last event stream closed for session ${sessionId}`);
+  }
+
+  /**
+   * Buffer session message and send it to session subscribers.
+   *
+   * @param session session message was delivered in.
+   * @param message message delivered to session clients.
+   */
+  private publish(session: SessionInternal, message: OutgoingMessage): void {
+    if (!STREAM_TYPES.includes(message.type)) return;
+
+    const buffer = this.buffers.get(session.sessionId);
+    if (!buffer) return;
+
+    const event = { id: buffer.nextId++, message };
+
+    buffer.events.push(event);
+    if (buffer.events.length > SSE_BUFFER_SIZE) buffer.events.shift();
+
+    this.subscribers.get(session.sessionId)?.forEach((res) => this.write(res, event));
+  }
+
+  /**
+   * Close all streams of deleted session and discard its event buffer.
+   *
+   * @param session deleted session.
+   */
+  private end(session: SessionInternal): void {
+    const sessionId = session.sessionId;
+
+    this.subscribers.get(sessionId)?.forEach((res) => res.end());
+    this.subscribers.delete(sessionId);
+
+    const buffer = this.buffers.get(sessionId);
+    if (buffer?.expires) clearTimeout(buffer.expires);
+    this.buffers.delete(sessionId);
+  }
+
+  /**
+   * Get event buffer for session, creating it or cancelling its expiry as needed.
+   *
+   * @param sessionId unique session ID.
+   * @returns event buffer for session.
+   */
+  private getBuffer(sessionId: string): EventBuffer {
+    let buffer = this.buffers.get(sessionId);
+
+    if (!buffer) {
+      // Start IDs from current time so IDs from an expired buffer are not mistaken for new events
+      buffer = { nextId: Date.now(), events: [], expires: null };
+      this.buffers.set(sessionId, buffer);
+    }
+
+    if (buffer.expires) {
+      clearTimeout(buffer.expires);
+      buffer.expires = null;
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Write event to stream, omitting ID for events that are not buffered.
+   *
+   * @param res response of open stream.
+   * @param event event to write.
+   */
+  private write(res: Response, event: ServerSentEvent): void {
+    const id = event.id ? `id: ${event.id}\n` : '';
+    res.write(`${id}event: ${event.message.type}\ndata: ${JSON.stringify(event.message)}\n\n`);
+  }
+
+  /**
+   * Send heartbeat comment to all subscribers to keep idle connections open.
+   */
+  private sendHeartbeat(): void {
+    this.subscribers.forEach((subscribers) => {
+      subscribers.forEach((res) => res.write(': heartbeat\n\n'));
+    });
+  }
+
+  /**
+   * Close all open streams and clear heartbeat and buffer expiry timers.
+   */
+  close(): void {
+    if (this.heartbeat) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+
+    this.subscribers.forEach((subscribers) => subscribers.forEach((res) => res.end()));
+    this.subscribers.clear();
+
+    this.buffers.forEach((buffer) => buffer.expires && clearTimeout(buffer.expires));
+    this.buffers.clear();
+  }
+}
@@ -0,0 +1,333 @@
+/**
+ * Session storage backends for the collaborative timer server.
+ */
+
+import type { Logger } from 'pino';
+import type { SessionInternal } from '../types/messages';
+import type { UserStatsList } from '../types/stats';
+import type { SessionRecord, SessionStore } from '../types/store';
+import { formatInternalSession, formatUserStatsList } from './messages.js';
+import { createLogger } from './logger.js';
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { mkdir, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+const STORE_SAVE_INTERVAL = Number(process.env.STORE_SAVE_INTERVAL) || 5000;
+const STORE_PATH = process.env.STORE_PATH || 'data/sessions.json';
+const STATS_PATH = process.env.STATS_PATH || 'data/stats.json';
+
+/**
+ * In-memory session store, sessions are lost when the process exits.
+ * Focus statistics are kept by session ID apart from sessions, so they outlive session cleanup.
+ */
+export class MemoryStore implements SessionStore {
+  protected sessions: Map<string, SessionInternal>;
+  protected stats: Map<string, UserStatsList>;
+
+  /**
+   * Initialize empty session and statistics maps.
+   */
+  constructor() {
+    this.sessions = new Map();
+    this.stats = new Map();
+  }
+
+  /**
+   * Retrieve session for given session ID.
+   *
+   * @param sessionId unique session ID.
+   * @returns session object if found, otherwise undefined.
+   */
+  get(sessionId: string): SessionInternal | undefined {
+    return this.sessions.get(sessionId);
+  }
+
+  /**
+   * Store session for given session ID.
+   *
+   * @param sessionId unique session ID.
+   * @param session session object to store.
+   */
+  set(sessionId: string, session: SessionInternal): void {
+    this.sessions.set(sessionId, session);
+  }
+
+  /**
+   * Check if session exists for given session ID.
+   *
+   * @param sessionId unique session ID.
+   * @returns true if session exists.
+   */
+  has(sessionId: string): boolean {
+    return this.sessions.has(sessionId);
+  }
+
+  /**
+   * Delete session for given session ID.
+   *
+   * @param sessionId unique session ID.
+   * @returns true if session existed and was deleted.
+   */
+  delete(sessionId: string): boolean {
+    return this.sessions.delete(sessionId);
+  }
+
+  /**
+   * Iterate over all stored sessions.
+   *
+   * @param callback function called with each session and session ID.
+   */
+  forEach(callback: (session: SessionInternal, sessionId: string) => void): void {
+    this.sessions.forEach(callback);
+  }
+
+  /**
+   * Retrieve focus statistics of session users for given session ID.
+   *
+   * @param sessionId unique session ID.
+   * @returns user statistics keyed by hashed client ID, empty if none are stored.
+   */
+  getStats(sessionId: string): UserStatsList {
+    return this.stats.get(sessionId) || {};
+  }
+
+  /**
+   * Store focus statistics of session users for given session ID, empty statistics are deleted.
+   *
+   * @param sessionId unique session ID.
+   * @param stats user statistics keyed by hashed client ID.
+   */
+  setStats(sessionId: string, stats: UserStatsList): void {
+    if (Object.keys(stats).length > 0) this.stats.set(sessionId, stats);
+    else this.stats.delete(sessionId);
+  }
+
+  /**
+   * Iterate over stored focus statistics of all sessions.
+   *
+   * @param callback function called with user statistics and session ID.
+   */
+  forEachStats(callback: (stats: UserStatsList, sessionId: string) => void): void {
+    this.stats.forEach(callback);
+  }
+
+  /**
+   * Release all sessions and statistics held in memory.
+   */
+  close(): void {
+    this.sessions.clear();
+    this.stats.clear();
+  }
+}
+
+/**
+ * File backed session store, sessions and statistics are written to JSON files and restored on startup.
+ */
+export class FileStore extends MemoryStore {
+  private logger: Logger;
+  private path: string;
+  private statsPath: string;
+  private isDirty: boolean;
+  private isSaving: boolean;
+  private timer: NodeJS.Timeout | null;
+
+  /**
+   * Initialize file store, restore saved sessions and statistics, and start periodic save timer.
+   *
+   * @param path path to JSON file used to persist sessions.
+   * @param statsPath path to JSON file used to persist focus statistics.
+   */
+  constructor(path: string, statsPath: string) {
+    super();
+    this.logger = createLogger('session-store');
+    this.path = path;
+    this.statsPath = statsPath;
+    this.isDirty = false;
+    this.isSaving = false;
+    this.timer = null;
+
+    this.load();
+    this.loadStats();
+    this.timer = setInterval(() => this.save(), STORE_SAVE_INTERVAL);
+  }
+
+  /**
+   * Store session and mark store for saving.
+   *
+   * @param sessionId unique session ID.
+   * @param session session object to store.
+   */
+  set(sessionId: string, session: SessionInternal): void {
+    super.set(sessionId, session);
+    this.isDirty = true;
+  }
+
+  /**
+   * Delete session and mark store for saving.
+   *
+   * @param sessionId unique session ID.
+   * @returns true if session existed and was deleted.
+   */
+  delete(sessionId: string): boolean {
+    const deleted = super.delete(sessionId);
+    if (deleted) this.isDirty = true;
+    return deleted;
+  }
+
+  /**
+   * Store focus statistics and mark store for saving.
+   *
+   * @param sessionId unique session ID.
+   * @param stats user statistics keyed by hashed client ID.
+   */
+  setStats(sessionId: string, stats: UserStatsList): void {
+    super.setStats(sessionId, stats);
+    this.isDirty = true;
+  }
+
+  /**
+   * Write pending changes to disk, stop save timer, and release sessions held in memory.
+   */
+  close(): void {
+    if (!this.timer) return;
+
+    clearInterval(this.timer);
+    this.timer = null;
+
+    try {
+      mkdirSync(dirname(this.path), { recursive: true });
+      writeFileSync(`${this.path}.tmp`, this.serialize(), 'utf8');
+      renameSync(`${this.path}.tmp`, this.path);
+      this.logger.info({ path: this.path }, `Saved sessions to ${this.path}`);
+
+      mkdirSync(dirname(this.statsPath), { recursive: true });
+      writeFileSync(`${this.statsPath}.tmp`, this.serializeStats(), 'utf8');
+      renameSync(`${this.statsPath}.tmp`, this.statsPath);
+    } catch (error) {
+      this.logger.error({ error }, `Error saving sessions: ${error}`);
+    }
+
+    super.close();
+  }
+
+  /**
+   * Restore sessions from JSON file if it exists.
+   */
+  private load(): void {
+    let records: Record<string, SessionRecord>;
+
+    try {
+      records = JSON.parse(readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        this.logger.error({ error }, `Error loading sessions: ${error}`);
+      }
+      return;
+    }
+
+    Object.values(records || {}).forEach((record) => {
+      const session = this.restore(record);
+      if (session.sessionId) super.set(session.sessionId, session);
+    });
+
+    this.logger.info({ path: this.path, count: this.sessions.size }, `Restored ${this.sessions.size} sessions`);
+  }
+
+  /**
+   * Restore focus statistics from JSON file if it exists.
+   */
+  private loadStats(): void {
+    let records: Record<string, UserStatsList>;
+
+    try {
+      records = JSON.parse(readFileSync(this.statsPath, 'utf8'));
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') {
+        this.logger.error({ error }, `Error loading statistics: ${error}`);
+      }
+      return;
+    }
+
+    Object.entries(records || {}).forEach(([sessionId, stats]) => super.setStats(sessionId, formatUserStatsList(stats)));
+  }
+
+  /**
+   * Write sessions and statistics to JSON files if there are pending changes.
+   */
+  private async save(): Promise<void> {
+    if (!this.isDirty || this.isSaving) return;
+
+    this.isDirty = false;
+    this.isSaving = true;
+
+    try {
+      await mkdir(dirname(this.path), { recursive: true });
+      await writeFile(`${this.path}.tmp`, this.serialize(), 'utf8');
+      await rename(`${this.path}.tmp`, this.path);
+
+      await mkdir(dirname(this.statsPath), { recursive: true });
+      await writeFile(`${this.statsPath}.tmp`, this.serializeStats(), 'utf8');
+      await rename(`${this.statsPath}.tmp`, this.statsPath);
+    } catch (error) {
+      this.isDirty = true;
+      this.logger.error({ error }, `Error saving sessions: ${error}`);
+    } finally {
+      this.isSaving = false;
+    }
+  }
+
+  /**
+   * Serialize sessions to JSON, omitting timer instances and WebSocket connections.
+   *
+   * @returns JSON string of session records keyed by session ID.
+   */
+  private serialize(): string {
+    const records: Record<string, SessionInternal> = {};
+
+    this.sessions.forEach((session, sessionId) => {
+      records[sessionId] = { ...session, timer: session.timerCore.getState() };
+    });
+
+    return JSON.stringify(records, (key, value) => (key === 'timerCore' || key === 'sockets' ? undefined : value));
+  }
+
+  /**
+   * Serialize focus statistics to JSON.
+   *
+   * @returns JSON string of user statistics keyed by session ID.
+   */
+  private serializeStats(): string {
+    return JSON.stringify(Object.fromEntries(this.stats));
+  }
+
+  /**
+   * Rebuild internal session from stored record, resuming timer from its saved timing state.
+   *
+   * @param record stored session record.
+   * @returns restored session object with all users marked offline.
+   */
+  private restore(record: SessionRecord): SessionInternal {
+    const now = Date.now();
+    const session = formatInternalSession(record);
+
+    session.timerCore.setState(record.timer);
+    session.timer = session.timerCore.sync();
+
+    Object.values(session.users).forEach((user) => {
+      user.offlineAt = user.offlineAt || now;
+    });
+
+    session.emptyAt = session.emptyAt || now;
+
+    return session;
+  }
+}
+
+/**
+ * Create session store configured by STORE environment variable.
+ *
+ * @returns file store if STORE is "file", otherwise memory store.
+ */
+export function createStore(): SessionStore {
+  return process.env.STORE === 'file' ? new FileStore(STORE_PATH, STATS_PATH) : new MemoryStore();
+}
@@ -0,0 +1,227 @@
+/**
+ * Outgoing webhook delivery for session events.
+ */
+
+import type { Logger } from 'pino';
+import type { SessionInternal } from '../types/messages';
+import type { Webhook, WebhookEvent, WebhookEventData, WebhookPayload } from '../types/webhooks';
+import type SessionManager from './sessions.js';
+import { createLogger } from './logger.js';
+import { generateUUID } from './messages.js';
+import crypto from 'crypto';
+import { lookup } from 'dns/promises';
+import { BlockList, isIP } from 'net';
+
+const WEBHOOK_TIMEOUT = Number(process.env.WEBHOOK_TIMEOUT) || 5000;
+const WEBHOOK_RETRIES = Number(process.env.WEBHOOK_RETRIES) || 5;
+const WEBHOOK_BACKOFF = Number(process.env.WEBHOOK_BACKOFF) || 1000;
+const WEBHOOK_ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+const MAX_WEBHOOK_BACKOFF = 60000;
+
+// Loopback, private, link-local, shared, reserved and multicast ranges webhooks may not be delivered to,
+// IPv4-mapped IPv6 addresses are checked against IPv4 ranges
+const PRIVATE_RANGES: [string, number, 'ipv4' | 'ipv6'][] = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 127, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6'],
+];
+
+const PRIVATE_ADDRESSES = new BlockList();
+PRIVATE_RANGES.forEach(([address, prefix, type]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, type));
+
+/**
+ * Generate random secret used to sign webhook payloads.
+ *
+ * @returns secret as hexadecimal string.
+ */
+export function createWebhookSecret(): string {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Sign webhook payload body with HMAC SHA256.
+ *
+ * @param secret webhook signing secret.
+ * @param body JSON payload body.
+ * @returns signature in `sha256=<hex>` format.
+ */
+export function signPayload(secret: string, body: string): string {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Check if IP address is in a loopback, private, link-local or other non-public range.
+ *
+ * @param address IPv4 or IPv6 address.
+ * @returns true if address is not publicly routable, or is not an IP address.
+ */
+export function isPrivateAddress(address: string): boolean {
+  const family = isIP(address);
+  if (family === 0) return true;
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * Check if webhook URL host is public, resolving host names to every address they point to.
+ * Private hosts are allowed when WEBHOOK_ALLOW_PRIVATE is "true".
+ *
+ * @param url absolute HTTP or HTTPS webhook URL.
+ * @returns true if host and all of its resolved addresses are public.
+ */
+export async function isPublicWebhookUrl(url: string): Promise<boolean> {
+  if (WEBHOOK_ALLOW_PRIVATE) return true;
+
+  let hostname: string;
+
+  try {
+    hostname = new URL(url).hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  } catch {
+    return false;
+  }
+
+  if (isIP(hostname)) return !isPrivateAddress(hostname);
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) return false;
+
+  try {
+    const addresses = await lookup(hostname, { all: true, verbatim: true });
+    return addresses.length > 0 && addresses.every(({ address }) => !isPrivateAddress(address));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Webhook dispatcher, delivers session events to webhooks registered on each session.
+ * Failed deliveries are retried with exponential backoff.
+ */
+export class WebhookDispatcher {
+  private logger: Logger;
+  private retries: Set<NodeJS.Timeout>;
+
+  /**
+   * Initialize dispatcher and subscribe to session events.
+   *
+   * @param sessions session manager emitting session events.
+   */
+  constructor(sessions: SessionManager) {
+    this.logger = createLogger('webhooks');
+    this.retries = new Set();
+
+    sessions.on('session_event', this.dispatch.bind(this));
+  }
+
+  /**
+   * Send event to all session webhooks subscribed to it.
+   *
+   * @param session session where event happened.
+   * @param event webhook event name.
+   * @param data event data included in payload.
+   */
+  dispatch(session: SessionInternal, event: WebhookEvent, data: WebhookEventData): void {
+    const payload: WebhookPayload = {
+      id: generateUUID(),
+      event,
+      sessionId: session.sessionId,
+      timestamp: Date.now(),
+      data,
+    };
+    const body = JSON.stringify(payload);
+
+    session.webhooks
+      .filter((webhook) => webhook.url && webhook.events.includes(event))
+      .forEach((webhook) => this.deliver(webhook, payload, body, 0));
+  }
+
+  /**
+   * POST payload to webhook URL, scheduling retry on network errors, 429 and 5xx responses.
+   *
+   * @param webhook webhook to deliver to.
+   * @param payload payload being delivered.
+   * @param body JSON payload body.
+   * @param attempt number of previous failed attempts.
+   */
+  private async deliver(webhook: Webhook, payload: WebhookPayload, body: string, attempt: number): Promise<void> {
+    let reason: string;
+
+    // Host is checked again on each attempt as its DNS records may have changed since it was registered
+    if (!(await isPublicWebhookUrl(webhook.url))) {
+      this.logger.warn(
+        { webhookId: webhook.webhookId, sessionId: payload.sessionId },
+        `Webhook ${webhook.webhookId} skipped ${payload.event} event, host is not public`
+      );
+      return;
+    }
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'AroWa-Webhook',
+          'X-Arowa-Event': payload.event,
+          'X-Arowa-Delivery': payload.id,
+          'X-Arowa-Signature': signPayload(webhook.secret, body),
+        },
+        body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT),
+      });
+
+      if (response.ok) return;
+
+      reason = `HTTP ${response.status}`;
+
+      if (response.status < 500 && response.status !== 429) {
+        this.logger.warn(
+          { webhookId: webhook.webhookId, sessionId: payload.sessionId, status: response.status },
+          `Webhook ${webhook.webhookId} rejected ${payload.event} event with ${reason}`
+        );
+        return;
+      }
+    } catch (error) {
+      reason = (error as Error)?.message || 'Unknown error';
+    }
+
+    if (attempt >= WEBHOOK_RETRIES) {
+      this.logger.warn(
+        { webhookId: webhook.webhookId, sessionId: payload.sessionId, attempts: attempt + 1 },
+        `Webhook ${webhook.webhookId} delivery of ${payload.event} event failed: ${reason}`
+      );
+      return;
+    }
+
+    const delay = Math.min(WEBHOOK_BACKOFF * 2 ** attempt, MAX_WEBHOOK_BACKOFF);
+
+    this.logger.debug(
+      { webhookId: webhook.webhookId, sessionId: payload.sessionId, delay },
+      `Retrying webhook ${webhook.webhookId} in ${delay}ms: ${reason}`
+    );
+
+    const retry = setTimeout(() => {
+      this.retries.delete(retry);
+      this.deliver(webhook, payload, body, attempt + 1);
+    }, delay);
+
+    this.retries.add(retry);
+  }
+
+  /**
+   * Cancel pending retries.
+   */
+  close(): void {
+    this.retries.forEach((retry) => clearTimeout(retry));
+    this.retries.clear();
+  }
+}
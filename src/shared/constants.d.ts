@@ -6,3 +6,34 @@ export const MAX_URL_LENGTH: number;
 export const MAX_DURATION: number;
 export const MIN_DURATION: number;
 export const DEFAULT_DURATION: number;
+export const USER_ROLES: readonly ['owner', 'controller', 'viewer'];
+export const DEFAULT_ROLE: 'viewer';
+export const USER_STATUSES: readonly ['available', 'focusing', 'break', 'away'];
+export const DEFAULT_USER_STATUS: 'available';
+export const MAX_STATUS_LENGTH: number;
+export const AWAY_TIMEOUT: number;
+export const TIMER_COMMANDS: readonly ['start', 'pause', 'resume', 'stop', 'next', 'repeat', 'seek', 'schedule'];
+export const CLOSE_CODES: {
+  readonly DRAINING: 1013;
+  readonly KICKED: 4001;
+  readonly BANNED: 4003;
+  readonly SESSION_DELETED: 4004;
+};
+export const BREAK_NAME_REGEX: RegExp;
+export const RECURRENCE_TIME_REGEX: RegExp;
+export const MAX_RECURRENCE_TIMES: number;
+export const MAX_TASKS: number;
+export const MAX_TASK_LENGTH: number;
+export const MAX_TASK_ESTIMATE: number;
+export const MAX_CHAT_LENGTH: number;
+export const CHAT_REACTIONS: readonly string[];
+export const VOTE_ACTIONS: readonly ['next', 'pause'];
+export const WEBHOOK_EVENTS: readonly [
+  'timer.started',
+  'timer.paused',
+  'timer.resumed',
+  'timer.stopped',
+  'interval.changed',
+  'user.joined',
+  'user.left',
+];
@@ -16,6 +16,57 @@ const MAX_STRING_LENGTH = 1000;
 const MAX_NAME_LENGTH = 50;
 const MAX_URL_LENGTH = 500;
 
+// User roles in order of decreasing permissions
+const USER_ROLES = ['owner', 'controller', 'viewer'];
+const DEFAULT_ROLE = 'viewer';
+
+// User presence statuses, clients set away after AWAY_TIMEOUT without activity
+const USER_STATUSES = ['available', 'focusing', 'break', 'away'];
+const DEFAULT_USER_STATUS = 'available';
+const MAX_STATUS_LENGTH = 80;
+const AWAY_TIMEOUT = 300000; // 5 minutes
+
+// Timer commands applied by the server
+const TIMER_COMMANDS = ['start', 'pause', 'resume', 'stop', 'next', 'repeat', 'seek', 'schedule'];
+
+// WebSocket close codes sent by the server
+const CLOSE_CODES = {
+  DRAINING: 1013, // Server is not accepting new sessions, try again later
+  KICKED: 4001, // User was removed from session, do not reconnect
+  BANNED: 4003, // User was banned from session, do not reconnect
+  SESSION_DELETED: 4004, // Session was deleted, do not reconnect
+};
+
+// Interval names counted as breaks instead of focus time in statistics
+const BREAK_NAME_REGEX = /\b(break|rest|lunch)\b/i;
+
+// Recurring schedule start times as 24-hour "HH:MM", and maximum number of start times per day
+const RECURRENCE_TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_RECURRENCE_TIMES = 24;
+
+// Session task list constraints, estimates are in number of intervals
+const MAX_TASKS = 100;
+const MAX_TASK_LENGTH = 200;
+const MAX_TASK_ESTIMATE = 99;
+
+// Session chat message length and reactions users can send
+const MAX_CHAT_LENGTH = 500;
+const CHAT_REACTIONS = ['👍', '🎉', '🔥', '👏', '☕', '❤️'];
+
+// Timer commands session users can vote on
+const VOTE_ACTIONS = ['next', 'pause'];
+
+// Session events delivered to webhooks
+const WEBHOOK_EVENTS = [
+  'timer.started',
+  'timer.paused',
+  'timer.resumed',
+  'timer.stopped',
+  'interval.changed',
+  'user.joined',
+  'user.left',
+];
+
 // ES module exports
 export {
   SESSION_ID_REGEX,
@@ -26,4 +77,22 @@ export {
   MAX_DURATION,
   MIN_DURATION,
   DEFAULT_DURATION,
+  USER_ROLES,
+  DEFAULT_ROLE,
+  USER_STATUSES,
+  DEFAULT_USER_STATUS,
+  MAX_STATUS_LENGTH,
+  AWAY_TIMEOUT,
+  TIMER_COMMANDS,
+  CLOSE_CODES,
+  BREAK_NAME_REGEX,
+  RECURRENCE_TIME_REGEX,
+  MAX_RECURRENCE_TIMES,
+  MAX_TASKS,
+  MAX_TASK_LENGTH,
+  MAX_TASK_ESTIMATE,
+  MAX_CHAT_LENGTH,
+  CHAT_REACTIONS,
+  VOTE_ACTIONS,
+  WEBHOOK_EVENTS,
 };
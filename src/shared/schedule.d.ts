@@ -0,0 +1,8 @@
+import type { Recurrence, ZonedParts } from '../types/schedule';
+
+export function isValidTimezone(timezone: string): boolean;
+export function getZonedParts(time: number, timezone: string): ZonedParts;
+export function getZonedTime(parts: Omit<ZonedParts, 'weekday'>, timezone: string): number;
+export function getNextRuns(recurrence: Recurrence | null, from?: number, count?: number): number[];
+export function getNextRun(recurrence: Recurrence | null, from?: number): number;
+export function hasUpcomingRun(recurrence: Recurrence | null, scheduledStartAt?: number, from?: number): boolean;
@@ -0,0 +1,159 @@
+/**
+ * Recurring schedule calculations shared between server and client.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Date formatters by timezone, creating them is slow compared to formatting
+const formatters = new Map();
+
+/**
+ * Get cached date formatter for timezone.
+ * @param {string} timezone - IANA timezone name.
+ * @returns {Intl.DateTimeFormat} Formatter returning numeric date and 24-hour time parts.
+ */
+function getFormatter(timezone) {
+  let formatter = formatters.get(timezone);
+
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+    });
+    formatters.set(timezone, formatter);
+  }
+
+  return formatter;
+}
+
+/**
+ * Check if timezone is a valid IANA timezone name.
+ * @param {string} timezone - Timezone name to check.
+ * @returns {boolean} True if timezone is supported.
+ */
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get wall-clock date and time in timezone.
+ * @param {number} time - Time in milliseconds.
+ * @param {string} timezone - IANA timezone name.
+ * @returns {Object} Parts with `year`, `month` (1-12), `day`, `hour`, `minute` and `weekday` (0 is Sunday).
+ */
+function getZonedParts(time, timezone) {
+  const parts = {};
+
+  getFormatter(timezone)
+    .formatToParts(new Date(time))
+    .forEach(({ type, value }) => {
+      if (type !== 'literal') parts[type] = Number(value);
+    });
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay(),
+  };
+}
+
+/**
+ * Get offset of timezone from UTC at given time.
+ * @param {number} time - Time in milliseconds.
+ * @param {string} timezone - IANA timezone name.
+ * @returns {number} Offset in milliseconds, positive east of UTC.
+ */
+function getOffset(time, timezone) {
+  const parts = getZonedParts(time, timezone);
+  const minute = time - (((time % 60000) + 60000) % 60000);
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - minute;
+}
+
+/**
+ * Get time of wall-clock date and time in timezone.
+ * Times skipped by daylight saving changes move forward by the change, repeated times use the first occurrence.
+ * @param {Object} parts - Parts with `year`, `month` (1-12), `day`, `hour` and `minute`.
+ * @param {string} timezone - IANA timezone name.
+ * @returns {number} Time in milliseconds.
+ */
+function getZonedTime(parts, timezone) {
+  const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+
+  // Offsets a day either side are those before and after any daylight saving change on that day
+  const candidates = [local - DAY, local + DAY].map((time) => local - getOffset(time, timezone));
+  const valid = candidates.filter((time) => local - getOffset(time, timezone) === time);
+
+  return valid.length > 0 ? Math.min(...valid) : Math.max(...candidates);
+}
+
+/**
+ * Get upcoming runs of recurrence after given time.
+ * @param {Object|null} recurrence - Recurrence with `days` (0 is Sunday), `times` as "HH:MM" and IANA `timezone`.
+ * @param {number} [from=Date.now()] - Time in milliseconds, runs at this time are not included.
+ * @param {number} [count=1] - Maximum number of runs to return.
+ * @returns {number[]} Run times in milliseconds in ascending order.
+ */
+function getNextRuns(recurrence, from = Date.now(), count = 1) {
+  if (!recurrence?.days?.length || !recurrence?.times?.length || !isValidTimezone(recurrence.timezone)) return [];
+
+  const { timezone, days, times } = recurrence;
+  const today = getZonedParts(from, timezone);
+  const runs = [];
+
+  // Every weekday is reached within a week, so stop after enough weeks to fill count
+  for (let offset = 0; runs.length < count && offset <= 7 * (count + 1); offset++) {
+    const date = new Date(Date.UTC(today.year, today.month - 1, today.day + offset));
+    if (!days.includes(date.getUTCDay())) continue;
+
+    const day = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+
+    times
+      .map((time) => {
+        const [hour, minute] = time.split(':').map(Number);
+        return getZonedTime({ ...day, hour, minute }, timezone);
+      })
+      .sort((a, b) => a - b)
+      .forEach((run) => run > from && !runs.includes(run) && runs.push(run));
+  }
+
+  return runs.slice(0, count);
+}
+
+/**
+ * Get next run of recurrence after given time.
+ * @param {Object|null} recurrence - Recurrence with `days` (0 is Sunday), `times` as "HH:MM" and IANA `timezone`.
+ * @param {number} [from=Date.now()] - Time in milliseconds, a run at this time is not included.
+ * @returns {number} Run time in milliseconds, 0 if recurrence has no runs.
+ */
+function getNextRun(recurrence, from = Date.now()) {
+  return getNextRuns(recurrence, from, 1)[0] || 0;
+}
+
+/**
+ * Check whether a session has a start ahead, from a scheduled start or a recurrence run.
+ * @param {Object|null} recurrence - Recurrence with `days` (0 is Sunday), `times` as "HH:MM" and IANA `timezone`.
+ * @param {number} [scheduledStartAt=0] - Scheduled start time in milliseconds, 0 if not scheduled.
+ * @param {number} [from=Date.now()] - Time in milliseconds, a start at this time is not included.
+ * @returns {boolean} True if scheduled start is after given time or recurrence has runs.
+ */
+function hasUpcomingRun(recurrence, scheduledStartAt = 0, from = Date.now()) {
+  return scheduledStartAt > from || getNextRun(recurrence, from) > 0;
+}
+
+// ES module exports
+export { isValidTimezone, getZonedParts, getZonedTime, getNextRuns, getNextRun, hasUpcomingRun };
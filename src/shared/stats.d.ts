@@ -0,0 +1,6 @@
+import type { CompletedInterval, StatsSummary } from '../types/stats';
+
+export function isFocusInterval(name: string): boolean;
+export function getDayStart(time: number): number;
+export function getWeekStart(time: number): number;
+export function summarizeStats(completed: CompletedInterval[], now?: number): StatsSummary;
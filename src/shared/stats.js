@@ -0,0 +1,81 @@
+/**
+ * Focus statistics calculations shared between server and client.
+ */
+import { BREAK_NAME_REGEX } from './constants.js';
+
+/**
+ * Check if interval counts as focus time, intervals named like breaks do not.
+ * @param {string} name - Interval name.
+ * @returns {boolean} True if interval is a focus interval.
+ */
+function isFocusInterval(name) {
+  return !BREAK_NAME_REGEX.test(name || '');
+}
+
+/**
+ * Get start of local day containing given time.
+ * @param {number} time - Time in milliseconds.
+ * @returns {number} Local midnight of that day in milliseconds.
+ */
+function getDayStart(time) {
+  const date = new Date(time);
+  date.setHours(0, 0, 0, 0);
+  return date.getTime();
+}
+
+/**
+ * Get start of local day before given day, using calendar days so daylight saving changes are handled.
+ * @param {number} day - Local midnight in milliseconds.
+ * @returns {number} Local midnight of previous day in milliseconds.
+ */
+function getPreviousDay(day) {
+  const date = new Date(day);
+  date.setDate(date.getDate() - 1);
+  return getDayStart(date.getTime());
+}
+
+/**
+ * Get start of local week containing given time, weeks start on Monday.
+ * @param {number} time - Time in milliseconds.
+ * @returns {number} Local midnight of Monday of that week in milliseconds.
+ */
+function getWeekStart(time) {
+  const date = new Date(getDayStart(time));
+  date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+  return date.getTime();
+}
+
+/**
+ * Summarize completed intervals as focus time for today and this week, and the current daily streak.
+ * Streak counts consecutive days with focus time, ending today or yesterday if there is none yet today.
+ * @param {Array} completed - Completed intervals with `name`, `duration` in seconds and `completedAt` time.
+ * @param {number} [now=Date.now()] - Current time in milliseconds.
+ * @returns {Object} Summary with `today` and `week` focus time in seconds and `streak` in days.
+ */
+function summarizeStats(completed, now = Date.now()) {
+  const today = getDayStart(now);
+  const week = getWeekStart(now);
+  const days = new Set();
+  const summary = { today: 0, week: 0, streak: 0 };
+
+  (completed || []).forEach((item) => {
+    if (!isFocusInterval(item.name) || item.completedAt > now) return;
+
+    const day = getDayStart(item.completedAt);
+    days.add(day);
+
+    if (day === today) summary.today += item.duration;
+    if (day >= week) summary.week += item.duration;
+  });
+
+  let day = days.has(today) ? today : getPreviousDay(today);
+  while (days.has(day)) {
+    summary.streak++;
+    day = getPreviousDay(day);
+  }
+
+  return summary;
+}
+
+// ES module exports
+export { isFocusInterval, getDayStart, getWeekStart, summarizeStats };
@@ -1,20 +1,24 @@
-import type { Interval, TimerState, TimerStateInternal } from '../types/messages';
+import type { Interval, TimerEndTimes, TimerState, TimerStateInternal } from '../types/messages';
 
 declare class TimerCore {
   intervals: Interval[];
   state: TimerStateInternal;
+  clock: () => number;
 
-  constructor(intervals?: Interval[]);
+  constructor(intervals?: Interval[], clock?: () => number);
 
   start(): TimerStateInternal;
   pause(): TimerStateInternal;
   stop(): TimerStateInternal;
   repeat(repeat?: boolean | null): TimerStateInternal;
+  schedule(time: number): TimerStateInternal;
   next(): TimerStateInternal;
+  seek(interval: number, remaining?: number | null): TimerStateInternal;
   resume(): TimerStateInternal;
   sync(): TimerStateInternal;
   updateState(state: TimerState | TimerStateInternal): TimerStateInternal;
   updateIntervals(intervals: Interval[]): TimerStateInternal;
+  getEndTimes(): TimerEndTimes;
   getState(): TimerStateInternal;
   setState(state: TimerState | TimerStateInternal): void;
 }
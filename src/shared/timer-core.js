@@ -10,9 +10,11 @@ class TimerCore {
   /**
    * Create a new TimerCore instance.
    * @param {Array} [intervals=[]] - Array of interval objects with duration property in seconds.
+   * @param {Function} [clock] - Function returning current time in milliseconds, defaults to `Date.now`.
    */
-  constructor(intervals = []) {
+  constructor(intervals = [], clock = () => Date.now()) {
     this.intervals = intervals;
+    this.clock = clock;
     this.state = {
       // Shared timer state
       repeat: false,
@@ -20,6 +22,7 @@ class TimerCore {
       remaining: (intervals[0]?.duration ?? DEFAULT_DURATION) * 1000,
       isRunning: false,
       isPaused: false,
+      scheduledStartAt: 0,
 
       // Internal timing state
       startedInterval: 0,
@@ -41,7 +44,7 @@ class TimerCore {
       this.resume();
     } else if (!timer.isRunning) {
       timer.startedInterval = timer.interval;
-      timer.startedAt = Date.now();
+      timer.startedAt = this.clock();
       timer.timePaused = 0;
     }
 
@@ -49,26 +52,28 @@ class TimerCore {
     timer.isRunning = true;
     timer.isPaused = false;
     timer.pausedAt = 0;
+    timer.scheduledStartAt = 0;
 
     return { ...timer };
   }
 
   /**
-   * Pause the timer at current time.
+   * Pause the timer at current time, an already paused timer keeps its original pause time.
    * @returns {Object} Updated timer state object.
    */
   pause() {
     const timer = this.state;
+    if (timer.isPaused) return { ...timer };
 
     // Update timer state
     timer.isPaused = true;
-    timer.pausedAt = Date.now();
+    timer.pausedAt = this.clock();
 
     return { ...timer };
   }
 
   /**
-   * Stop the timer and reset to initial state at first interval.
+   * Stop the timer and reset to initial state at first interval, clearing any scheduled start.
    * @returns {Object} Updated timer state object.
    */
   stop() {
@@ -77,6 +82,7 @@ class TimerCore {
     // Reset timer state
     timer.isRunning = false;
     timer.isPaused = false;
+    timer.scheduledStartAt = 0;
     timer.interval = 0;
     timer.remaining = (this.intervals[0]?.duration ?? DEFAULT_DURATION) * 1000;
     timer.startedInterval = 0;
@@ -98,13 +104,30 @@ class TimerCore {
     return { ...timer };
   }
 
+  /**
+   * Schedule stopped timer to start at a wall-clock time, or clear the scheduled start.
+   * Timer starts on the first `sync()` at or after that time, counting from the scheduled time.
+   * Times in the past start timer on next sync, running or paused timers are left unchanged.
+   * @param {number} time - Start time in milliseconds, 0 to clear the scheduled start.
+   * @returns {Object} Updated timer state object.
+   */
+  schedule(time) {
+    const timer = this.state;
+
+    if (timer.isRunning) return { ...timer };
+
+    timer.scheduledStartAt = Number(time) > 0 ? Math.max(Number(time), this.clock()) : 0;
+
+    return { ...timer };
+  }
+
   /**
    * Move to next interval, wrapping to first if at end.
    * @returns {Object} Updated timer state object.
    */
   next() {
     const timer = this.state;
-    const now = Date.now();
+    const now = this.clock();
 
     if (++timer.interval >= this.intervals.length) {
       timer.interval = 0;
@@ -122,12 +145,38 @@ class TimerCore {
     return { ...timer };
   }
 
+  /**
+   * Move to specified interval and position, keeping running and paused state.
+   * @param {number} interval - Index of interval to move to, clamped to available intervals.
+   * @param {number} [remaining] - Remaining time in milliseconds, defaults to full interval duration.
+   * @returns {Object} Updated timer state object.
+   */
+  seek(interval, remaining = null) {
+    const timer = this.state;
+    const now = this.clock();
+
+    const index = Math.max(0, Math.min(Math.floor(interval) || 0, this.intervals.length - 1));
+    const duration = (this.intervals[index]?.duration ?? DEFAULT_DURATION) * 1000;
+
+    timer.interval = index;
+    timer.remaining = Math.max(0, Math.min(remaining ?? duration, duration));
+
+    if (timer.isRunning) {
+      timer.startedInterval = index;
+      timer.startedAt = now - (duration - timer.remaining);
+      timer.pausedAt = timer.isPaused ? now : 0;
+      timer.timePaused = 0;
+    }
+
+    return { ...timer };
+  }
+
   /**
    * Resume timer from paused state.
    * @returns {Object} Updated timer state object.
    */
   resume() {
-    const now = Date.now();
+    const now = this.clock();
     const timer = this.state;
 
     if (timer.isPaused) {
@@ -145,9 +194,22 @@ class TimerCore {
    * @returns {Object} Updated timer state object.
    */
   sync() {
-    const now = Date.now();
+    const now = this.clock();
     const timer = this.state;
 
+    // Start stopped timer once scheduled start time has passed, from current position in current interval
+    if (!timer.isRunning && timer.scheduledStartAt && now >= timer.scheduledStartAt) {
+      const duration = (this.intervals[timer.interval]?.duration ?? DEFAULT_DURATION) * 1000;
+
+      timer.isRunning = true;
+      timer.isPaused = false;
+      timer.startedInterval = timer.interval;
+      timer.startedAt = timer.scheduledStartAt - (duration - timer.remaining);
+      timer.pausedAt = 0;
+      timer.timePaused = 0;
+      timer.scheduledStartAt = 0;
+    }
+
     // Validate timer state
     if (!timer.isRunning || !timer.startedAt) return { ...timer };
 
@@ -207,7 +269,7 @@ class TimerCore {
   updateIntervals(intervals) {
     this.intervals = intervals;
 
-    const now = Date.now();
+    const now = this.clock();
     const timer = this.state;
 
     // Last interval deleted, reset to first interval
@@ -252,7 +314,7 @@ class TimerCore {
    */
   updateState(state) {
     const timer = this.state;
-    const now = Date.now();
+    const now = this.clock();
 
     // Update timer state from source
     timer.repeat = state.repeat;
@@ -260,6 +322,7 @@ class TimerCore {
     timer.remaining = state.remaining;
     timer.isRunning = state.isRunning;
     timer.isPaused = state.isPaused;
+    timer.scheduledStartAt = Number(state.scheduledStartAt) || 0;
 
     // Calculate elapsed time
     const duration = (this.intervals[timer.interval]?.duration ?? DEFAULT_DURATION) * 1000;
@@ -274,6 +337,26 @@ class TimerCore {
     return { ...timer };
   }
 
+  /**
+   * Get absolute timestamps for end of current interval and end of current cycle through all intervals.
+   * Remaining time is used as is, so call after `sync()` to get current end times.
+   * @returns {Object} Object with `intervalEndsAt` and `cycleEndsAt` in milliseconds, 0 if timer is not counting down.
+   */
+  getEndTimes() {
+    const timer = this.state;
+
+    if (!timer.isRunning || timer.isPaused) {
+      return { intervalEndsAt: 0, cycleEndsAt: 0 };
+    }
+
+    const intervalEndsAt = this.clock() + timer.remaining;
+    const cycleEndsAt = this.intervals
+      .slice(timer.interval + 1)
+      .reduce((endsAt, interval) => endsAt + (interval?.duration ?? DEFAULT_DURATION) * 1000, intervalEndsAt);
+
+    return { intervalEndsAt, cycleEndsAt };
+  }
+
   /**
    * Get copy of current timer state.
    * @returns {Object} Current timer state object.
@@ -0,0 +1,28 @@
+import type { IntervalList, TimerState, User } from './messages';
+import type { WebhookInfo } from './webhooks';
+
+export interface AdminSessionSummary {
+  sessionId: string;
+  name: string;
+  isProtected: boolean;
+  users: number;
+  onlineUsers: number;
+  sockets: number;
+  timer: TimerState;
+  createdAt: number;
+  lastActivity: number;
+}
+
+export interface AdminUser extends User {
+  sockets: number;
+  offlineAt: number;
+}
+
+export interface AdminSession extends Omit<AdminSessionSummary, 'users'> {
+  description: string;
+  intervals: IntervalList;
+  revision: number;
+  ownerId: string;
+  users: AdminUser[];
+  webhooks: WebhookInfo[];
+}
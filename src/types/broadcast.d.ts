@@ -0,0 +1,35 @@
+import type { OutgoingMessage, SessionUpdate, TimerStateInternal, UserRole } from './messages';
+import type { Recurrence } from './schedule';
+import type { UserStatsList } from './stats';
+import type { Task } from './tasks';
+import type { VoteRelay } from './votes';
+import type { Webhook } from './webhooks';
+
+export interface BroadcastState extends SessionUpdate {
+  timer: TimerStateInternal;
+  revision: number;
+  passwordHash: string;
+  recurrence: Recurrence | null;
+  tasks: Task[];
+  roles: { [key: string]: UserRole };
+  kickedUntil: { [key: string]: number };
+  bannedIds: string[];
+  webhooks: Webhook[];
+}
+
+export interface BroadcastEnvelope {
+  origin: string;
+  sessionId: string;
+  message?: OutgoingMessage;
+  state?: BroadcastState;
+  vote?: VoteRelay;
+  stats?: UserStatsList;
+  exclude?: string | null;
+  ignore?: string | null;
+}
+
+export interface BroadcastAdapter {
+  publish(envelope: BroadcastEnvelope): void;
+  subscribe(handler: (envelope: BroadcastEnvelope) => void): void;
+  close(): void;
+}
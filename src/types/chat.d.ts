@@ -0,0 +1,8 @@
+import type { HistoryActor } from './history';
+
+export interface ChatMessage {
+  messageId: string;
+  actor: HistoryActor;
+  text: string;
+  timestamp: number;
+}
@@ -0,0 +1,20 @@
+import type { TimerCommand } from './messages';
+
+export type HistoryAction =
+  | 'user.joined'
+  | 'user.left'
+  | `timer.${TimerCommand}`
+  | 'timer.updated'
+  | 'session.updated'
+  | 'recurrence.updated';
+
+export interface HistoryActor {
+  clientId: string;
+  name: string;
+}
+
+export interface HistoryEntry {
+  action: HistoryAction;
+  actor: HistoryActor | null;
+  timestamp: number;
+}
@@ -1,11 +1,27 @@
 import type { ServerWebSocket } from './server';
 import type TimerCore from '../shared/timer-core';
+import type { Webhook } from './webhooks';
+import type { HistoryAction, HistoryActor, HistoryEntry } from './history';
+import type { UserStats } from './stats';
+import type { Recurrence } from './schedule';
+import type { Task, TaskUpdate } from './tasks';
+import type { ChatMessage } from './chat';
+import type { Vote, VoteAction } from './votes';
+
+export type UserRole = 'owner' | 'controller' | 'viewer';
+
+export type UserStatus = 'available' | 'focusing' | 'break' | 'away';
+
+export type TimerCommand = 'start' | 'pause' | 'resume' | 'stop' | 'next' | 'repeat' | 'seek' | 'schedule';
 
 export interface User {
   clientId: string;
   name: string;
   avatarUrl: string;
   isOnline: boolean;
+  role: UserRole;
+  status: UserStatus;
+  statusText: string;
 }
 
 export interface UserInternal extends User {
@@ -27,12 +43,18 @@ export interface UserListInternal {
   [key: string]: UserInternal;
 }
 
-export interface TimerState {
+export interface TimerEndTimes {
+  intervalEndsAt: number;
+  cycleEndsAt: number;
+}
+
+export interface TimerState extends Partial<TimerEndTimes> {
   repeat: boolean;
   interval: number;
   remaining: number;
   isRunning: boolean;
   isPaused: boolean;
+  scheduledStartAt?: number;
 }
 
 export interface TimerStateInternal extends TimerState {
@@ -49,6 +71,11 @@ export interface Interval {
   customCSS: string;
 }
 
+export interface IntervalPosition {
+  index: number;
+  name: string;
+}
+
 export interface IntervalList {
   lastUpdated: number;
   items: Interval[];
@@ -65,13 +92,24 @@ export interface SessionNew {
 }
 
 export interface Session extends SessionNew, SessionUpdate {
+  revision: number;
   timer: TimerState;
   users: UserList;
+  tasks: Task[];
 }
 
 export interface SessionInternal extends Session {
   timerCore: TimerCore;
   users: UserListInternal;
+  ownerId: string;
+  passwordHash: string;
+  webhooks: Webhook[];
+  history: HistoryEntry[];
+  recurrence: Recurrence | null;
+  chat: ChatMessage[];
+  roles: { [key: string]: UserRole };
+  kickedUntil: { [key: string]: number };
+  bannedIds: string[];
   createdAt: number;
   lastActivity: number;
   emptyAt: number | null;
@@ -85,6 +123,17 @@ export interface SessionJoined extends SessionCreated {
   session: SessionInternal;
 }
 
+export type SessionRejectedReason = 'credentials_required' | 'invalid_credentials';
+
+export interface SessionRejected extends SessionNew {
+  reason: SessionRejectedReason;
+}
+
+export interface InviteCreated extends SessionNew {
+  invite: string;
+  expiresAt: number;
+}
+
 export interface WebSocketMessage {
   type: string;
 }
@@ -95,12 +144,16 @@ export interface SessionJoinMessage extends WebSocketMessage {
   session: SessionUpdate;
   timer: TimerState;
   user: User;
+  password?: string;
+  invite?: string;
+  tasks?: Task[];
 }
 
 export interface SessionUpdateMessage extends WebSocketMessage {
   type: 'session_update';
   session: SessionUpdate;
   timer?: TimerState;
+  revision?: number;
 }
 
 export interface TimerUpdateMessage extends WebSocketMessage {
@@ -108,6 +161,15 @@ export interface TimerUpdateMessage extends WebSocketMessage {
   timer: TimerState;
 }
 
+export interface TimerCommandMessage extends WebSocketMessage {
+  type: 'timer_command';
+  command: TimerCommand;
+  repeat?: boolean;
+  interval?: number;
+  remaining?: number;
+  scheduledStartAt?: number;
+}
+
 export interface UserUpdateMessage extends WebSocketMessage {
   type: 'user_update';
   user: User;
@@ -117,8 +179,93 @@ export interface UserListMessage extends WebSocketMessage {
   type: 'user_list';
 }
 
+export interface HistoryListMessage extends WebSocketMessage {
+  type: 'history_list';
+}
+
+export interface StatsListMessage extends WebSocketMessage {
+  type: 'stats_list';
+}
+
+export interface RoleGrantMessage extends WebSocketMessage {
+  type: 'role_grant';
+  clientId: string;
+  role: UserRole;
+}
+
+export interface RoleRevokeMessage extends WebSocketMessage {
+  type: 'role_revoke';
+  clientId: string;
+}
+
+export interface UserKickMessage extends WebSocketMessage {
+  type: 'user_kick';
+  clientId: string;
+}
+
+export interface UserBanMessage extends WebSocketMessage {
+  type: 'user_ban';
+  clientId: string;
+}
+
+export interface SessionProtectMessage extends WebSocketMessage {
+  type: 'session_protect';
+  password: string;
+}
+
+export interface InviteCreateMessage extends WebSocketMessage {
+  type: 'invite_create';
+}
+
+export interface RecurrenceUpdateMessage extends WebSocketMessage {
+  type: 'recurrence_update';
+  recurrence: Recurrence | null;
+}
+
+export interface TaskAddMessage extends WebSocketMessage {
+  type: 'task_add';
+  task: TaskUpdate;
+}
+
+export interface TaskUpdateMessage extends WebSocketMessage {
+  type: 'task_update';
+  taskId: string;
+  task: TaskUpdate;
+}
+
+export interface TaskRemoveMessage extends WebSocketMessage {
+  type: 'task_remove';
+  taskId: string;
+}
+
+export interface ChatSendMessage extends WebSocketMessage {
+  type: 'chat_send';
+  text: string;
+}
+
+export interface ChatListMessage extends WebSocketMessage {
+  type: 'chat_list';
+}
+
+export interface ReactionSendMessage extends WebSocketMessage {
+  type: 'reaction_send';
+  emoji: string;
+}
+
+export interface VoteProposeMessage extends WebSocketMessage {
+  type: 'vote_propose';
+  action: VoteAction | null;
+}
+
+export interface VoteCastMessage extends WebSocketMessage {
+  type: 'vote_cast';
+  voteId: string;
+  approve: boolean;
+}
+
 export interface PingMessage extends WebSocketMessage {
   type: 'ping';
+  clientTime?: number;
 }
 
 export interface UnknownIncomingMessage extends WebSocketMessage {
@@ -131,8 +278,26 @@ export type IncomingMessage =
   | SessionJoinMessage
   | SessionUpdateMessage
   | TimerUpdateMessage
+  | TimerCommandMessage
   | UserUpdateMessage
   | UserListMessage
+  | HistoryListMessage
+  | StatsListMessage
+  | RoleGrantMessage
+  | RoleRevokeMessage
+  | UserKickMessage
+  | UserBanMessage
+  | SessionProtectMessage
+  | InviteCreateMessage
+  | RecurrenceUpdateMessage
+  | TaskAddMessage
+  | TaskUpdateMessage
+  | TaskRemoveMessage
+  | ChatSendMessage
+  | ChatListMessage
+  | ReactionSendMessage
+  | VoteProposeMessage
+  | VoteCastMessage
   | PingMessage;
 
 export interface SessionCreatedMessage extends WebSocketMessage {
@@ -146,18 +311,117 @@ export interface SessionJoinedMessage extends WebSocketMessage {
   sessionId: string;
   clientId: string;
   session: Session;
+  isProtected: boolean;
+  recurrence: Recurrence | null;
+}
+
+export interface SessionRejectedMessage extends WebSocketMessage {
+  type: 'session_rejected';
+  sessionId: string;
+  reason: SessionRejectedReason;
+}
+
+export interface SessionProtectedMessage extends WebSocketMessage {
+  type: 'session_protected';
+  sessionId: string;
+  isProtected: boolean;
+}
+
+export interface RecurrenceUpdatedMessage extends WebSocketMessage {
+  type: 'recurrence_updated';
+  sessionId: string;
+  recurrence: Recurrence | null;
+  actor: HistoryActor | null;
+}
+
+export interface TasksUpdatedMessage extends WebSocketMessage {
+  type: 'tasks_updated';
+  sessionId: string;
+  tasks: Task[];
+  actor: HistoryActor | null;
+}
+
+export interface InviteCreatedMessage extends WebSocketMessage {
+  type: 'invite_created';
+  sessionId: string;
+  invite: string;
+  expiresAt: number;
 }
 
 export interface SessionUpdatedMessage extends WebSocketMessage {
   type: 'session_updated';
   sessionId: string;
   session: SessionUpdate;
+  revision: number;
+  actor: HistoryActor | null;
+}
+
+export interface SessionConflictMessage extends WebSocketMessage {
+  type: 'session_conflict';
+  sessionId: string;
+  session: SessionUpdate;
+  revision: number;
 }
 
 export interface TimerUpdatedMessage extends WebSocketMessage {
   type: 'timer_updated';
   sessionId: string;
   timer: TimerState;
+  actor: HistoryActor | null;
+  action: HistoryAction | null;
+}
+
+export interface IntervalChangedMessage extends WebSocketMessage {
+  type: 'interval_changed';
+  sessionId: string;
+  finished: IntervalPosition;
+  next: IntervalPosition;
+  timer: TimerState;
+}
+
+export interface HistoryMessage extends WebSocketMessage {
+  type: 'history';
+  sessionId: string;
+  entries: HistoryEntry[];
+}
+
+export interface StatsMessage extends WebSocketMessage {
+  type: 'stats';
+  sessionId: string;
+  users: UserStats[];
+}
+
+export interface ChatMessageMessage extends WebSocketMessage {
+  type: 'chat_message';
+  sessionId: string;
+  message: ChatMessage;
+}
+
+export interface ChatHistoryMessage extends WebSocketMessage {
+  type: 'chat';
+  sessionId: string;
+  messages: ChatMessage[];
+}
+
+export interface ReactionMessage extends WebSocketMessage {
+  type: 'reaction';
+  sessionId: string;
+  emoji: string;
+  actor: HistoryActor;
+  timestamp: number;
+}
+
+export interface VoteUpdatedMessage extends WebSocketMessage {
+  type: 'vote_updated';
+  sessionId: string;
+  vote: Vote;
+}
+
+export interface AnnouncementMessage extends WebSocketMessage {
+  type: 'announcement';
+  sessionId: string;
+  message: string;
+  timestamp: number;
 }
 
 export interface UserConnectedMessage extends WebSocketMessage {
@@ -172,6 +436,14 @@ export interface UserDisconnectedMessage extends WebSocketMessage {
   user: User;
 }
 
+export interface UserRemovedMessage extends WebSocketMessage {
+  type: 'user_removed';
+  sessionId: string;
+  clientId: string;
+  isBanned: boolean;
+  actor: HistoryActor | null;
+}
+
 export interface UserUpdatedMessage extends WebSocketMessage {
   type: 'user_updated';
   sessionId: string;
@@ -186,6 +458,8 @@ export interface UsersConnectedMessage extends WebSocketMessage {
 
 export interface PongMessage extends WebSocketMessage {
   type: 'pong';
+  clientTime?: number;
+  serverTime: number;
 }
 
 export interface ErrorMessage extends WebSocketMessage {
@@ -196,10 +470,25 @@ export interface ErrorMessage extends WebSocketMessage {
 export type OutgoingMessage =
   | SessionCreatedMessage
   | SessionJoinedMessage
+  | SessionRejectedMessage
+  | SessionProtectedMessage
+  | RecurrenceUpdatedMessage
+  | TasksUpdatedMessage
+  | InviteCreatedMessage
   | SessionUpdatedMessage
+  | SessionConflictMessage
   | TimerUpdatedMessage
+  | IntervalChangedMessage
+  | AnnouncementMessage
+  | HistoryMessage
+  | StatsMessage
+  | ChatMessageMessage
+  | ChatHistoryMessage
+  | ReactionMessage
+  | VoteUpdatedMessage
   | UserConnectedMessage
   | UserDisconnectedMessage
+  | UserRemovedMessage
   | UserUpdatedMessage
   | UsersConnectedMessage
   | PongMessage
@@ -0,0 +1,13 @@
+export type MetricLabels = Record<string, string>;
+
+export interface MetricSample {
+  labels: MetricLabels;
+  value: number;
+}
+
+export interface SessionStats {
+  sessions: number;
+  activeSessions: number;
+  onlineUsers: number;
+  sockets: number;
+}
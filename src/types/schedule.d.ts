@@ -0,0 +1,14 @@
+export interface Recurrence {
+  days: number[];
+  times: string[];
+  timezone: string;
+}
+
+export interface ZonedParts {
+  year: number;
+  month: number;
+  day: number;
+  hour: number;
+  minute: number;
+  weekday: number;
+}
@@ -3,6 +3,8 @@ import type { Logger } from 'pino';
 import type { Server as HttpServer, IncomingMessage } from 'http';
 import type { Server as WebSocketServer, WebSocket, RawData } from 'ws';
 import type SessionManager from './sessions';
+import type { EventStreamManager } from '../server/sse';
+import type { WebhookDispatcher } from '../server/webhooks';
 
 export interface ServerWebSocket extends WebSocket {
   isAlive?: boolean;
@@ -20,10 +22,17 @@ export class TimerServer {
   wss: WebSocketServer | null;
   wsPort: number | string;
   sessions: SessionManager;
+  webhooks: WebhookDispatcher;
+  streams: EventStreamManager;
+  isReady: boolean;
+  isDraining: boolean;
+  isStopping: boolean;
+  drainCheck: NodeJS.Timeout | null;
 
   constructor();
   setupExpress(): void;
   setupWebSocket(): void;
+  setupMetrics(): void;
   setupRoutes(): void;
   setupErrorHandling(): void;
   handleWebSocketConnection(ws: ServerWebSocket, req: IncomingMessage): void;
@@ -31,7 +40,9 @@ export class TimerServer {
   handleWebSocketClose(ws: ServerWebSocket, code: number, reason: string): void;
   sendError(ws: ServerWebSocket, message: string): void;
   start(): void;
+  drain(): void;
   stop(signal: string): void;
+  shutdown(signal: string): void;
 }
 
 export type { Express, HttpServer, IncomingMessage, WebSocketServer, WebSocket };
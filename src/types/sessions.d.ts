@@ -1,6 +1,17 @@
 import type WebSocket from 'ws';
+import type { EventEmitter } from 'events';
 import type { Logger } from 'pino';
-import type { IncomingMessage, SessionInternal } from './messages';
+import type {
+  IncomingMessage,
+  SessionInternal,
+  SessionUpdate,
+  TimerCommandMessage,
+  TimerState,
+} from './messages';
+import type { HistoryActor } from './history';
+import type { SessionStats } from './metrics';
+import type { UserStatsList } from './stats';
+import type { Webhook } from './webhooks';
 
 export interface ServerWebSocket extends WebSocket {
   logger: Logger;
@@ -9,8 +20,29 @@ export interface ServerWebSocket extends WebSocket {
   clientId?: string | null;
 }
 
-declare class SessionManager {
+declare class SessionManager extends EventEmitter {
   getSession(sessionId: string): SessionInternal | null;
+  createSession(sessionId: string, update: SessionUpdate, timer: TimerState, ownerId?: string): SessionInternal;
+  updateSession(
+    session: SessionInternal,
+    update: SessionUpdate,
+    timer?: TimerState,
+    revision?: number,
+    exclude?: string | null,
+    actor?: HistoryActor | null
+  ): boolean;
+  runTimerCommand(session: SessionInternal, message: TimerCommandMessage, actor?: HistoryActor | null): void;
+  isAuthorized(session: SessionInternal, password?: string, invite?: string): boolean;
+  canControl(session: SessionInternal, credential: string): boolean;
+  addWebhook(session: SessionInternal, webhook: Webhook): void;
+  removeWebhook(session: SessionInternal, webhookId: string): boolean;
+  listSessions(): SessionInternal[];
+  kickUser(session: SessionInternal, hashedId: string, actor?: HistoryActor | null): boolean;
+  deleteSession(session: SessionInternal): void;
+  announce(session: SessionInternal, message: string): void;
+  getStats(): SessionStats;
+  getUserStats(sessionId: string): UserStatsList;
+  drain(): void;
   handleMessage(ws: ServerWebSocket, data: IncomingMessage): void;
   removeClient(sessionId: string, clientId: string): void;
   dispose(): void;
@@ -0,0 +1,12 @@
+import type { OutgoingMessage } from './messages';
+
+export interface ServerSentEvent {
+  id: number;
+  message: OutgoingMessage;
+}
+
+export interface EventBuffer {
+  nextId: number;
+  events: ServerSentEvent[];
+  expires: NodeJS.Timeout | null;
+}
@@ -0,0 +1,27 @@
+export interface CompletedInterval {
+  name: string;
+  duration: number;
+  completedAt: number;
+}
+
+export interface IntervalTotals {
+  count: number;
+  duration: number;
+}
+
+export interface UserStats {
+  clientId: string;
+  name: string;
+  totals: { [name: string]: IntervalTotals };
+  completed: CompletedInterval[];
+}
+
+export interface UserStatsList {
+  [clientId: string]: UserStats;
+}
+
+export interface StatsSummary {
+  today: number;
+  week: number;
+  streak: number;
+}
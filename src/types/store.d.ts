@@ -0,0 +1,21 @@
+import type { SessionInternal, TimerStateInternal, UserInternal } from './messages';
+import type { UserStatsList } from './stats';
+
+export type UserRecord = Omit<UserInternal, 'sockets'>;
+
+export interface SessionRecord extends Omit<SessionInternal, 'timer' | 'timerCore' | 'users'> {
+  timer: TimerStateInternal;
+  users: { [key: string]: UserRecord };
+}
+
+export interface SessionStore {
+  get(sessionId: string): SessionInternal | undefined;
+  set(sessionId: string, session: SessionInternal): void;
+  has(sessionId: string): boolean;
+  delete(sessionId: string): boolean;
+  forEach(callback: (session: SessionInternal, sessionId: string) => void): void;
+  getStats(sessionId: string): UserStatsList;
+  setStats(sessionId: string, stats: UserStatsList): void;
+  forEachStats(callback: (stats: UserStatsList, sessionId: string) => void): void;
+  close(): void;
+}
@@ -0,0 +1,12 @@
+export interface Task {
+  taskId: string;
+  title: string;
+  isCompleted: boolean;
+  assigneeId: string | null;
+  estimate: number;
+  createdBy: string | null;
+  createdAt: number;
+  completedAt: number | null;
+}
+
+export type TaskUpdate = Partial<Pick<Task, 'title' | 'isCompleted' | 'assigneeId' | 'estimate'>>;
@@ -0,0 +1,23 @@
+import type { HistoryActor } from './history';
+
+export type VoteAction = 'next' | 'pause';
+
+export type VoteStatus = 'open' | 'passed' | 'failed' | 'expired';
+
+export interface Vote {
+  voteId: string;
+  action: VoteAction;
+  proposer: HistoryActor;
+  approvals: string[];
+  rejections: string[];
+  required: number;
+  expiresAt: number;
+  status: VoteStatus;
+}
+
+export interface VoteRelay {
+  voteId: string;
+  online: string[];
+  clientId: string;
+  approve: boolean;
+}
@@ -0,0 +1,47 @@
+import type { TimerState } from './messages';
+
+export type WebhookEvent =
+  | 'timer.started'
+  | 'timer.paused'
+  | 'timer.resumed'
+  | 'timer.stopped'
+  | 'interval.changed'
+  | 'user.joined'
+  | 'user.left';
+
+export interface WebhookInfo {
+  webhookId: string;
+  url: string;
+  events: WebhookEvent[];
+  createdAt: number;
+}
+
+export interface Webhook extends WebhookInfo {
+  secret: string;
+}
+
+export interface WebhookInterval {
+  index: number;
+  name: string;
+  duration: number;
+}
+
+export interface WebhookUser {
+  clientId: string;
+  name: string;
+}
+
+export interface WebhookEventData {
+  timer?: TimerState;
+  interval?: WebhookInterval;
+  previousInterval?: number;
+  user?: WebhookUser;
+}
+
+export interface WebhookPayload {
+  id: string;
+  event: WebhookEvent;
+  sessionId: string;
+  timestamp: number;
+  data: WebhookEventData;
+}
@@ -0,0 +1,195 @@
+/**
+ * Tests for SessionManager
+ * Driving the session manager with in-memory sockets, store and broadcast adapter
+ */
+
+import type { IncomingMessage, OutgoingMessage } from '../../src/types/messages';
+import type { ServerWebSocket } from '../../src/types/server';
+import type { Task } from '../../src/types/tasks';
+import SessionManager from '../../src/server/sessions';
+import { MemoryStore } from '../../src/server/store';
+import { MemoryAdapter } from '../../src/server/broadcast';
+import { CLOSE_CODES } from '../../src/shared/constants';
+import { EventEmitter } from 'events';
+
+process.env.LOG_ENABLED = 'false';
+
+const OWNER_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const GUEST_ID = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+
+interface TestSocket extends ServerWebSocket {
+  inbox: OutgoingMessage[];
+  closeCode: number | null;
+}
+
+/**
+ * Returns an open socket that records messages sent to it.
+ * @param {SessionManager} manager - Session manager the socket is removed from when closed.
+ * @returns {TestSocket}
+ */
+function createSocket(manager: SessionManager): TestSocket {
+  const socket = new EventEmitter() as unknown as TestSocket;
+  Object.assign(socket, {
+    readyState: 1,
+    inbox: [],
+    closeCode: null,
+    send: (data: string) => socket.inbox.push(JSON.parse(data)),
+    close: (code: number) => {
+      Object.assign(socket, { readyState: 3, closeCode: code });
+      manager.removeClient(socket);
+    },
+  });
+  return socket;
+}
+
+/**
+ * Sends a session join message for the given client.
+ * @param {SessionManager} manager
+ * @param {TestSocket} socket
+ * @param {string} clientId
+ * @param {string} name
+ * @param {Task[]} [tasks]
+ */
+function join(manager: SessionManager, socket: TestSocket, clientId: string, name: string, tasks: Task[] = []): void {
+  manager.handleMessage(socket, {
+    type: 'session_join',
+    sessionId: 'test-session',
+    session: { name: 'Test', description: '', intervals: { lastUpdated: 1, items: [] } },
+    timer: { repeat: false, interval: 0, remaining: 60000, isRunning: false, isPaused: false },
+    user: { clientId, name, avatarUrl: '' },
+    tasks,
+  } as unknown as IncomingMessage);
+}
+
+describe('SessionManager', () => {
+  let manager: SessionManager;
+
+  beforeEach(() => {
+    manager = new SessionManager(new MemoryStore(), new MemoryAdapter());
+  });
+
+  afterEach(() => {
+    manager.dispose();
+  });
+
+  describe('session_join', () => {
+    it('should never send raw client IDs to other users after reconnect', () => {
+      const owner = createSocket(manager);
+      const guest = createSocket(manager);
+
+      join(manager, owner, OWNER_ID, 'Owner');
+      join(manager, guest, GUEST_ID, 'Guest');
+
+      owner.close(1000);
+      join(manager, createSocket(manager), OWNER_ID, 'Owner Renamed');
+
+      const users = manager.getSession('test-session')!.users;
+      expect(users[OWNER_ID].clientId).not.toBe(OWNER_ID);
+      expect(users[OWNER_ID].name).toBe('Owner Renamed');
+      expect(users[OWNER_ID].role).toBe('owner');
+      expect(JSON.stringify(guest.inbox)).not.toContain(OWNER_ID);
+    });
+
+    it('should join users other than owner as viewers', () => {
+      join(manager, createSocket(manager), OWNER_ID, 'Owner');
+      join(manager, createSocket(manager), GUEST_ID, 'Guest');
+
+      expect(manager.getSession('test-session')!.users[GUEST_ID].role).toBe('viewer');
+    });
+
+    it('should keep tasks of user creating session as their own', () => {
+      join(manager, createSocket(manager), OWNER_ID, 'Owner', [
+        { taskId: 'task-1', title: 'Task', createdBy: 'someone', assigneeId: 'someone-else' } as Task,
+      ]);
+
+      const session = manager.getSession('test-session')!;
+      const [task] = session.tasks;
+
+      expect(task.createdBy).toBe(session.users[OWNER_ID].clientId);
+      expect(task.assigneeId).toBeNull();
+    });
+  });
+
+  describe('session ownership', () => {
+    it('should not let user joining another node claim session', () => {
+      const adapter = new MemoryAdapter();
+      const nodeA = new SessionManager(new MemoryStore(), adapter);
+      const nodeB = new SessionManager(new MemoryStore(), adapter);
+      const guest = createSocket(nodeB);
+
+      join(nodeA, createSocket(nodeA), OWNER_ID, 'Owner');
+      join(nodeB, guest, GUEST_ID, 'Guest');
+
+      expect(nodeB.getSession('test-session')!.users[GUEST_ID].role).not.toBe('owner');
+      expect(nodeB.getSession('test-session')!.ownerId).toBe('');
+
+      join(nodeB, createSocket(nodeB), OWNER_ID, 'Owner');
+
+      expect(nodeB.getSession('test-session')!.users[OWNER_ID].role).toBe('owner');
+      expect(nodeB.getSession('test-session')!.ownerId).toBe(OWNER_ID);
+
+      nodeA.dispose();
+      nodeB.dispose();
+    });
+  });
+
+  describe('role_grant', () => {
+    it('should apply granted role to user connected to another node', () => {
+      const adapter = new MemoryAdapter();
+      const nodeA = new SessionManager(new MemoryStore(), adapter);
+      const nodeB = new SessionManager(new MemoryStore(), adapter);
+      const owner = createSocket(nodeA);
+
+      join(nodeA, owner, OWNER_ID, 'Owner');
+      join(nodeA, createSocket(nodeA), GUEST_ID, 'Guest');
+      join(nodeB, createSocket(nodeB), GUEST_ID, 'Guest');
+
+      const hashedId = nodeA.getSession('test-session')!.users[GUEST_ID].clientId;
+      nodeA.handleMessage(owner, { type: 'role_grant', clientId: hashedId, role: 'controller' } as IncomingMessage);
+
+      expect(nodeB.getSession('test-session')!.users[GUEST_ID].role).toBe('controller');
+
+      nodeA.dispose();
+      nodeB.dispose();
+    });
+  });
+
+  describe('cleanup', () => {
+    it('should announce deletion of inactive sessions', () => {
+      const deleted: string[] = [];
+      manager.on('session_deleted', (session) => deleted.push(session.sessionId));
+
+      const owner = createSocket(manager);
+      join(manager, owner, OWNER_ID, 'Owner');
+      owner.close(1000);
+
+      manager.getSession('test-session')!.emptyAt = 1;
+      (manager as unknown as { cleanupSessions(): void }).cleanupSessions();
+
+      expect(manager.getSession('test-session')).toBeNull();
+      expect(deleted).toEqual(['test-session']);
+    });
+  });
+
+  describe('user_ban', () => {
+    it('should refuse user banned after reconnect', () => {
+      const owner = createSocket(manager);
+      const guest = createSocket(manager);
+
+      join(manager, owner, OWNER_ID, 'Owner');
+      join(manager, guest, GUEST_ID, 'Guest');
+
+      guest.close(1000);
+      join(manager, createSocket(manager), GUEST_ID, 'Guest');
+
+      const hashedId = manager.getSession('test-session')!.users[GUEST_ID].clientId;
+      manager.handleMessage(owner, { type: 'user_ban', clientId: hashedId } as IncomingMessage);
+
+      const rejoin = createSocket(manager);
+      join(manager, rejoin, GUEST_ID, 'Guest');
+
+      expect(rejoin.closeCode).toBe(CLOSE_CODES.BANNED);
+      expect(rejoin.inbox.some((message) => message.type === 'session_joined')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for recurring schedule calculations
+ */
+
+import type { Recurrence } from '../../src/types/schedule';
+import {
+  getNextRun,
+  getNextRuns,
+  getZonedParts,
+  getZonedTime,
+  hasUpcomingRun,
+  isValidTimezone,
+} from '../../src/shared/schedule';
+
+describe('Schedule', () => {
+  // Wednesday 10 January 2024, 12:00 UTC
+  const now = Date.UTC(2024, 0, 10, 12);
+
+  const weekdays: Recurrence = { days: [1, 2, 3, 4, 5], times: ['10:00', '14:00'], timezone: 'Europe/London' };
+
+  describe('isValidTimezone()', () => {
+    it('should accept IANA timezones', () => {
+      expect(isValidTimezone('UTC')).toBe(true);
+      expect(isValidTimezone('Pacific/Auckland')).toBe(true);
+    });
+
+    it('should reject unknown or empty timezones', () => {
+      expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+      expect(isValidTimezone('')).toBe(false);
+    });
+  });
+
+  describe('getZonedParts()', () => {
+    it('should return wall-clock date, time and weekday in timezone', () => {
+      expect(getZonedParts(now, 'Pacific/Auckland')).toEqual({
+        year: 2024,
+        month: 1,
+        day: 11,
+        hour: 1,
+        minute: 0,
+        weekday: 4,
+      });
+    });
+  });
+
+  describe('getZonedTime()', () => {
+    it('should convert wall-clock time in timezone', () => {
+      expect(getZonedTime({ year: 2024, month: 1, day: 10, hour: 10, minute: 0 }, 'America/New_York')).toBe(
+        Date.UTC(2024, 0, 10, 15)
+      );
+    });
+
+    it('should move times skipped by daylight saving forward', () => {
+      expect(getZonedTime({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }, 'America/New_York')).toBe(
+        Date.UTC(2024, 2, 10, 7, 30)
+      );
+      expect(getZonedTime({ year: 2024, month: 9, day: 29, hour: 2, minute: 30 }, 'Pacific/Auckland')).toBe(
+        Date.UTC(2024, 8, 28, 14, 30)
+      );
+    });
+
+    it('should use first occurrence of times repeated by daylight saving', () => {
+      expect(getZonedTime({ year: 2024, month: 11, day: 3, hour: 1, minute: 30 }, 'America/New_York')).toBe(
+        Date.UTC(2024, 10, 3, 5, 30)
+      );
+      expect(getZonedTime({ year: 2024, month: 4, day: 7, hour: 2, minute: 30 }, 'Pacific/Auckland')).toBe(
+        Date.UTC(2024, 3, 6, 13, 30)
+      );
+    });
+  });
+
+  describe('getNextRuns()', () => {
+    it('should return upcoming runs in order', () => {
+      expect(getNextRuns(weekdays, now, 3)).toEqual([
+        Date.UTC(2024, 0, 10, 14),
+        Date.UTC(2024, 0, 11, 10),
+        Date.UTC(2024, 0, 11, 14),
+      ]);
+    });
+
+    it('should skip days not in recurrence', () => {
+      // Friday 12 January 2024, 15:00 UTC
+      expect(getNextRuns(weekdays, Date.UTC(2024, 0, 12, 15), 1)).toEqual([Date.UTC(2024, 0, 15, 10)]);
+    });
+
+    it('should not include run at given time', () => {
+      expect(getNextRuns(weekdays, Date.UTC(2024, 0, 10, 14), 1)).toEqual([Date.UTC(2024, 0, 11, 10)]);
+    });
+
+    it('should use weekday in recurrence timezone', () => {
+      // Wednesday in UTC is already Thursday in Auckland
+      const thursdays: Recurrence = { days: [4], times: ['09:00'], timezone: 'Pacific/Auckland' };
+
+      expect(getNextRuns(thursdays, now, 1)).toEqual([Date.UTC(2024, 0, 10, 20)]);
+    });
+
+    it('should keep wall-clock time across daylight saving changes', () => {
+      const daily: Recurrence = { days: [0, 1, 2, 3, 4, 5, 6], times: ['09:00'], timezone: 'Europe/London' };
+
+      expect(getNextRuns(daily, Date.UTC(2024, 2, 30, 12), 2)).toEqual([
+        Date.UTC(2024, 2, 31, 8),
+        Date.UTC(2024, 3, 1, 8),
+      ]);
+    });
+
+    it('should return no runs for empty or invalid recurrence', () => {
+      expect(getNextRuns(null, now, 3)).toEqual([]);
+      expect(getNextRuns({ ...weekdays, days: [] }, now, 3)).toEqual([]);
+      expect(getNextRuns({ ...weekdays, timezone: 'Nowhere' }, now, 3)).toEqual([]);
+    });
+  });
+
+  describe('getNextRun()', () => {
+    it('should return next run', () => {
+      expect(getNextRun(weekdays, now)).toBe(Date.UTC(2024, 0, 10, 14));
+    });
+
+    it('should return 0 without runs', () => {
+      expect(getNextRun(null, now)).toBe(0);
+    });
+  });
+
+  describe('hasUpcomingRun()', () => {
+    it('should be true with recurrence runs', () => {
+      expect(hasUpcomingRun(weekdays, 0, now)).toBe(true);
+    });
+
+    it('should be true with scheduled start after now', () => {
+      expect(hasUpcomingRun(null, now + 1000, now)).toBe(true);
+    });
+
+    it('should be false with past scheduled start and no recurrence', () => {
+      expect(hasUpcomingRun(null, now - 1000, now)).toBe(false);
+      expect(hasUpcomingRun(null, 0, now)).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for focus statistics calculations
+ */
+
+import type { CompletedInterval } from '../../src/types/stats';
+import { getDayStart, getWeekStart, isFocusInterval, summarizeStats } from '../../src/shared/stats';
+
+/**
+ * Returns a completed interval finished at the given local date and time.
+ * @param {string} name
+ * @param {number} duration
+ * @param {number[]} date - Year, month index, day and optional hour.
+ * @returns {CompletedInterval}
+ */
+function completed(name: string, duration: number, [year, month, day, hour = 12]: number[]): CompletedInterval {
+  return { name, duration, completedAt: new Date(year, month, day, hour).getTime() };
+}
+
+describe('Stats', () => {
+  // Wednesday 10 January 2024, 15:00 local time
+  const now = new Date(2024, 0, 10, 15).getTime();
+
+  describe('isFocusInterval()', () => {
+    it('should treat intervals named like breaks as breaks', () => {
+      expect(isFocusInterval('Break')).toBe(false);
+      expect(isFocusInterval('Long Break')).toBe(false);
+      expect(isFocusInterval('rest')).toBe(false);
+    });
+
+    it('should treat other intervals as focus', () => {
+      expect(isFocusInterval('Focus')).toBe(true);
+      expect(isFocusInterval('Forest walk')).toBe(true);
+      expect(isFocusInterval('')).toBe(true);
+    });
+  });
+
+  describe('getDayStart()', () => {
+    it('should return local midnight', () => {
+      expect(getDayStart(now)).toBe(new Date(2024, 0, 10).getTime());
+    });
+  });
+
+  describe('getWeekStart()', () => {
+    it('should return local midnight of Monday', () => {
+      expect(getWeekStart(now)).toBe(new Date(2024, 0, 8).getTime());
+    });
+
+    it('should keep Sunday in the week that started on Monday before it', () => {
+      expect(getWeekStart(new Date(2024, 0, 14, 20).getTime())).toBe(new Date(2024, 0, 8).getTime());
+    });
+  });
+
+  describe('summarizeStats()', () => {
+    it('should return zero summary without completed intervals', () => {
+      expect(summarizeStats([], now)).toEqual({ today: 0, week: 0, streak: 0 });
+    });
+
+    it('should sum focus time for today and this week', () => {
+      const summary = summarizeStats(
+        [
+          completed('Focus', 1500, [2024, 0, 10, 9]),
+          completed('Focus', 1500, [2024, 0, 10, 10]),
+          completed('Focus', 1500, [2024, 0, 8]),
+          completed('Focus', 1500, [2024, 0, 7]),
+        ],
+        now
+      );
+
+      expect(summary.today).toBe(3000);
+      expect(summary.week).toBe(4500);
+    });
+
+    it('should not count breaks', () => {
+      const summary = summarizeStats(
+        [completed('Focus', 1500, [2024, 0, 10, 9]), completed('Break', 300, [2024, 0, 10, 10])],
+        now
+      );
+
+      expect(summary.today).toBe(1500);
+      expect(summary.week).toBe(1500);
+    });
+
+    it('should count consecutive days ending today as streak', () => {
+      const summary = summarizeStats(
+        [
+          completed('Focus', 1500, [2024, 0, 10]),
+          completed('Focus', 1500, [2024, 0, 9]),
+          completed('Focus', 1500, [2024, 0, 8]),
+          completed('Focus', 1500, [2024, 0, 6]),
+        ],
+        now
+      );
+
+      expect(summary.streak).toBe(3);
+    });
+
+    it('should keep streak ending yesterday until today has focus time', () => {
+      const summary = summarizeStats(
+        [completed('Focus', 1500, [2024, 0, 9]), completed('Focus', 1500, [2024, 0, 8])],
+        now
+      );
+
+      expect(summary.streak).toBe(2);
+    });
+
+    it('should not count days with only breaks in streak', () => {
+      const summary = summarizeStats(
+        [completed('Focus', 1500, [2024, 0, 10]), completed('Break', 300, [2024, 0, 9])],
+        now
+      );
+
+      expect(summary.streak).toBe(1);
+    });
+
+    it('should count streak across month boundary', () => {
+      const summary = summarizeStats(
+        [completed('Focus', 1500, [2024, 1, 1]), completed('Focus', 1500, [2024, 0, 31])],
+        new Date(2024, 1, 1, 15).getTime()
+      );
+
+      expect(summary.streak).toBe(2);
+    });
+  });
+});
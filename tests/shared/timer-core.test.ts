@@ -69,6 +69,53 @@ describe('Timer', () => {
     });
   });
 
+  describe('clock', () => {
+    it('should use system time by default', () => {
+      const mockTime = 1000000;
+      setMockTime(mockTime);
+
+      const result = timer.start();
+
+      expect(result.startedAt).toBe(mockTime);
+    });
+
+    it('should use injected clock for timing', () => {
+      let now = 5000;
+      const clockTimer = new Timer(mockIntervals, () => now);
+
+      const result = clockTimer.start();
+      expect(result.startedAt).toBe(5000);
+
+      now += 10000;
+      expect(clockTimer.sync().remaining).toBe(15000);
+
+      now += 2000;
+      expect(clockTimer.pause().pausedAt).toBe(17000);
+    });
+
+    it('should keep offset clock consistent with system time changes', () => {
+      const mockTime = 1000000;
+      setMockTime(mockTime);
+
+      const offsetTimer = new Timer(mockIntervals, () => Date.now() + 3000);
+
+      const result = offsetTimer.start();
+      expect(result.startedAt).toBe(mockTime + 3000);
+      expect(offsetTimer.sync().remaining).toBe(25000);
+
+      setMockTime(mockTime + 4000);
+      expect(offsetTimer.sync().remaining).toBe(21000);
+    });
+
+    it('should rebuild timing from remaining using injected clock', () => {
+      const clockTimer = new Timer(mockIntervals, () => 50000);
+
+      const result = clockTimer.updateState(createTimerState({ isRunning: true, remaining: 20000 }));
+
+      expect(result.startedAt).toBe(50000 - 5000);
+    });
+  });
+
   describe('start()', () => {
     it('should start the timer from stopped state', () => {
       const mockTime = 1000000;
@@ -146,6 +193,21 @@ describe('Timer', () => {
       expect(result.isPaused).toBe(true);
       expect(result.pausedAt).toBe(mockTime);
     });
+
+    it('should keep paused time when paused twice', () => {
+      let now = 5000;
+      const clockTimer = new Timer(mockIntervals, () => now);
+
+      clockTimer.start();
+      now += 10000;
+      expect(clockTimer.pause().pausedAt).toBe(15000);
+
+      now += 20000;
+      expect(clockTimer.pause().pausedAt).toBe(15000);
+
+      clockTimer.resume();
+      expect(clockTimer.sync().remaining).toBe(15000);
+    });
   });
 
   describe('stop()', () => {
@@ -274,6 +336,160 @@ describe('Timer', () => {
     });
   });
 
+  describe('seek()', () => {
+    it('should move to interval with full duration', () => {
+      const result = timer.seek(2);
+
+      expect(result.interval).toBe(2);
+      expect(result.remaining).toBe(15000); // Long Break interval duration in milliseconds
+    });
+
+    it('should move to position within interval', () => {
+      const result = timer.seek(1, 2000);
+
+      expect(result.interval).toBe(1);
+      expect(result.remaining).toBe(2000);
+    });
+
+    it('should clamp interval and remaining to valid range', () => {
+      expect(timer.seek(10).interval).toBe(2);
+      expect(timer.seek(-1).interval).toBe(0);
+      expect(timer.seek(1, 60000).remaining).toBe(5000);
+      expect(timer.seek(1, -500).remaining).toBe(0);
+    });
+
+    it('should update timing when running', () => {
+      const mockTime = 1000000;
+      setMockTime(mockTime);
+
+      timer.start();
+      setMockTime(mockTime + 5000);
+
+      const result = timer.seek(1, 3000);
+
+      expect(result.startedInterval).toBe(1);
+      expect(result.startedAt).toBe(mockTime + 5000 - 2000);
+      expect(result.timePaused).toBe(0);
+      expect(timer.sync().remaining).toBe(3000);
+    });
+
+    it('should keep timer paused when paused and running', () => {
+      const mockTime = 1000000;
+      setMockTime(mockTime);
+
+      timer.start();
+      timer.pause();
+      setMockTime(mockTime + 3000);
+
+      const result = timer.seek(2, 10000);
+
+      expect(result.isPaused).toBe(true);
+      expect(result.pausedAt).toBe(mockTime + 3000);
+
+      setMockTime(mockTime + 7000);
+      expect(timer.sync().remaining).toBe(10000);
+    });
+
+    it('should not update timing when stopped', () => {
+      const result = timer.seek(1, 2000);
+
+      expect(result.isRunning).toBe(false);
+      expect(result.startedAt).toBe(0);
+      expect(result.startedInterval).toBe(0);
+    });
+
+    it('should handle empty intervals gracefully', () => {
+      const emptyTimer = new Timer([]);
+
+      const result = emptyTimer.seek(3);
+
+      expect(result.interval).toBe(0);
+      expect(result.remaining).toBe(1500000); // DEFAULT_DURATION in milliseconds
+    });
+  });
+
+  describe('schedule()', () => {
+    it('should set and clear scheduled start time', () => {
+      const clockTimer = new Timer(mockIntervals, () => 10000);
+
+      expect(clockTimer.schedule(60000).scheduledStartAt).toBe(60000);
+      expect(clockTimer.schedule(0).scheduledStartAt).toBe(0);
+      expect(clockTimer.schedule(-5).scheduledStartAt).toBe(0);
+    });
+
+    it('should move scheduled start time in the past to current time', () => {
+      const clockTimer = new Timer(mockIntervals, () => 10000);
+
+      expect(clockTimer.schedule(5000).scheduledStartAt).toBe(10000);
+    });
+
+    it('should not schedule running timer', () => {
+      const clockTimer = new Timer(mockIntervals, () => 10000);
+      clockTimer.start();
+
+      expect(clockTimer.schedule(60000).scheduledStartAt).toBe(0);
+    });
+
+    it('should keep timer stopped until scheduled time', () => {
+      let now = 10000;
+      const clockTimer = new Timer(mockIntervals, () => now);
+
+      clockTimer.schedule(20000);
+      now = 19999;
+
+      const result = clockTimer.sync();
+      expect(result.isRunning).toBe(false);
+      expect(result.remaining).toBe(25000);
+      expect(result.scheduledStartAt).toBe(20000);
+    });
+
+    it('should start from scheduled time once it has passed', () => {
+      let now = 10000;
+      const clockTimer = new Timer(mockIntervals, () => now);
+
+      clockTimer.schedule(20000);
+      now = 23000;
+
+      const result = clockTimer.sync();
+      expect(result.isRunning).toBe(true);
+      expect(result.isPaused).toBe(false);
+      expect(result.startedAt).toBe(20000);
+      expect(result.remaining).toBe(22000);
+      expect(result.scheduledStartAt).toBe(0);
+    });
+
+    it('should start from remaining time of current interval', () => {
+      let now = 10000;
+      const clockTimer = new Timer(mockIntervals, () => now);
+
+      clockTimer.seek(0, 10000);
+      clockTimer.schedule(20000);
+      now = 21000;
+
+      const result = clockTimer.sync();
+      expect(result.isRunning).toBe(true);
+      expect(result.remaining).toBe(9000);
+    });
+
+    it('should be cleared by start and stop', () => {
+      const clockTimer = new Timer(mockIntervals, () => 10000);
+
+      clockTimer.schedule(60000);
+      expect(clockTimer.start().scheduledStartAt).toBe(0);
+
+      clockTimer.stop();
+      clockTimer.schedule(60000);
+      expect(clockTimer.stop().scheduledStartAt).toBe(0);
+    });
+
+    it('should be restored by updateState', () => {
+      const result = timer.updateState(createTimerState({ scheduledStartAt: 60000 }));
+
+      expect(result.scheduledStartAt).toBe(60000);
+      expect(result.isRunning).toBe(false);
+    });
+  });
+
   describe('resume()', () => {
     it('should resume from paused state', () => {
       const mockTime = 1000000;
@@ -640,6 +856,55 @@ describe('Timer', () => {
     });
   });
 
+  describe('getEndTimes()', () => {
+    it('should return zero timestamps when stopped', () => {
+      expect(timer.getEndTimes()).toEqual({ intervalEndsAt: 0, cycleEndsAt: 0 });
+    });
+
+    it('should return zero timestamps when paused', () => {
+      timer.start();
+      timer.pause();
+
+      expect(timer.getEndTimes()).toEqual({ intervalEndsAt: 0, cycleEndsAt: 0 });
+    });
+
+    it('should calculate interval and cycle end from remaining time', () => {
+      const mockTime = 1000000;
+      setMockTime(mockTime);
+
+      timer.start();
+      setMockTime(mockTime + 10000);
+      timer.sync();
+
+      const result = timer.getEndTimes();
+
+      expect(result.intervalEndsAt).toBe(mockTime + 25000);
+      expect(result.cycleEndsAt).toBe(mockTime + 45000); // Work + Break + Long Break
+    });
+
+    it('should end cycle with current interval when on last interval', () => {
+      const mockTime = 1000000;
+      setMockTime(mockTime);
+
+      timer.seek(2, 6000);
+      timer.start();
+
+      const result = timer.getEndTimes();
+
+      expect(result.intervalEndsAt).toBe(mockTime + 6000);
+      expect(result.cycleEndsAt).toBe(mockTime + 6000);
+    });
+
+    it('should use injected clock', () => {
+      const clockTimer = new Timer(mockIntervals, () => 70000);
+
+      clockTimer.next();
+      clockTimer.start();
+
+      expect(clockTimer.getEndTimes()).toEqual({ intervalEndsAt: 75000, cycleEndsAt: 90000 });
+    });
+  });
+
   describe('getState()', () => {
     it('should return a copy of current state', () => {
       const state1 = timer.getState();